@@ -0,0 +1,212 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+/** @type {number} Millis the crate names & versions read from the index are reused for */
+const CACHE_MILLIS = 5 * 60 * 1000
+
+/**
+ * @typedef {{
+ *   vers: string
+ *   yanked: boolean
+ *   features?: object
+ *   features2?: object
+ *   deps?: { name: string; optional?: boolean }[]
+ * }} IndexEntry
+ *   A crate version from the registry index
+ */
+
+/** @typedef {{ major: number; minor: number; patch: number; pre: string }} Version */
+
+/**
+ * @param {string} version Ie `1.2.3` or `0.1.0-alpha.1+build`
+ * @returns {Version | null}
+ */
+function parseVersion(version) {
+  const match = version.trim().match(/^(\d+)\.(\d+)\.(\d+)(?:-([\w.-]+))?(?:\+[\w.-]+)?$/)
+  if (!match) {
+    return null
+  }
+  return { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3]), pre: match[4] || "" }
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Semver ordering of the versions, invalid versions sort first
+ */
+function compareVersions(a, b) {
+  const va = parseVersion(a)
+  const vb = parseVersion(b)
+  if (!va || !vb) {
+    return Boolean(va) - Boolean(vb)
+  }
+  const diff = va.major - vb.major || va.minor - vb.minor || va.patch - vb.patch
+  if (diff) {
+    return diff
+  }
+  // a pre-release is lower than its release
+  if (!va.pre || !vb.pre) {
+    return Boolean(vb.pre) - Boolean(va.pre)
+  }
+  return va.pre.localeCompare(vb.pre, undefined, { numeric: true })
+}
+
+/**
+ * @param {IndexEntry[]} entries
+ * @returns {IndexEntry | null} The highest version that isn't yanked, preferring releases over pre-releases
+ */
+function latestEntry(entries) {
+  const available = entries.filter((entry) => !entry.yanked)
+  const releases = available.filter((entry) => parseVersion(entry.vers) && !parseVersion(entry.vers).pre)
+  const candidates = releases.length ? releases : available
+  return candidates.reduce((latest, entry) => {
+    return !latest || compareVersions(entry.vers, latest.vers) > 0 ? entry : latest
+  }, null)
+}
+
+/**
+ * @param {IndexEntry} entry
+ * @returns {string[]} Sorted feature names, including the implicit features of optional dependencies
+ */
+function entryFeatures(entry) {
+  const features = Object.assign({}, entry.features, entry.features2)
+  const names = new Set(Object.keys(features))
+  const explicitDeps = new Set()
+  for (const enables of Object.values(features)) {
+    for (const enabled of enables || []) {
+      if (enabled.startsWith("dep:")) {
+        explicitDeps.add(enabled.slice("dep:".length))
+      }
+    }
+  }
+  // optional dependencies are features unless a feature enables them with `dep:`
+  for (const dep of entry.deps || []) {
+    if (dep.optional && !explicitDeps.has(dep.name)) {
+      names.add(dep.name)
+    }
+  }
+  return Array.from(names).sort()
+}
+
+/**
+ * @param {string} name
+ * @returns {string} Path of the crate's file within an index, ie `se/rd/serde` or `3/s/syn`
+ */
+function indexPath(name) {
+  const lower = name.toLowerCase()
+  if (lower.length <= 2) {
+    return path.join(`${lower.length}`, lower)
+  }
+  if (lower.length === 3) {
+    return path.join("3", lower[0], lower)
+  }
+  return path.join(lower.slice(0, 2), lower.slice(2, 4), lower)
+}
+
+/**
+ * Parses an index cache file, cargo's local copy of a crate's index entries: a cache version byte, a u32 index format
+ * version & the null terminated index version, followed by null terminated version & json pairs
+ *
+ * @param {Buffer} buffer
+ * @returns {IndexEntry[]}
+ */
+function parseCacheFile(buffer) {
+  const parts = buffer.slice(5).toString("utf8").split("\0")
+  const entries = []
+  for (let i = 1; i + 1 < parts.length; i += 2) {
+    try {
+      entries.push(JSON.parse(parts[i + 1]))
+    } catch (e) {
+      // skip corrupt entries
+    }
+  }
+  return entries
+}
+
+/**
+ * Reads crates from the local cargo registry index, `$CARGO_HOME/registry/index`, so it works offline. Only crates
+ * cargo has resolved before are in the index.
+ *
+ * @param {string} [cargoHome]
+ */
+class CargoRegistry {
+  constructor(cargoHome = process.env.CARGO_HOME || path.join(os.homedir(), ".cargo")) {
+    this.indexRoot = path.join(cargoHome, "registry", "index")
+    /** @type {{ time: number; names: Promise<string[]> } | null} */
+    this._names = null
+    /** @type {Map<string, { time: number; entries: Promise<IndexEntry[]> }>} */
+    this._entries = new Map()
+  }
+
+  /** @returns {Promise<string[]>} Index cache directories of each registry, ie crates.io's sparse & git indexes */
+  async _cacheDirs() {
+    const registries = await fs.promises.readdir(this.indexRoot).catch(() => [])
+    return registries.map((registry) => path.join(this.indexRoot, registry, ".cache"))
+  }
+
+  /** @returns {Promise<string[]>} Sorted names of the crates in the local index */
+  crateNames() {
+    if (!this._names || Date.now() - this._names.time > CACHE_MILLIS) {
+      this._names = { time: Date.now(), names: this._readCrateNames() }
+    }
+    return this._names.names
+  }
+
+  async _readCrateNames() {
+    const names = new Set()
+    const walk = async (dir, depth) => {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => [])
+      await Promise.all(
+        entries.map((entry) => {
+          if (entry.isDirectory() && depth < 2) {
+            return walk(path.join(dir, entry.name), depth + 1)
+          }
+          if (entry.isFile() && depth > 0) {
+            names.add(entry.name)
+          }
+          return undefined
+        })
+      )
+    }
+    await Promise.all((await this._cacheDirs()).map((dir) => walk(dir, 0)))
+    return Array.from(names).sort()
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<IndexEntry[]>} Versions of the crate from all registries, highest first, none if it isn't in the
+   *   index
+   */
+  crateVersions(name) {
+    const cached = this._entries.get(name)
+    if (cached && Date.now() - cached.time <= CACHE_MILLIS) {
+      return cached.entries
+    }
+    const entries = this._readCrateVersions(name)
+    this._entries.set(name, { time: Date.now(), entries })
+    return entries
+  }
+
+  async _readCrateVersions(name) {
+    const dirs = await this._cacheDirs()
+    const buffers = await Promise.all(
+      dirs.map((dir) => fs.promises.readFile(path.join(dir, indexPath(name))).catch(() => null))
+    )
+    const versions = new Map()
+    buffers.filter(Boolean).forEach((buffer) => {
+      parseCacheFile(buffer).forEach((entry) => versions.set(entry.vers, entry))
+    })
+    return Array.from(versions.values()).sort((a, b) => compareVersions(b.vers, a.vers))
+  }
+}
+
+module.exports = {
+  CargoRegistry,
+  parseVersion,
+  compareVersions,
+  latestEntry,
+  entryFeatures,
+  indexPath,
+  parseCacheFile,
+}
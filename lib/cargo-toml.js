@@ -0,0 +1,620 @@
+const path = require("path")
+const toml = require("toml")
+const { CompositeDisposable, Range } = require("atom")
+const { parseVersion, latestEntry, entryFeatures } = require("./cargo-registry")
+
+const DEPENDENCY_TABLES = new Set([
+  "dependencies",
+  "dev-dependencies",
+  "build-dependencies",
+  "dev_dependencies",
+  "build_dependencies",
+])
+
+/** Most crate name suggestions, each is looked up for its latest version */
+const MAX_CRATE_SUGGESTIONS = 30
+const MAX_VERSION_SUGGESTIONS = 100
+const MAX_DATATIP_FEATURES = 40
+
+/**
+ * @typedef {{
+ *   table: string[]
+ *   name: string
+ *   keyRange: Range
+ *   req: string | null
+ *   reqRange: Range | null
+ *   package: string | null
+ * }} ScannedDependency
+ *   A dependency in a table like `[dependencies]`, `package` is the crate of a renamed dependency. The key is the name
+ *   in the header of `[dependencies.name]` tables.
+ */
+
+/** @typedef {{ op: string; parts: number[]; compared: number }} Requirement `compared` parts must match exactly */
+
+/**
+ * @param {TextEditor} editor
+ * @returns {boolean}
+ */
+function isCargoToml(editor) {
+  return path.basename(editor.getPath() || "") === "Cargo.toml"
+}
+
+/**
+ * @param {string} key Toml key, ie `target.'cfg(unix)'.dependencies`
+ * @returns {string[]} Unquoted segments
+ */
+function splitKey(key) {
+  return (key.match(/"(?:[^"\\]|\\.)*"|'[^']*'|[^\s"'.]+/g) || []).map((segment) =>
+    segment.replace(/^(["'])(.*)\1$/, "$2")
+  )
+}
+
+/**
+ * @param {string[]} table
+ * @returns {boolean} Whether the table lists dependencies, ie `[dev-dependencies]`, `[target.'cfg(unix)'.dependencies]`
+ *   or `[workspace.dependencies]`
+ */
+function isDependencyTable(table) {
+  const last = table[table.length - 1]
+  return (
+    DEPENDENCY_TABLES.has(last) &&
+    (table.length === 1 ||
+      (table.length === 3 && table[0] === "target") ||
+      (table.length === 2 && table[0] === "workspace" && last === "dependencies"))
+  )
+}
+
+/**
+ * @param {string} line
+ * @param {number} row
+ * @param {number} quote Column of the opening quote
+ * @returns {{ value: string; range: Range } | null} Contents of the basic string
+ */
+function stringAt(line, row, quote) {
+  const end = line.indexOf('"', quote + 1)
+  return end < 0 ? null : { value: line.slice(quote + 1, end), range: new Range([row, quote + 1], [row, end]) }
+}
+
+/**
+ * @param {string} line
+ * @param {number} row
+ * @param {string} key Ie `version`, within an inline table or at the start of the line
+ * @returns {{ value: string; range: Range } | null} Contents of the key's string value
+ */
+function stringValue(line, row, key) {
+  const match = new RegExp(`(?:^|[\\s{,])${key}\\s*=\\s*"`).exec(line)
+  return match ? stringAt(line, row, match.index + match[0].length - 1) : null
+}
+
+/**
+ * Finds dependencies & their version requirements line by line, so it works while the manifest is being edited. Only
+ * single line values are found.
+ *
+ * @param {string} text
+ * @returns {ScannedDependency[]}
+ */
+function scanDependencies(text) {
+  /** @type {Map<string, ScannedDependency>} */
+  const dependencies = new Map()
+  const dependency = (depTable, depName, keyRange) => {
+    const key = [...depTable, depName].join("\0")
+    if (!dependencies.has(key)) {
+      dependencies.set(key, { table: depTable, name: depName, keyRange, req: null, reqRange: null, package: null })
+    }
+    return dependencies.get(key)
+  }
+  const setVersion = (dep, version) => {
+    if (version) {
+      dep.req = version.value
+      dep.reqRange = version.range
+    }
+  }
+  const setPackage = (dep, pkg) => {
+    if (pkg) {
+      dep.package = pkg.value
+    }
+  }
+
+  let table = []
+  /** @type {ScannedDependency | null} Dependency of a `[dependencies.name]` table */
+  let tableDependency = null
+  text.split(/\r?\n/).forEach((line, row) => {
+    if (/^\s*\[/.test(line)) {
+      // array tables, ie `[[bin]]`, never list dependencies
+      const header = line.match(/^\s*\[\s*([^[\]]+?)\s*]/)
+      table = header ? splitKey(header[1]) : []
+      tableDependency = null
+      if (table.length > 1 && isDependencyTable(table.slice(0, -1))) {
+        const tableName = table[table.length - 1]
+        const column = line.lastIndexOf(tableName)
+        tableDependency = dependency(
+          table.slice(0, -1),
+          tableName,
+          new Range([row, column], [row, column + tableName.length])
+        )
+      }
+      return
+    }
+    if (tableDependency) {
+      setVersion(tableDependency, stringValue(line, row, "version"))
+      setPackage(tableDependency, stringValue(line, row, "package"))
+      return
+    }
+    if (!isDependencyTable(table)) {
+      return
+    }
+
+    const entry = line.match(/^(\s*)([\w-]+)(?:\.([\w-]+))?\s*=\s*/)
+    if (!entry) {
+      return
+    }
+    const [prefix, indent, name, field] = entry
+    const dep = dependency(table, name, new Range([row, indent.length], [row, indent.length + name.length]))
+    if (line[prefix.length] === '"') {
+      // `serde = "1"` or dotted keys, ie `serde.version = "1"`
+      const value = stringAt(line, row, prefix.length)
+      if (!field || field === "version") {
+        setVersion(dep, value)
+      } else if (field === "package") {
+        setPackage(dep, value)
+      }
+    } else if (!field && line[prefix.length] === "{") {
+      setVersion(dep, stringValue(line, row, "version"))
+      setPackage(dep, stringValue(line, row, "package"))
+    }
+  })
+  return Array.from(dependencies.values())
+}
+
+/**
+ * @param {string} req Version requirement, ie `1.2`, `^0.3.1`, `~1.4` or `=2.0.0`
+ * @returns {Requirement | null} Null for requirements that aren't a single caret, tilde or exact requirement
+ */
+function parseRequirement(req) {
+  const match = req.trim().match(/^([=^~]?)\s*(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-[\w.-]+)?(?:\+[\w.-]+)?$/)
+  if (!match) {
+    return null
+  }
+  const op = match[1]
+  const parts = match
+    .slice(2, 5)
+    .filter((part) => part !== undefined)
+    .map(Number)
+  let compared
+  if (op === "=") {
+    compared = parts.length
+  } else if (op === "~") {
+    compared = Math.min(parts.length, 2)
+  } else {
+    // caret requirements allow changes after the first non-zero part
+    const nonZero = parts.findIndex((part) => part !== 0)
+    compared = nonZero === -1 ? parts.length : nonZero + 1
+  }
+  return { op, parts, compared }
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+function compareParts(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if ((a[i] || 0) !== (b[i] || 0)) {
+      return (a[i] || 0) - (b[i] || 0)
+    }
+  }
+  return 0
+}
+
+/**
+ * @param {Version} version
+ * @returns {number[]}
+ */
+function versionParts(version) {
+  return [version.major, version.minor, version.patch]
+}
+
+/**
+ * @param {Requirement} requirement
+ * @param {string} vers
+ * @returns {boolean} Whether the version matches, pre-releases are treated like their release
+ */
+function satisfies(requirement, vers) {
+  const version = parseVersion(vers)
+  if (!version) {
+    return false
+  }
+  const parts = versionParts(version)
+  return (
+    compareParts(parts, requirement.parts) >= 0 &&
+    requirement.parts.slice(0, requirement.compared).every((part, i) => part === parts[i])
+  )
+}
+
+/**
+ * @param {string} req
+ * @param {string} latest
+ * @returns {boolean} Whether the requirement excludes a newer latest version
+ */
+function isOutdated(req, latest) {
+  const requirement = parseRequirement(req)
+  const version = parseVersion(latest)
+  return Boolean(
+    requirement &&
+      version &&
+      !satisfies(requirement, latest) &&
+      compareParts(versionParts(version), requirement.parts) > 0
+  )
+}
+
+/**
+ * @param {string} req
+ * @param {string} latest
+ * @returns {string} Requirement of the latest version, keeping the operator & precision
+ */
+function bumpRequirement(req, latest) {
+  const requirement = parseRequirement(req)
+  const version = parseVersion(latest)
+  if (!requirement || !version || version.pre) {
+    return latest
+  }
+  return `${requirement.op}${versionParts(version).slice(0, requirement.parts.length).join(".")}`
+}
+
+/**
+ * @param {IndexEntry[]} entries Highest first
+ * @param {string | null} req
+ * @returns {IndexEntry | null} The highest release matching the requirement, otherwise the latest
+ */
+function matchingEntry(entries, req) {
+  const requirement = req && parseRequirement(req)
+  const match =
+    requirement &&
+    entries.find(
+      (entry) => !entry.yanked && !(parseVersion(entry.vers) || {}).pre && satisfies(requirement, entry.vers)
+    )
+  return match || latestEntry(entries)
+}
+
+/**
+ * @param {object} value
+ * @param {string[]} keys
+ * @returns {any}
+ */
+function lookup(value, keys) {
+  return keys.reduce((v, key) => (v && typeof v === "object" ? v[key] : undefined), value)
+}
+
+/**
+ * Finds the completion at a position in a manifest, on a single line
+ *
+ * @param {string[]} lines
+ * @param {Point} point
+ * @returns {{ kind: "crate" | "version" | "feature"; name?: string; prefix: string; listed?: string[] } | null}
+ */
+function completionContext(lines, point) {
+  let table = []
+  for (let row = point.row; row >= 0; row--) {
+    const header = lines[row].match(/^\s*\[\s*([^[\]]+?)\s*]/)
+    if (header) {
+      table = row === point.row ? [] : splitKey(header[1])
+      break
+    }
+  }
+  const before = lines[point.row].slice(0, point.column)
+  const features = (match, name) => {
+    const listed = (match[1].match(/"[^"]*"/g) || []).map((s) => s.slice(1, -1))
+    return { kind: "feature", name, prefix: match[2], listed }
+  }
+  const FEATURES = String.raw`features\s*=\s*\[((?:\s*"[^"]*"\s*,)*\s*)"([^"]*)$`
+
+  if (table.length > 1 && isDependencyTable(table.slice(0, -1))) {
+    const name = table[table.length - 1]
+    const tableVersion = before.match(/^\s*version\s*=\s*"([^"]*)$/)
+    if (tableVersion) {
+      return { kind: "version", name, prefix: tableVersion[1] }
+    }
+    const tableFeature = before.match(new RegExp(`^\\s*${FEATURES}`))
+    return tableFeature ? features(tableFeature, name) : null
+  }
+  if (!isDependencyTable(table)) {
+    return null
+  }
+
+  const crate = before.match(/^\s*([\w-]*)$/)
+  if (crate) {
+    return { kind: "crate", prefix: crate[1] }
+  }
+  const version =
+    before.match(/^\s*([\w-]+)\s*=\s*"([^"]*)$/) ||
+    before.match(/^\s*([\w-]+)\.version\s*=\s*"([^"]*)$/) ||
+    before.match(/^\s*([\w-]+)\s*=\s*{.*\bversion\s*=\s*"([^"]*)$/)
+  if (version) {
+    return { kind: "version", name: version[1], prefix: version[2] }
+  }
+  const feature =
+    before.match(new RegExp(`^\\s*([\\w-]+)\\.${FEATURES}`)) ||
+    before.match(new RegExp(`^\\s*([\\w-]+)\\s*=\\s*{.*\\b${FEATURES}`))
+  return feature ? features(feature.slice(1), feature[1]) : null
+}
+
+/**
+ * @param {string[]} lines
+ * @param {Point} point
+ * @param {string} name Dependency key
+ * @returns {string} Crate of the dependency, renamed dependencies are looked up by `package`
+ */
+function crateName(lines, point, name) {
+  const dep = scanDependencies(lines.join("\n")).find((d) => d.name === name && d.keyRange.start.row <= point.row)
+  return (dep && dep.package) || name
+}
+
+/**
+ * `Cargo.toml` editing: crate name, version & feature completions & datatips from the local registry index, outdated
+ * dependency diagnostics & code actions to bump them
+ *
+ * @param {CargoRegistry} registry
+ */
+class CargoTomlAssist {
+  constructor(registry) {
+    this.registry = registry
+    /** @type {?IndieDelegate} */
+    this.linter = null
+    /** @type {Map<TextEditor, Disposable>} */
+    this.editors = new Map()
+
+    this.disposables = new CompositeDisposable(atom.workspace.observeTextEditors((editor) => this._watchEditor(editor)))
+  }
+
+  /** @param {?IndieDelegate} linter */
+  setLinter(linter) {
+    this.linter = linter
+    this.editors.forEach((_, editor) => this.lint(editor))
+  }
+
+  _watchEditor(editor) {
+    const disposable = new CompositeDisposable(
+      editor.onDidStopChanging(() => this.lint(editor)),
+      editor.onDidChangePath(() => this.lint(editor)),
+      editor.onDidDestroy(() => {
+        disposable.dispose()
+        this.editors.delete(editor)
+        const filePath = editor.getPath()
+        if (this.linter && filePath && !atom.workspace.getTextEditors().some((e) => e.getPath() === filePath)) {
+          this.linter.setMessages(filePath, [])
+        }
+      })
+    )
+    this.editors.set(editor, disposable)
+    this.lint(editor)
+  }
+
+  /**
+   * @param {string} text Manifest
+   * @returns {Promise<
+   *   { crate: string; req: string; latest: string; range: Range }[] | null
+   * >}
+   *   Dependencies with a newer version in the index, null if the manifest isn't valid toml
+   */
+  async outdatedDependencies(text) {
+    let manifest
+    try {
+      manifest = toml.parse(text)
+    } catch (e) {
+      return null
+    }
+    const checked = scanDependencies(text)
+      .map((dep) => {
+        const value = lookup(manifest, [...dep.table, dep.name])
+        const req = typeof value === "string" ? value : value && value.version
+        return { dep, req, crate: (value && value.package) || dep.name }
+      })
+      .filter(({ dep, req }) => req && dep.reqRange && req === dep.req)
+    const entries = await Promise.all(checked.map(({ crate }) => this.registry.crateVersions(crate)))
+    const outdated = []
+    checked.forEach(({ dep, req, crate }, i) => {
+      const latest = latestEntry(entries[i])
+      if (latest && isOutdated(req, latest.vers)) {
+        outdated.push({ crate, req, latest: latest.vers, range: dep.reqRange })
+      }
+    })
+    return outdated
+  }
+
+  /** @param {TextEditor} editor Shows outdated dependencies of a `Cargo.toml` editor in the linter */
+  async lint(editor) {
+    const filePath = editor.getPath()
+    if (!this.linter || !filePath || !isCargoToml(editor)) {
+      return
+    }
+    const outdated = await this.outdatedDependencies(editor.getText())
+    if (!outdated || editor.isDestroyed() || !this.linter) {
+      return
+    }
+    this.linter.setMessages(
+      filePath,
+      outdated.map(({ crate, req, latest, range }) => {
+        const bumped = bumpRequirement(req, latest)
+        return {
+          severity: "info",
+          location: { file: filePath, position: range },
+          excerpt: `${crate} ${latest} is available`,
+          description: `\`${req}\` doesn't include the latest version of \`${crate}\` in the local registry index.`,
+          url: `https://crates.io/crates/${crate}`,
+          solutions: [{ title: `Bump to ${bumped}`, position: range, replaceWith: bumped }],
+          linterName: "Cargo.toml",
+        }
+      })
+    )
+  }
+
+  /** @returns {object} Autocomplete provider for `Cargo.toml` */
+  autocompleteProvider() {
+    return {
+      selector: ".source.toml",
+      inclusionPriority: 1,
+      suggestionPriority: 2,
+      excludeLowerPriority: false,
+      filterSuggestions: false,
+      getSuggestions: (request) => this.getSuggestions(request),
+    }
+  }
+
+  /**
+   * @param {{ editor: TextEditor; bufferPosition: Point }} request
+   * @returns {Promise<object[]>} Suggestions
+   */
+  async getSuggestions({ editor, bufferPosition }) {
+    if (!isCargoToml(editor)) {
+      return []
+    }
+    const lines = editor.getBuffer().getLines()
+    const context = completionContext(lines, bufferPosition)
+    if (!context) {
+      return []
+    }
+    const { kind, prefix } = context
+
+    if (kind === "crate") {
+      if (!prefix) {
+        return []
+      }
+      const normalized = prefix.toLowerCase().replace(/_/g, "-")
+      const names = (await this.registry.crateNames())
+        .filter((name) => name.replace(/_/g, "-").startsWith(normalized))
+        .slice(0, MAX_CRATE_SUGGESTIONS)
+      // editing the key of an existing dependency
+      const hasValue = lines[bufferPosition.row].slice(bufferPosition.column).includes("=")
+      return Promise.all(
+        names.map(async (name) => {
+          const latest = latestEntry(await this.registry.crateVersions(name))
+          return {
+            snippet: hasValue ? name : `${name} = "\${1:${latest ? latest.vers : ""}}"$0`,
+            displayText: name,
+            replacementPrefix: prefix,
+            type: "import",
+            rightLabel: latest ? latest.vers : undefined,
+          }
+        })
+      )
+    }
+
+    const crate = crateName(lines, bufferPosition, context.name)
+    const entries = await this.registry.crateVersions(crate)
+    if (kind === "version") {
+      const latest = latestEntry(entries)
+      // keep the requirement operator, ie `^`
+      const [, op, partial] = prefix.match(/^([<=>^~]*\s*)(.*)$/)
+      return entries
+        .filter((e) => !e.yanked && e.vers.startsWith(partial))
+        .slice(0, MAX_VERSION_SUGGESTIONS)
+        .map((e) => ({
+          text: `${op}${e.vers}`,
+          replacementPrefix: prefix,
+          type: "value",
+          rightLabel: latest && e.vers === latest.vers ? "latest" : undefined,
+        }))
+    }
+
+    const dep = scanDependencies(lines.join("\n")).find((d) => d.name === context.name && d.req)
+    const entry = matchingEntry(entries, dep && dep.req)
+    return (entry ? entryFeatures(entry) : [])
+      .filter((feature) => feature.startsWith(prefix) && !context.listed.includes(feature))
+      .map((feature) => ({
+        text: feature,
+        replacementPrefix: prefix,
+        type: "constant",
+        rightLabel: `${crate} ${entry.vers}`,
+      }))
+  }
+
+  /** @returns {object} Datatip provider for `Cargo.toml` */
+  datatipProvider() {
+    return {
+      providerName: "ide-rust Cargo.toml",
+      priority: 1,
+      grammarScopes: ["source.toml"],
+      validForScope: (scopeName) => scopeName === "source.toml",
+      datatip: (editor, point) => this.getDatatip(editor, point),
+    }
+  }
+
+  /**
+   * @param {TextEditor} editor
+   * @param {Point} point
+   * @returns {Promise<atomIde.Datatip | null>} The local index's latest version & features of the dependency at the
+   *   point
+   */
+  async getDatatip(editor, point) {
+    if (!isCargoToml(editor)) {
+      return null
+    }
+    const dep = scanDependencies(editor.getText()).find(
+      (d) => d.keyRange.containsPoint(point) || (d.reqRange && d.reqRange.containsPoint(point))
+    )
+    if (!dep) {
+      return null
+    }
+    const crate = dep.package || dep.name
+    const entries = await this.registry.crateVersions(crate)
+    const latest = latestEntry(entries)
+    const lines = [`**${crate}**${dep.req ? ` \`${dep.req}\`` : ""}`]
+    if (latest) {
+      const outdated = dep.req && isOutdated(dep.req, latest.vers)
+      lines.push(`${outdated ? "Newer version available" : "Latest"}: \`${latest.vers}\``)
+      const entry = matchingEntry(entries, dep.req)
+      const features = entryFeatures(entry)
+      if (features.length) {
+        const shown = features.slice(0, MAX_DATATIP_FEATURES).map((f) => `\`${f}\``)
+        const more = features.length > shown.length ? `, ${features.length - shown.length} more` : ""
+        lines.push(`Features of ${entry.vers}: ${shown.join(", ")}${more}`)
+      }
+    } else {
+      lines.push("Not in the local registry index")
+    }
+    lines.push(`[docs.rs](https://docs.rs/${crate}) · [crates.io](https://crates.io/crates/${crate})`)
+    return { range: dep.keyRange, markedStrings: [{ type: "markdown", value: lines.join("\n\n") }] }
+  }
+
+  /**
+   * @param {TextEditor} editor
+   * @param {Range} range
+   * @returns {Promise<atomIde.CodeAction[]>} Bumps of outdated dependencies on the range's rows
+   */
+  async getCodeActions(editor, range) {
+    if (!isCargoToml(editor)) {
+      return []
+    }
+    const outdated = (await this.outdatedDependencies(editor.getText())) || []
+    return outdated
+      .filter((dep) => dep.range.start.row >= range.start.row && dep.range.start.row <= range.end.row)
+      .map(({ crate, req, latest, range: reqRange }) => {
+        const bumped = bumpRequirement(req, latest)
+        return {
+          apply: () => {
+            if (editor.getTextInBufferRange(reqRange) === req) {
+              editor.setTextInBufferRange(reqRange, bumped)
+            }
+            return Promise.resolve()
+          },
+          getTitle: () => Promise.resolve(`Bump ${crate} to ${bumped}`),
+          dispose: () => undefined,
+        }
+      })
+  }
+
+  dispose() {
+    this.disposables.dispose()
+    this.editors.forEach((disposable) => disposable.dispose())
+    this.editors.clear()
+  }
+}
+
+module.exports = {
+  CargoTomlAssist,
+  scanDependencies,
+  completionContext,
+  isOutdated,
+  bumpRequirement,
+}
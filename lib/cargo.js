@@ -0,0 +1,234 @@
+const path = require("path")
+const { Point, Range } = require("atom")
+const { rustupRun, rustupSpawn } = require("./rustup")
+
+/** Cargo commands run by `ide-rust:cargo-<name>`, with their arguments */
+const CARGO_COMMANDS = {
+  build: ["build"],
+  check: ["check"],
+  clippy: ["clippy"],
+  test: ["test"],
+  doc: ["doc"],
+}
+
+const SEVERITIES = {
+  error: "error",
+  "error: internal compiler error": "error",
+  warning: "warning",
+}
+
+/**
+ * @param {string} name Key of {CARGO_COMMANDS}
+ * @returns {string[]} Cargo arguments, with json messages
+ */
+function cargoArgs(name) {
+  return [...CARGO_COMMANDS[name], "--message-format=json"]
+}
+
+/**
+ * @param {string} [toolchain]
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {ChildProcess}
+ */
+function spawnCargo(toolchain, args, cwd) {
+  return rustupSpawn(toolchain, "cargo", args, {
+    cwd,
+    env: { RUST_BACKTRACE: process.env.RUST_BACKTRACE || "1" },
+  })
+}
+
+/**
+ * Cargo runs rustc in the workspace root, so diagnostic spans are relative to it
+ *
+ * @param {string} [toolchain]
+ * @param {string} cwd
+ * @returns {Promise<string>} Workspace root directory, `cwd` if it can't be located
+ */
+async function cargoWorkspaceRoot(toolchain, cwd) {
+  try {
+    const { stdout } = await rustupRun(toolchain, "cargo locate-project --workspace --message-format plain", { cwd })
+    return path.dirname(stdout.trim())
+  } catch (e) {
+    return cwd
+  }
+}
+
+/**
+ * @param {string} line Cargo stdout line
+ * @returns {object | null} Cargo json message, ie with reason `compiler-message`, null for other output
+ */
+function parseCargoMessage(line) {
+  if (!line.startsWith("{")) {
+    return null
+  }
+  try {
+    const message = JSON.parse(line)
+    return message && typeof message.reason === "string" ? message : null
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * @param {object} span Rustc diagnostic span
+ * @returns {object} The span, or for spans inside macros defined outside the workspace the macro call site
+ */
+function callSite(span) {
+  let site = span
+  while (site.expansion && (site.file_name.startsWith("<") || path.isAbsolute(site.file_name))) {
+    site = site.expansion.span
+  }
+  return site
+}
+
+/**
+ * @param {object} span
+ * @returns {Range}
+ */
+function spanRange(span) {
+  return new Range([span.line_start - 1, span.column_start - 1], [span.line_end - 1, span.column_end - 1])
+}
+
+/**
+ * @param {{ code: string } | null} code Diagnostic code, ie `E0308` or `clippy::needless_return`
+ * @returns {string | undefined} Documentation url
+ */
+function codeUrl(code) {
+  if (!code || !code.code) {
+    return undefined
+  }
+  if (/^E\d{4}$/.test(code.code)) {
+    return `https://doc.rust-lang.org/error_codes/${code.code}.html`
+  }
+  if (code.code.startsWith("clippy::")) {
+    return `https://rust-lang.github.io/rust-clippy/master/index.html#${code.code.slice("clippy::".length)}`
+  }
+  return undefined
+}
+
+/**
+ * Converts a rustc json diagnostic into a linter message located at its primary span, referencing the first secondary
+ * span & offering machine applicable suggestions as solutions
+ *
+ * @param {object} diagnostic Rustc diagnostic, the `message` of a `compiler-message`
+ * @param {string} root Workspace root spans are relative to
+ * @param {string} linterName
+ * @returns {object | null} Linter v2 message, null for diagnostics without a location
+ */
+function toLinterMessage(diagnostic, root, linterName) {
+  const primary = diagnostic.spans.find((s) => s.is_primary)
+  if (!primary) {
+    return null
+  }
+  const span = callSite(primary)
+  const file = path.resolve(root, span.file_name)
+  const secondary = diagnostic.spans.filter((s) => !s.is_primary).map(callSite)
+  const children = diagnostic.children || []
+
+  const description = [
+    ...secondary
+      .filter(({ label }) => label)
+      .map((s) => `- \`${s.file_name}:${s.line_start}:${s.column_start}\` ${s.label}`),
+    ...children.map((child) => `- **${child.level}**: ${child.message}`),
+  ].join("\n")
+
+  const solutions = []
+  for (const child of children) {
+    for (const suggestion of child.spans || []) {
+      if (typeof suggestion.suggested_replacement === "string" && path.resolve(root, suggestion.file_name) === file) {
+        solutions.push({
+          title: child.message,
+          position: spanRange(suggestion),
+          replaceWith: suggestion.suggested_replacement,
+        })
+      }
+    }
+  }
+
+  return {
+    severity: SEVERITIES[diagnostic.level] || "info",
+    location: { file, position: spanRange(span) },
+    excerpt: diagnostic.message,
+    description: description || undefined,
+    url: codeUrl(diagnostic.code),
+    reference: secondary[0]
+      ? {
+          file: path.resolve(root, secondary[0].file_name),
+          position: new Point(secondary[0].line_start - 1, secondary[0].column_start - 1),
+        }
+      : undefined,
+    solutions: solutions.length ? solutions : undefined,
+    linterName,
+  }
+}
+
+/** Diagnostics from cargo commands, per workspace, pushed to a `linter-indie` delegate */
+class CargoDiagnostics {
+  constructor() {
+    /** @type {?IndieDelegate} */
+    this.linter = null
+    /** @type {Map<string, Map<string, object>>} Workspace root -> message key -> linter message */
+    this.messages = new Map()
+  }
+
+  /** @param {?IndieDelegate} linter */
+  setLinter(linter) {
+    this.linter = linter
+    this._update()
+  }
+
+  /** @param {string} root Clears the workspace's messages, ie at the start of a new run */
+  clear(root) {
+    this.messages.delete(root)
+    this._update()
+  }
+
+  /** @param {string} dir Clears the messages of workspaces containing or inside the directory */
+  clearWithin(dir) {
+    const within = (a, b) => a === b || a.startsWith(`${b}${path.sep}`)
+    for (const root of Array.from(this.messages.keys())) {
+      if (within(root, dir) || within(dir, root)) {
+        this.messages.delete(root)
+      }
+    }
+    this._update()
+  }
+
+  /**
+   * @param {string} root
+   * @param {object} diagnostic Rustc diagnostic
+   * @param {string} linterName
+   */
+  add(root, diagnostic, linterName) {
+    const message = toLinterMessage(diagnostic, root, linterName)
+    if (!message) {
+      return
+    }
+    if (!this.messages.has(root)) {
+      this.messages.set(root, new Map())
+    }
+    // diagnostics are repeated when a file is part of multiple targets
+    const key = `${message.location.file}|${message.location.position}|${message.excerpt}`
+    this.messages.get(root).set(key, message)
+    this._update()
+  }
+
+  _update() {
+    if (this.linter) {
+      const all = []
+      this.messages.forEach((messages) => all.push(...messages.values()))
+      this.linter.setAllMessages(all)
+    }
+  }
+}
+
+module.exports = {
+  CARGO_COMMANDS,
+  cargoArgs,
+  spawnCargo,
+  cargoWorkspaceRoot,
+  parseCargoMessage,
+  toLinterMessage,
+  CargoDiagnostics,
+}
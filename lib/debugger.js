@@ -0,0 +1,181 @@
+const fs = require("fs")
+const path = require("path")
+const { envPath } = require("./exec")
+
+/**
+ * Debug adapter protocol servers, the first command found on the PATH is used
+ *
+ * @type {{ [adapter: string]: { commands: string[]; args: function; launch: function } }}
+ */
+const ADAPTERS = {
+  lldb: {
+    commands: ["lldb-dap", "lldb-vscode"],
+    args: () => [],
+    /** @returns {object} `launch` request arguments, loading the pretty printers like `rust-lldb` */
+    launch: ({ program, args, cwd, env }, etcDir) => ({
+      program,
+      args,
+      cwd,
+      env: Object.keys(env).map((name) => `${name}=${env[name]}`),
+      initCommands: etcDir
+        ? [
+            `command script import "${path.join(etcDir, "lldb_lookup.py")}"`,
+            `command source -s 0 "${path.join(etcDir, "lldb_commands")}"`,
+          ]
+        : [],
+    }),
+  },
+  gdb: {
+    commands: ["gdb"],
+    /** @returns {string[]} Arguments auto-loading the pretty printers like `rust-gdb` */
+    args: (etcDir) => [
+      "--interpreter=dap",
+      ...(etcDir ? ["--directory", etcDir, "-iex", `add-auto-load-safe-path ${etcDir}`] : []),
+    ],
+    launch: ({ program, args, cwd, env }) => ({ program, args, cwd, env }),
+  },
+}
+
+/**
+ * A launch configuration from the project settings `debug.configurations`
+ *
+ * @typedef {{
+ *   name: string
+ *   cargoArgs?: string[]
+ *   program?: string
+ *   args?: string[]
+ *   cwd?: string
+ *   env?: object
+ * }} LaunchConfiguration
+ *   Debugs `program`, or the executable built by cargo with `cargoArgs`, ie `["build", "--bin", "server"]`
+ */
+
+/**
+ * @param {Runnable} runnable
+ * @returns {boolean} Whether the runnable builds an executable to debug, ie a binary or test
+ */
+function isDebuggable(runnable) {
+  const cargoArgs = (runnable.kind === "cargo" && runnable.args.cargoArgs) || []
+  // doctests are compiled & run by rustdoc
+  return ["run", "test", "bench", "build"].includes(cargoArgs[0]) && !cargoArgs.includes("--doc")
+}
+
+/**
+ * @param {Runnable} runnable A debuggable runnable
+ * @returns {Runnable} Builds the runnable's executable without running it, printing json messages
+ */
+function buildRunnable(runnable) {
+  const [subcommand, ...cargoArgs] = runnable.args.cargoArgs
+  const build = subcommand === "run" || subcommand === "build" ? ["build"] : [subcommand, "--no-run"]
+  return {
+    label: `build ${runnable.label}`,
+    kind: "cargo",
+    args: Object.assign({}, runnable.args, {
+      cargoArgs: [...build, ...cargoArgs, "--message-format=json"],
+      executableArgs: [],
+    }),
+  }
+}
+
+/**
+ * @param {object[]} messages Cargo json messages of the build
+ * @param {Runnable} runnable The runnable built
+ * @returns {string} Path of the executable to debug
+ * @throws {Error} If the build produced no executable or several
+ */
+function builtExecutable(messages, runnable) {
+  const isTest = runnable.args.cargoArgs[0] === "test" || runnable.args.cargoArgs[0] === "bench"
+  const executables = messages
+    .filter((message) => message.reason === "compiler-artifact" && message.executable)
+    .filter((message) => !message.target.kind.includes("custom-build"))
+    .filter((message) => Boolean(message.profile && message.profile.test) === isTest)
+    .map((message) => message.executable)
+  if (!executables.length) {
+    throw new Error("The build produced no executable to debug")
+  }
+  if (executables.length > 1) {
+    const names = executables.map((executable) => `\`${path.basename(executable)}\``).join(", ")
+    throw new Error(`The build produced several executables, ${names}, select one with cargo arguments like \`--bin\``)
+  }
+  return executables[0]
+}
+
+/**
+ * @param {string} projectPath
+ * @param {LaunchConfiguration} configuration
+ * @returns {Runnable} Builds the configuration's executable & runs it with the configuration's arguments
+ */
+function configurationRunnable(projectPath, configuration) {
+  return {
+    label: configuration.name,
+    kind: "cargo",
+    args: {
+      workspaceRoot: projectPath,
+      cwd: configuration.cwd ? path.resolve(projectPath, configuration.cwd) : projectPath,
+      cargoArgs: configuration.cargoArgs || ["build"],
+      cargoExtraArgs: [],
+      executableArgs: configuration.args || [],
+      environment: configuration.env || {},
+    },
+  }
+}
+
+/**
+ * @param {string} adapter Key of {ADAPTERS}
+ * @param {string} [adapterPath] Configured adapter command
+ * @returns {string | null} The adapter command, null if none of its commands are on the PATH
+ */
+function findAdapter(adapter, adapterPath) {
+  if (adapterPath) {
+    return adapterPath
+  }
+  const extensions = process.platform === "win32" ? [".exe", ""] : [""]
+  for (const command of ADAPTERS[adapter].commands) {
+    for (const dir of envPath().split(path.delimiter)) {
+      const found = extensions.map((ext) => path.join(dir, command + ext)).find((file) => fs.existsSync(file))
+      if (found) {
+        return found
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Process config for atom-ide-debugger's `startVspDebugging`
+ *
+ * @param {object} options
+ * @param {string} options.adapter Key of {ADAPTERS}
+ * @param {string} options.command Adapter command
+ * @param {string} options.name Shown as the debugged process name
+ * @param {string} options.program
+ * @param {string[]} options.args
+ * @param {string} options.cwd
+ * @param {object} options.env
+ * @param {string | null} options.sysroot Toolchain sysroot, for the rust pretty printers
+ * @returns {object}
+ */
+function processConfig({ adapter, command, name, program, args, cwd, env, sysroot }) {
+  const etcDir = sysroot && path.join(sysroot, "lib", "rustlib", "etc")
+  const prettyPrinters = etcDir && fs.existsSync(etcDir) ? etcDir : null
+  return {
+    targetUri: program,
+    debugMode: "launch",
+    adapterType: `rust-${adapter}`,
+    adapterExecutable: { command, args: ADAPTERS[adapter].args(prettyPrinters) },
+    config: ADAPTERS[adapter].launch({ program, args, cwd, env }, prettyPrinters),
+    servicedFileExtensions: ["rs"],
+    processName: name,
+    isRestartable: true,
+  }
+}
+
+module.exports = {
+  ADAPTERS,
+  isDebuggable,
+  buildRunnable,
+  builtExecutable,
+  configurationRunnable,
+  findAdapter,
+  processConfig,
+}
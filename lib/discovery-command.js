@@ -0,0 +1,75 @@
+const path = require("path")
+const { spawn } = require("./exec")
+const { globToRegExp } = require("./watched-files")
+
+/** @type {number} Stderr lines kept for error notifications */
+const STDERR_TAIL_LINES = 30
+
+/**
+ * @typedef {{ command: string[] | string; filesToWatch?: string[] }} DiscoveryConfig
+ *   `projectDiscovery` in the project settings. A string command runs in a shell.
+ */
+
+/**
+ * Runs a project discovery command, ie a Bazel or Buck target generating the project's `rust-project.json`
+ *
+ * @param {string} projectPath Working directory
+ * @param {string[] | string} command
+ * @returns {Promise<object>} The `rust-project.json` printed to stdout
+ * @throws {Error} With `stderr` lines when the command fails or prints an invalid project
+ */
+function runDiscoveryCommand(projectPath, command) {
+  return new Promise((resolve, reject) => {
+    const [file, ...args] = Array.isArray(command) ? command : [command]
+    const child = spawn(file, args, { cwd: projectPath, shell: !Array.isArray(command) })
+    let stdout = ""
+    let stderr = ""
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk
+    })
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk
+    })
+
+    const fail = (message) => {
+      const error = new Error(message)
+      error.stderr = stderr.trim().split(/\r?\n/).filter(Boolean).slice(-STDERR_TAIL_LINES)
+      reject(error)
+    }
+    child.on("error", (e) => fail(`Couldn't run \`${file}\`: ${e.message}`))
+    child.on("close", (code, signal) => {
+      if (code !== 0) {
+        fail(`Exited with ${signal ? `signal ${signal}` : `code ${code}`}`)
+        return
+      }
+      let project
+      try {
+        project = JSON.parse(stdout)
+      } catch (e) {
+        fail(`Output isn't JSON: ${e.message}`)
+        return
+      }
+      if (!project || !Array.isArray(project.crates)) {
+        fail("Output isn't a `rust-project.json`, it has no `crates`")
+        return
+      }
+      resolve(project)
+    })
+  })
+}
+
+/**
+ * @param {string} projectPath
+ * @param {string[]} globs `filesToWatch`, relative to the project
+ * @param {string[]} changedPaths
+ * @returns {boolean} Whether a changed path is a discovery input
+ */
+function isDiscoveryInput(projectPath, globs, changedPaths) {
+  const regexes = globs.map((glob) => globToRegExp(glob))
+  return changedPaths.some((changedPath) => {
+    const relativePath = path.relative(projectPath, changedPath).split(path.sep).join("/")
+    return !relativePath.startsWith("../") && regexes.some((regex) => regex.test(relativePath))
+  })
+}
+
+module.exports = { runDiscoveryCommand, isDiscoveryInput }
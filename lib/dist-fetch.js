@@ -1,156 +1,317 @@
-const https = require("https")
-const _ = require("underscore-plus")
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const { pathToFileURL } = require("url")
+const { fetchUrl } = require("./fetch-url")
+const { hostTarget } = require("./rustup")
 
-const datedNightlyHasRlsCache = new Map()
+const DEFAULT_DIST_SERVER = "https://static.rust-lang.org"
 const DATED_REGEX = /(^[^-]+)-(\d{4,}-\d{2}-\d{2})$/
 
+/** @type {number} Millis a cached channel manifest is used before revalidating with its ETag */
+const MANIFEST_MAX_AGE_MILLIS = 30 * 60 * 1000
+
+/** @type {number} Millis a manifest request may be idle before it is aborted */
+const FETCH_TIMEOUT_MILLIS = 15 * 1000
+
+/** Packages compared between manifests to describe updates */
+const TRACKED_PACKAGES = ["rustc", "cargo", "rust-src", "rustfmt", "clippy", "rust-analyzer"]
+
+/** @type {Map<string, Promise<string>>} Url -> in-progress manifest fetch */
+const pendingFetches = new Map()
+
 /**
- * @param {string} manifest Toml
- * @returns {boolean}
+ * @typedef {{
+ *   date: string | null
+ *   version: string | null
+ *   packages: Object<string, string | null>
+ * }} ManifestSummary
+ *   Rustc version & the version of each tracked package, null when unavailable for the host
  */
-function manifest_includes_rls(manifest) {
-  return manifest.includes("rls-preview") && !manifest.includes('[pkg.rls-preview]\nversion = ""')
+
+/** @typedef {{ name: string; from: string | null; to: string | null }} ComponentChange */
+
+/** @typedef {{ channel: string; version: string; date: string; changes: ComponentChange[] }} DistUpdate */
+
+/**
+ * The dist server: the configured mirror, otherwise `RUSTUP_DIST_SERVER` like rustup, otherwise the official server.
+ * Directories are converted to `file://` urls.
+ *
+ * @returns {string} Without a trailing slash
+ */
+function distServer() {
+  const configured = (atom.config.get("ide-rust.toolchainMirror") || "").trim()
+  const server = configured || (process.env.RUSTUP_DIST_SERVER || "").trim() || DEFAULT_DIST_SERVER
+  const url = /^[a-z][\d+.a-z-]+:\/\//i.test(server) ? server : pathToFileURL(server).href
+  return url.replace(/\/+$/, "")
 }
 
 /**
- * @param {Date | string} date
- * @param {string} [channel] Defaults to `nightly`
- * @returns {Promise<string>} Toolchain name
+ * @param {string} channel Ie `stable`, `nightly` or `1.70.0`
+ * @param {string} [date] Dated release, ie `2023-06-01`
+ * @returns {string}
  */
-function checkDatedDistHasRls(date, channel = "nightly") {
-  const dateString = _.isString(date) ? date : date.toISOString().split("T")[0]
-  const cacheKey = `${channel}-${dateString}`
-
-  const fetch =
-    datedNightlyHasRlsCache.get(cacheKey) ||
-    new Promise((resolve, reject) => {
-      https
-        .get(`https://static.rust-lang.org/dist/${dateString}/channel-rust-${channel}.toml`, (res) => {
-          if (res.statusCode !== 200) {
-            return reject(new Error(`Failed, status: ${res.statusCode}`))
-          }
-          res.setEncoding("utf8")
-          let body = ""
-          res.on("data", (data) => {
-            body += data
-            if (manifest_includes_rls(body)) {
-              resolve(cacheKey)
-            }
-          })
-          res.on("end", () => reject(new Error("no 'rls-preview'")))
-        })
-        .on("error", (e) => {
-          datedNightlyHasRlsCache.delete(cacheKey)
-          reject(e)
-        })
-    })
+function manifestUrl(channel, date) {
+  return `${distServer()}/dist/${date ? `${date}/` : ""}channel-rust-${channel}.toml`
+}
+
+/**
+ * @param {string} url
+ * @returns {{ dir: string; manifest: string; meta: string }} Cache file paths for the manifest url
+ */
+function cachePaths(url) {
+  const dir = path.join(atom.getConfigDirPath(), "storage", "ide-rust", "dist-cache")
+  const key = crypto.createHash("sha1").update(url).digest("hex")
+  return { dir, manifest: path.join(dir, `${key}.toml`), meta: path.join(dir, `${key}.json`) }
+}
 
-  if (!datedNightlyHasRlsCache.has(cacheKey)) {
-    datedNightlyHasRlsCache.set(cacheKey, fetch)
+/**
+ * @param {string} url
+ * @returns {{ text: string; etag?: string; fetchedAt: number } | null}
+ */
+function readCache(url) {
+  const paths = cachePaths(url)
+  try {
+    const meta = JSON.parse(fs.readFileSync(paths.meta, "utf8"))
+    return Object.assign({ text: fs.readFileSync(paths.manifest, "utf8") }, meta)
+  } catch (e) {
+    return null
   }
+}
 
-  return fetch
+/**
+ * @param {string} url
+ * @param {string} text
+ * @param {string} [etag]
+ */
+function writeCache(url, text, etag) {
+  const paths = cachePaths(url)
+  try {
+    fs.mkdirSync(paths.dir, { recursive: true })
+    fs.writeFileSync(paths.manifest, text)
+    fs.writeFileSync(paths.meta, JSON.stringify({ etag, fetchedAt: Date.now() }))
+  } catch (e) {
+    console.warn(`ide-rust: could not cache ${url}`, e)
+  }
+}
+
+async function doFetchManifest(url, immutable) {
+  if (url.startsWith("file:")) {
+    return (await fetchUrl(url)).body.toString("utf8")
+  }
+
+  const cached = readCache(url)
+  if (cached && (immutable || Date.now() - cached.fetchedAt < MANIFEST_MAX_AGE_MILLIS)) {
+    return cached.text
+  }
+
+  try {
+    const headers = cached && cached.etag ? { "If-None-Match": cached.etag } : {}
+    const response = await fetchUrl(url, { headers, timeout: FETCH_TIMEOUT_MILLIS })
+    if (response.status === 304) {
+      writeCache(url, cached.text, cached.etag)
+      return cached.text
+    }
+    const text = response.body.toString("utf8")
+    writeCache(url, text, response.headers.etag)
+    return text
+  } catch (e) {
+    // offline, the stale manifest is better than nothing
+    if (cached && !e.status) {
+      console.warn(`ide-rust: using cached ${url}`, e)
+      return cached.text
+    }
+    throw e
+  }
 }
 
 /**
- * @param {string} [channel] Defaults to `nightly`
- * @returns {Promise<string>} Latest channel dated version with rls-preview
+ * Fetches a channel manifest, using the disk cache while it's fresh, revalidating with its ETag once stale & falling
+ * back to it when offline. Local mirrors are not cached.
+ *
+ * @param {string} url
+ * @param {boolean} [immutable] Always use the cached manifest, ie for dated releases
+ * @returns {Promise<string>} Manifest toml
  */
-function fetchLatestDatedDistWithRls(channel) {
-  const aDayMillis = 24 * 60 * 60 * 1000
-  const minDate = new Date(Date.now() - 30 * aDayMillis)
+function fetchManifest(url, immutable = false) {
+  if (!pendingFetches.has(url)) {
+    const fetch = doFetchManifest(url, immutable)
+    pendingFetches.set(url, fetch)
+    fetch.then(
+      () => pendingFetches.delete(url),
+      () => pendingFetches.delete(url)
+    )
+  }
+  return pendingFetches.get(url)
+}
 
-  const check = (day) => {
-    return checkDatedDistHasRls(day, channel).catch((e) => {
-      if (e && e.code === "ENOTFOUND") {
-        throw e
-      }
+/**
+ * Summarises a channel manifest by scanning its sections, as toml is slow to parse fully
+ *
+ * @param {string} text Manifest toml
+ * @param {string} [target] Defaults to the host target
+ * @returns {ManifestSummary}
+ */
+function parseManifest(text, target = hostTarget()) {
+  /** @type {Map<string, object>} Section header -> string & boolean values */
+  const sections = new Map()
+  let section = null
+  let date = null
+  for (const line of text.split(/\r?\n/)) {
+    const header = line.match(/^\[(.+)]\s*$/)
+    if (header) {
+      section = {}
+      sections.set(header[1], section)
+      continue
+    }
+    const entry = line.match(/^([\w-]+)\s*=\s*("[^"]*"|true|false)\s*$/)
+    if (!entry) {
+      continue
+    }
+    const value = entry[2].startsWith('"') ? entry[2].slice(1, -1) : entry[2] === "true"
+    if (section) {
+      section[entry[1]] = value
+    } else if (entry[1] === "date") {
+      date = value
+    }
+  }
 
-      const yesterday = new Date(day - aDayMillis)
-      if (yesterday >= minDate) {
-        return check(yesterday)
-      } else {
-        throw new Error("No nightly with 'rls-preview'")
-      }
+  const available = (pkg) =>
+    [target, '"*"'].some((t) => {
+      const targetSection = sections.get(`pkg.${pkg}.target.${t}`)
+      return Boolean(targetSection && targetSection.available)
     })
+  const packages = {}
+  for (const name of TRACKED_PACKAGES) {
+    // rust-analyzer was distributed as rust-analyzer-preview before being stabilised
+    const pkg = [name, `${name}-preview`].find((p) => sections.has(`pkg.${p}`) && available(p))
+    const version = pkg && sections.get(`pkg.${pkg}`).version
+    packages[name] = pkg ? (version || "").split(" ")[0] || "?" : null
   }
 
-  return check(new Date())
+  const rustc = sections.get("pkg.rustc")
+  return { date, version: (rustc && rustc.version) || null, packages }
 }
 
 /**
- * @param {string} arg.toolchain Toolchain to check
- * @param {string} [arg.currentVersion] Current installed rustc version
- * @returns {Promise<?string>} New version of update available (falsy otherwise)
+ * @param {Object<string, string | null>} from Installed package versions
+ * @param {Object<string, string | null>} to Latest package versions
+ * @returns {ComponentChange[]} Packages added, removed or changing version
  */
-function fetchLatestDist({ toolchain, currentVersion = "none" }) {
-  return new Promise((resolve, reject) => {
-    https
-      .get(`https://static.rust-lang.org/dist/channel-rust-${toolchain}.toml`, (res) => {
-        if (res.statusCode !== 200) {
-          return reject(new Error(`check for toolchain update failed, status: ${res.statusCode}`))
-        }
-
-        res.setEncoding("utf8")
-        let body = ""
-        res.on("data", (data) => (body += data))
-        res.on("end", () => {
-          // use a subsection as toml is slow to parse fully
-          const rustcInfo = body.match(/(\[pkg\.rustc][^[]*)/m)
-          if (!rustcInfo) {
-            return reject(new Error("could not split channel toml output"))
-          }
-          const rustcVersion = require("toml").parse(rustcInfo[1]).pkg.rustc.version.trim()
-          resolve(
-            !currentVersion.trim().endsWith(rustcVersion) && manifest_includes_rls(body) && `rustc ${rustcVersion}`
-          )
-        })
-      })
-      .on("error", (e) => {
-        console.warn("ide-rust: check for updates failed", e)
-        resolve()
-      })
-  })
+function diffPackages(from, to) {
+  return TRACKED_PACKAGES.filter((name) => (from[name] || null) !== (to[name] || null)).map((name) => ({
+    name,
+    from: from[name] || null,
+    to: to[name] || null,
+  }))
 }
 
 /**
- * Check a toolchain has rls, this can be done before installing
+ * @param {DistUpdate} update
+ * @returns {string} Markdown description of the update
+ */
+function describeUpdate({ version, date, changes }) {
+  const lines = [`rustc ${version}${date ? `, released ${date}` : ""}`]
+  if (changes.length) {
+    lines.push("")
+    for (const { name, from, to } of changes) {
+      if (!from) {
+        lines.push(`- \`${name}\` ${to} added`)
+      } else if (!to) {
+        lines.push(`- \`${name}\` removed`)
+      } else {
+        lines.push(`- \`${name}\` ${from} → ${to}`)
+      }
+    }
+  }
+  return lines.join("\n")
+}
+
+/**
+ * @param {string} arg.toolchain Channel to check, ie `stable`
+ * @param {string} [arg.currentVersion] Current installed `rustc --version`
+ * @param {string} [arg.installedManifest] Manifest the toolchain was installed from, to describe component changes
+ * @returns {Promise<?DistUpdate>} Available update that includes rust-analyzer, null when up to date
+ */
+async function fetchLatestDist({ toolchain, currentVersion = "none", installedManifest = null }) {
+  const latest = parseManifest(await fetchManifest(manifestUrl(toolchain)))
+  if (!latest.version) {
+    throw new Error(`No rustc in the \`${toolchain}\` manifest`)
+  }
+
+  const installed = installedManifest && parseManifest(installedManifest)
+  const upToDate = installed ? installed.version === latest.version : currentVersion.trim().endsWith(latest.version)
+  if (upToDate || !latest.packages["rust-analyzer"]) {
+    return null
+  }
+  return {
+    channel: toolchain,
+    version: latest.version,
+    date: latest.date,
+    changes: installed ? diffPackages(installed.packages, latest.packages) : [],
+  }
+}
+
+/**
+ * Check a toolchain has rust-analyzer, this can be done before installing
  *
- * @param {string} toolchain
+ * @param {string} toolchain Channel or dated channel, ie `nightly-2023-06-01`
  * @returns {Promise<boolean>}
  */
-function checkHasRls(toolchain) {
+async function checkHasRustAnalyzer(toolchain) {
   const dated = toolchain.match(DATED_REGEX)
-  if (dated) {
-    return checkDatedDistHasRls(dated[2], dated[1])
-      .then(() => true)
-      .catch(() => false)
+  try {
+    const manifest = dated
+      ? await fetchManifest(manifestUrl(dated[1], dated[2]), true)
+      : await fetchManifest(manifestUrl(toolchain))
+    return Boolean(parseManifest(manifest).packages["rust-analyzer"])
+  } catch (e) {
+    return false
   }
-  return fetchLatestDist({ toolchain })
-    .then((v) => Boolean(v))
-    .catch(() => false)
+}
+
+/**
+ * @param {string} [channel] Defaults to `nightly`
+ * @returns {Promise<string>} Latest dated channel release with rust-analyzer from the last 30 days
+ */
+async function fetchLatestDatedDistWithRustAnalyzer(channel = "nightly") {
+  const aDayMillis = 24 * 60 * 60 * 1000
+  for (let days = 0; days <= 30; days++) {
+    const date = new Date(Date.now() - days * aDayMillis).toISOString().split("T")[0]
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const manifest = await fetchManifest(manifestUrl(channel, date), true)
+      if (parseManifest(manifest).packages["rust-analyzer"]) {
+        return `${channel}-${date}`
+      }
+    } catch (e) {
+      // no release that day, other errors like being offline would fail every day
+      if (e.status !== 404) {
+        throw e
+      }
+    }
+  }
+  throw new Error(`No ${channel} with rust-analyzer`)
 }
 
 /**
  * @param {string} channel Ie nightly, beta, stable
- * @returns {Promise<string>} Latest channel dated version with rls-preview or the channel itself if ok
+ * @returns {Promise<string>} The channel if its latest release has rust-analyzer, otherwise the latest dated release
+ *   that does
  */
 async function suggestChannelOrDated(channel) {
-  const latestDatedPromise = fetchLatestDatedDistWithRls(channel)
-  try {
-    const latestIsOk = await fetchLatestDist({ toolchain: channel })
-    if (latestIsOk) {
-      return channel
-    }
-  } catch (e) {
-    console.warn(e)
+  if (await checkHasRustAnalyzer(channel)) {
+    return channel
   }
-  return latestDatedPromise
+  return fetchLatestDatedDistWithRustAnalyzer(channel)
 }
 
 module.exports = {
   fetchLatestDist,
-  checkHasRls,
+  describeUpdate,
+  parseManifest,
+  diffPackages,
+  checkHasRustAnalyzer,
   suggestChannelOrDated,
   DATED_REGEX,
 }
@@ -0,0 +1,161 @@
+const fs = require("fs")
+const path = require("path")
+const { fileURLToPath, pathToFileURL } = require("url")
+const toml = require("toml")
+const { Convert } = require("atom-languageclient")
+const { fetchUrl } = require("./fetch-url")
+
+/** Rustdoc item page prefixes, ie `struct.Vec.html` */
+const ITEM_PAGE = /^(\w+)\.(\w+)\.html$/
+
+/** Crates documented by `rustup doc` */
+const STD_CRATES = new Set(["std", "core", "alloc", "proc_macro", "test"])
+
+/** @type {number} Millis to wait for a docs page before treating the web as unreachable */
+const REACHABLE_TIMEOUT_MILLIS = 5000
+
+/** @typedef {{ crate: string | null; name: string }} DocItem `crate` is null for intra-doc paths within the crate */
+
+/**
+ * Works out the item a documentation link points to
+ *
+ * @param {string} target Link target, a rustdoc url like `https://docs.rs/foo/0.1.0/foo/struct.Bar.html#method.baz`
+ *   or an unresolved intra-doc path like `crate::Bar`
+ * @returns {DocItem | null}
+ */
+function docLinkItem(target) {
+  // intra-doc path, optionally with a disambiguator, ie `crate::foo`, `fn@foo`, `foo()` or `foo!`
+  if (!/^[a-z][\d+.a-z-]*:(?!:)/i.test(target)) {
+    const itemPath = target.replace(/^\w+@/, "").replace(/(\(\)|!)$/, "")
+    const pathSegments = itemPath.split("::").filter(Boolean)
+    const itemName = pathSegments[pathSegments.length - 1]
+    return itemName && /^\w+$/.test(itemName) ? { crate: null, name: itemName } : null
+  }
+  let url
+  try {
+    url = new URL(target)
+  } catch (e) {
+    return null
+  }
+  if (!/^(https?|file):$/.test(url.protocol)) {
+    return null
+  }
+
+  const segments = url.pathname.split("/").filter(Boolean)
+  // rustdoc paths end `<crate>/<modules...>/<page>.html`, the crate follows the version/channel on docs servers & the
+  // `doc` directory of local docs
+  const docDir = segments.lastIndexOf("doc")
+  const crateIndex =
+    url.protocol === "file:" ? docDir + 1 || undefined : { "docs.rs": 2, "doc.rust-lang.org": 1 }[url.hostname]
+  const crate = crateIndex === undefined ? undefined : segments[crateIndex]
+  const page = segments[segments.length - 1] || ""
+
+  const fragment = url.hash.match(/^#(?:method|tymethod|structfield|variant|associatedtype|associatedconstant)\.(\w+)$/)
+  const item = page.match(ITEM_PAGE)
+  let name
+  if (fragment) {
+    name = fragment[1]
+  } else if (item) {
+    name = item[2]
+  } else if (page === "index.html" && segments.length > 1) {
+    name = segments[segments.length - 2]
+  }
+  return name ? { crate: crate || "", name } : null
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} root Directory to stop searching at
+ * @returns {string | null} Crate name of the package containing the file, ie `foo_bar` for package `foo-bar`
+ */
+function packageCrateName(filePath, root) {
+  let dir = path.dirname(filePath)
+  while (dir.startsWith(root)) {
+    const manifest = path.join(dir, "Cargo.toml")
+    if (fs.existsSync(manifest)) {
+      try {
+        const { package: pkg, lib } = toml.parse(fs.readFileSync(manifest, "utf8"))
+        const name = (lib && lib.name) || (pkg && pkg.name)
+        return name ? name.replace(/-/g, "_") : null
+      } catch (e) {
+        return null
+      }
+    }
+    const parent = path.dirname(dir)
+    if (parent === dir) {
+      break
+    }
+    dir = parent
+  }
+  return null
+}
+
+/**
+ * @param {LanguageClientConnection} connection
+ * @param {TextEditor} editor
+ * @returns {Promise<{ web: string | null; local: string | null }>} Docs of the symbol at the cursor, `local` is the
+ *   `target/doc` page which may not have been built
+ */
+async function externalDocs(connection, editor) {
+  const docs = await connection.sendCustomRequest(
+    "experimental/externalDocs",
+    Convert.editorToTextDocumentPositionParams(editor)
+  )
+  if (!docs) {
+    return { web: null, local: null }
+  }
+  // servers without `localDocs` support return the web url
+  return typeof docs === "string" ? { web: docs, local: null } : { web: docs.web || null, local: docs.local || null }
+}
+
+/**
+ * @param {string} url
+ * @returns {string | null} The url if it's a `file://` url of an existing page
+ */
+function existingFileUrl(url) {
+  try {
+    return fs.existsSync(fileURLToPath(url.replace(/#.*$/, ""))) ? url : null
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * @param {string} web Docs url, ie `https://doc.rust-lang.org/nightly/core/option/enum.Option.html#method.map`
+ * @param {string} sysroot Of the project's toolchain
+ * @returns {string | null} `file://` url of the same page in the `rustup doc` docs, if installed
+ */
+function rustupDocsUrl(web, sysroot) {
+  let url
+  try {
+    url = new URL(web)
+  } catch (e) {
+    return null
+  }
+  if (url.hostname !== "doc.rust-lang.org") {
+    return null
+  }
+  // versioned paths start with the channel, ie `/stable/std/...` or `/1.70.0/std/...`
+  const segments = url.pathname.split("/").filter(Boolean)
+  const start = STD_CRATES.has(segments[0]) ? 0 : 1
+  if (!STD_CRATES.has(segments[start])) {
+    return null
+  }
+  const page = path.join(sysroot, "share", "doc", "rust", "html", ...segments.slice(start))
+  return fs.existsSync(page) ? `${pathToFileURL(page).href}${url.hash}` : null
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<boolean>} Whether the url's server responds, error statuses count as a response
+ */
+async function isReachable(url) {
+  try {
+    await fetchUrl(url, { timeout: REACHABLE_TIMEOUT_MILLIS })
+    return true
+  } catch (e) {
+    return e.status !== undefined
+  }
+}
+
+module.exports = { docLinkItem, packageCrateName, externalDocs, existingFileUrl, rustupDocsUrl, isReachable }
@@ -0,0 +1,18 @@
+/**
+ * @param {string} tag
+ * @param {string} [className]
+ * @param {string} [text]
+ * @returns {HTMLElement}
+ */
+function el(tag, className, text) {
+  const element = document.createElement(tag)
+  if (className) {
+    element.className = className
+  }
+  if (text !== undefined) {
+    element.textContent = text
+  }
+  return element
+}
+
+module.exports = { el }
@@ -0,0 +1,96 @@
+const { Convert } = require("atom-languageclient")
+const ApplyEditAdapter = require("atom-languageclient/build/lib/adapters/apply-edit-adapter").default
+
+/**
+ * Joins the lines of each selection with `experimental/joinLines`, which understands rust syntax (removing commas,
+ * braces & comment markers where appropriate).
+ *
+ * @param {LanguageClientConnection} connection
+ * @param {TextEditor} editor
+ */
+async function joinLines(connection, editor) {
+  const edits = await connection.sendCustomRequest("experimental/joinLines", {
+    textDocument: Convert.editorToTextDocumentIdentifier(editor),
+    ranges: editor.getSelectedBufferRanges().map((range) => Convert.atomRangeToLSRange(range)),
+  })
+  if (edits && edits.length) {
+    ApplyEditAdapter.applyEdits(editor.getBuffer(), Convert.convertLsTextEdits(edits))
+  }
+}
+
+/**
+ * Moves each cursor to its matching brace with `experimental/matchingBrace`
+ *
+ * @param {LanguageClientConnection} connection
+ * @param {TextEditor} editor
+ */
+async function matchingBrace(connection, editor) {
+  const cursors = editor.getCursors()
+  const positions =
+    (await connection.sendCustomRequest("experimental/matchingBrace", {
+      textDocument: Convert.editorToTextDocumentIdentifier(editor),
+      positions: cursors.map((cursor) => Convert.pointToPosition(cursor.getBufferPosition())),
+    })) || []
+  const currentCursors = editor.getCursors()
+  positions.forEach((position, index) => {
+    // cursors may have merged or been removed while waiting
+    if (currentCursors.includes(cursors[index])) {
+      cursors[index].setBufferPosition(Convert.positionToPoint(position))
+    }
+  })
+}
+
+/**
+ * @param {ls.Location | ls.LocationLink} location
+ * @returns {Promise<TextEditor>}
+ */
+function openLocation(location) {
+  const uri = location.targetUri || location.uri
+  const range = location.targetSelectionRange || location.range
+  const { row: initialLine, column: initialColumn } = Convert.positionToPoint(range.start)
+  return atom.workspace.open(Convert.uriToPath(uri), { initialLine, initialColumn, searchAllPanes: true })
+}
+
+/**
+ * Opens the parent module of the current file, ie the `mod foo;` declaration, with `experimental/parentModule`
+ *
+ * @param {LanguageClientConnection} connection
+ * @param {TextEditor} editor
+ */
+async function parentModule(connection, editor) {
+  let locations = await connection.sendCustomRequest(
+    "experimental/parentModule",
+    Convert.editorToTextDocumentPositionParams(editor)
+  )
+  locations = Array.isArray(locations) ? locations : [locations].filter(Boolean)
+  if (!locations.length) {
+    atom.notifications.addInfo("No parent module found", { _src: "ide-rust" })
+    return
+  }
+  await openLocation(locations[0])
+}
+
+/**
+ * Opens the Cargo.toml of the crate the current file belongs to with `experimental/openCargoToml`
+ *
+ * @param {LanguageClientConnection} connection
+ * @param {TextEditor} editor
+ */
+async function openCargoToml(connection, editor) {
+  const location = await connection.sendCustomRequest("experimental/openCargoToml", {
+    textDocument: Convert.editorToTextDocumentIdentifier(editor),
+  })
+  if (!location) {
+    atom.notifications.addInfo("No Cargo.toml found for this file", { _src: "ide-rust" })
+    return
+  }
+  await openLocation(location)
+}
+
+module.exports = {
+  joinLines,
+  matchingBrace,
+  parentModule,
+  openCargoToml,
+  openLocation,
+}
@@ -0,0 +1,66 @@
+const cp = require("child_process")
+const os = require("os")
+const path = require("path")
+
+/** @returns {string} Environment variable path */
+let envPath = () => {
+  // Make sure the cargo directory is in PATH
+  let envPath = process.env.PATH || ""
+  if (!envPath.includes(".cargo/bin")) {
+    envPath += `:${path.join(os.homedir(), ".cargo/bin")}`
+  }
+  return envPath
+}
+
+/**
+ * @param {string} command Shell command
+ * @param {string} [options.cwd]
+ * @returns {Promise<{ stdout: string; stderr: string }>}
+ */
+function exec(command, { cwd } = {}) {
+  return new Promise((resolve, reject) => {
+    const env = process.env
+    env.PATH = envPath()
+    cp.exec(command, { env, cwd }, (err, stdout, stderr) => {
+      if (err !== null) {
+        reject(err)
+        return
+      }
+
+      resolve({ stdout, stderr })
+    })
+  })
+}
+
+/**
+ * Spawns a command, without a shell, with cargo in the PATH.
+ *
+ * @param {string} command
+ * @param {string[]} args
+ * @param {object} [options] Extra `child_process.spawn` options
+ * @returns {ChildProcess}
+ */
+function spawn(command, args, options = {}) {
+  const env = Object.assign({}, process.env, options.env)
+  env.PATH = envPath()
+  return cp.spawn(command, args, Object.assign({}, options, { env }))
+}
+
+// override windows specific implementations
+if (process.platform === "win32") {
+  // handle different slashes & path separator
+  envPath = () => {
+    // Make sure the cargo directory is in PATH
+    let envPath = process.env.PATH || ""
+    if (!envPath.includes(".cargo\\bin")) {
+      envPath += `;${path.join(os.homedir(), ".cargo", "bin")}`
+    }
+    return envPath
+  }
+}
+
+module.exports = {
+  exec,
+  spawn,
+  envPath: () => envPath(),
+}
@@ -0,0 +1,45 @@
+const { TextBuffer } = require("atom")
+const { Convert } = require("atom-languageclient")
+
+/**
+ * Opens a read-only rust editor with the given content
+ *
+ * @param {string} title Tab title
+ * @param {string} text
+ * @returns {Promise<TextEditor>}
+ */
+function openReadOnlyRustEditor(title, text) {
+  const buffer = new TextBuffer({ text })
+  atom.grammars.assignLanguageMode(buffer, "source.rust")
+  const editor = atom.workspace.buildTextEditor({ buffer, readOnly: true })
+  editor.getTitle = () => title
+  editor.getLongTitle = () => title
+  editor.shouldPromptToSave = () => false
+  return atom.workspace.open(editor, { split: "right", searchAllPanes: true })
+}
+
+/**
+ * Expands the macro at the cursor with `rust-analyzer/expandMacro` & shows the result in a new editor
+ *
+ * @param {LanguageClientConnection} connection
+ * @param {TextEditor} editor
+ * @returns {Promise<TextEditor | null>} The expansion editor, null if there is no macro at the cursor
+ */
+async function expandMacro(connection, editor) {
+  const expanded = await connection.sendCustomRequest(
+    "rust-analyzer/expandMacro",
+    Convert.editorToTextDocumentPositionParams(editor)
+  )
+  if (!expanded) {
+    atom.notifications.addInfo("No macro at the cursor to expand", { _src: "ide-rust" })
+    return null
+  }
+
+  const { name, expansion } = expanded
+  return openReadOnlyRustEditor(`Expansion of ${name}!`, `// Recursive expansion of ${name}! macro\n\n${expansion}\n`)
+}
+
+module.exports = {
+  expandMacro,
+  openReadOnlyRustEditor,
+}
@@ -0,0 +1,74 @@
+const fs = require("fs")
+const http = require("http")
+const https = require("https")
+const { URL, fileURLToPath } = require("url")
+
+/** @type {number} Default millis a request may be idle before it is aborted */
+const DEFAULT_TIMEOUT_MILLIS = 30 * 1000
+
+const MAX_REDIRECTS = 5
+
+/**
+ * GETs a url following redirects, `file://` urls are read from disk. Responses with an error status reject with an
+ * error that has a `status`, `file://` urls that don't exist reject with status 404.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {object} [options.headers]
+ * @param {number} [options.timeout] Millis the request may be idle before it is aborted
+ * @param {function} [options.onProgress] `(receivedBytes, totalBytes?) => void`
+ * @returns {Promise<{ status: number; headers: object; body: Buffer }>}
+ */
+function fetchUrl(url, { headers = {}, timeout = DEFAULT_TIMEOUT_MILLIS, onProgress } = {}, redirects = 0) {
+  if (url.startsWith("file:")) {
+    return fs.promises.readFile(fileURLToPath(url)).then(
+      (body) => ({ status: 200, headers: {}, body }),
+      (err) => {
+        const error = new Error(`${url}: ${err.code === "ENOENT" ? "not found" : err.message}`)
+        error.status = err.code === "ENOENT" ? 404 : 500
+        throw error
+      }
+    )
+  }
+
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith("http:") ? http : https
+    const req = client.get(url, { headers: Object.assign({ "User-Agent": "ide-rust" }, headers) }, (res) => {
+      const { statusCode: status } = res
+      if (status >= 300 && status < 400 && status !== 304 && res.headers.location) {
+        res.resume()
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error(`${url}: too many redirects`))
+        } else {
+          const location = new URL(res.headers.location, url).toString()
+          resolve(fetchUrl(location, { headers, timeout, onProgress }, redirects + 1))
+        }
+        return
+      }
+      if (status >= 400) {
+        res.resume()
+        const error = new Error(`${url}: status ${status}`)
+        error.status = status
+        reject(error)
+        return
+      }
+
+      const total = Number(res.headers["content-length"]) || undefined
+      const chunks = []
+      let received = 0
+      res.on("data", (chunk) => {
+        chunks.push(chunk)
+        received += chunk.length
+        if (onProgress) {
+          onProgress(received, total)
+        }
+      })
+      res.on("end", () => resolve({ status, headers: res.headers, body: Buffer.concat(chunks) }))
+      res.on("error", reject)
+    })
+    req.setTimeout(timeout, () => req.destroy(new Error(`${url}: timed out`)))
+    req.on("error", reject)
+  })
+}
+
+module.exports = { fetchUrl }
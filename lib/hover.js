@@ -0,0 +1,245 @@
+const { Range } = require("atom")
+
+/**
+ * Hover links are fragment-only hrefs, as datatip markdown renderers strip unknown protocols & Atom ignores clicks on
+ * them. Clicks are handled by a document listener looking up the id, so hover content can't trigger arbitrary actions.
+ */
+const LINK_PREFIX = "#ide-rust-link-"
+
+/** @type {number} Links kept for pinned or lingering datatips, older links stop working */
+const MAX_LINKS = 200
+
+/** Rustdoc code block attributes, blocks with only these are rust code */
+const RUSTDOC_ATTRIBUTES = new Set([
+  "rust",
+  "ignore",
+  "should_panic",
+  "no_run",
+  "compile_fail",
+  "edition2015",
+  "edition2018",
+  "edition2021",
+  "edition2024",
+  "test_harness",
+  "allow_fail",
+])
+
+/** Language aliases that don't match a grammar name or file type */
+const LANGUAGE_SCOPES = {
+  text: "text.plain",
+  txt: "text.plain",
+  console: "text.plain",
+  sh: "source.shell",
+  bash: "source.shell",
+  shell: "source.shell",
+  js: "source.js",
+  javascript: "source.js",
+  json: "source.json",
+  toml: "source.toml",
+  c: "source.c",
+  cpp: "source.cpp",
+  "c++": "source.cpp",
+}
+
+/** Hover link actions by id, see {LINK_PREFIX} */
+class HoverLinks {
+  constructor() {
+    /** @type {Map<string, function>} */
+    this.actions = new Map()
+    this.nextId = 0
+  }
+
+  /**
+   * @param {function} action `() => void` called when the link is clicked
+   * @returns {string} Href for the link
+   */
+  href(action) {
+    const id = `${(this.nextId += 1)}`
+    this.actions.set(id, action)
+    if (this.actions.size > MAX_LINKS) {
+      this.actions.delete(this.actions.keys().next().value)
+    }
+    return `${LINK_PREFIX}${id}`
+  }
+
+  /**
+   * @param {string | null} href Of a clicked link
+   * @returns {boolean} Whether it's a hover link, run if still known
+   */
+  handle(href) {
+    if (!href || !href.startsWith(LINK_PREFIX)) {
+      return false
+    }
+    const action = this.actions.get(href.slice(LINK_PREFIX.length))
+    if (action) {
+      action()
+    }
+    return true
+  }
+}
+
+/**
+ * @param {ls.Hover["contents"]} contents
+ * @returns {string} Markdown
+ */
+function hoverMarkdown(contents) {
+  if (Array.isArray(contents)) {
+    return contents.map(hoverMarkdown).join("\n\n")
+  }
+  if (typeof contents === "string") {
+    return contents
+  }
+  if (contents.language) {
+    // deprecated `MarkedString` code
+    return `\`\`\`${contents.language}\n${contents.value}\n\`\`\``
+  }
+  return contents.kind === "plaintext" ? contents.value.replace(/[!#*<>[\\\]_`]/g, "\\$&") : contents.value
+}
+
+/**
+ * @param {string} info Fenced code block info string, ie `rust`, `no_run`, `toml` or `text`
+ * @returns {Grammar} The best matching grammar, rust for rustdoc blocks & plain text when there's no match
+ */
+function grammarForLanguage(info) {
+  const attributes = info
+    .split(/[\s,]+/)
+    .map((attribute) => attribute.toLowerCase())
+    .filter(Boolean)
+  if (!attributes.length || attributes.every((a) => RUSTDOC_ATTRIBUTES.has(a))) {
+    return atom.grammars.grammarForScopeName("source.rust")
+  }
+  const [language] = attributes
+  const grammar =
+    atom.grammars.grammarForScopeName(LANGUAGE_SCOPES[language] || `source.${language}`) ||
+    atom.grammars
+      .getGrammars()
+      .find((g) => (g.name || "").toLowerCase() === language || (g.fileTypes || []).includes(language))
+  return grammar || atom.grammars.grammarForScopeName("text.plain") || atom.grammars.nullGrammar
+}
+
+/**
+ * Splits markdown into markdown & fenced code snippets, so snippets are highlighted with their grammar
+ *
+ * @param {string} markdown
+ * @returns {atomIde.MarkedString[]}
+ */
+function splitFencedCode(markdown) {
+  const marked = []
+  let text = []
+  /** @type {{ fence: string; grammar: Grammar; lines: string[] } | null} */
+  let code = null
+  for (const line of markdown.split(/\r?\n/)) {
+    if (code) {
+      if (line.trim().startsWith(code.fence) && !line.trim().slice(code.fence.length).trim()) {
+        marked.push({ type: "snippet", grammar: code.grammar, value: code.lines.join("\n") })
+        code = null
+      } else {
+        code.lines.push(line)
+      }
+      continue
+    }
+    const open = line.match(/^ {0,3}(`{3,}|~{3,})\s*([^`]*)$/)
+    if (open) {
+      marked.push({ type: "markdown", value: text.join("\n").trim() })
+      text = []
+      code = { fence: open[1], grammar: grammarForLanguage(open[2].trim()), lines: [] }
+    } else {
+      text.push(line)
+    }
+  }
+  if (code) {
+    // unclosed blocks run to the end
+    marked.push({ type: "snippet", grammar: code.grammar, value: code.lines.join("\n") })
+  }
+  marked.push({ type: "markdown", value: text.join("\n").trim() })
+  return marked.filter((m) => m.value)
+}
+
+/**
+ * Rewrites the targets of inline links, ie `[text](target)`, & link reference definitions outside inline code
+ *
+ * @param {string} markdown Without fenced code
+ * @param {function} rewrite `(target) => string`
+ * @returns {string}
+ */
+function rewriteLinks(markdown, rewrite) {
+  // inline code is matched to skip it, link text may contain code
+  return markdown
+    .replace(
+      /(`+)[^`]*?\1|(\[(?:[^\\\]]|\\.)*]\()\s*<?([^\s)>]+)>?(\s+"[^"]*")?\s*\)/g,
+      (match, code, start, target, title) => {
+        return code ? match : `${start}${rewrite(target)}${title || ""})`
+      }
+    )
+    .replace(/^( {0,3}\[[^\]]+]:\s*)<?(\S+?)>?(\s+"[^"]*")?$/gm, (_, start, target, title = "") => {
+      return `${start}${rewrite(target)}${title}`
+    })
+}
+
+/**
+ * @param {{ commands: ls.Command[] }[]} actions Rust-analyzer `hoverActions` groups
+ * @param {function} hrefFor `(ls.Command) => string | null`, null for commands that aren't supported
+ * @returns {string} Markdown line of links per group
+ */
+function actionsMarkdown(actions, hrefFor) {
+  return actions
+    .map(({ commands }) =>
+      commands
+        .map((command) => {
+          const href = hrefFor(command)
+          return href && `[${command.title.replace(/[[\]]/g, "\\$&")}](${href})`
+        })
+        .filter(Boolean)
+        .join(" · ")
+    )
+    .filter(Boolean)
+    .join("\n\n")
+}
+
+/**
+ * @param {TextEditor} editor
+ * @param {Point} point
+ * @returns {Range} Range of the word at the point, for hovers without a range
+ */
+function wordRangeAt(editor, point) {
+  const line = editor.lineTextForBufferRow(point.row)
+  const regex = /\w+/g
+  let match
+  while ((match = regex.exec(line))) {
+    if (match.index <= point.column && point.column <= match.index + match[0].length) {
+      return new Range([point.row, match.index], [point.row, match.index + match[0].length])
+    }
+  }
+  return new Range(point, point)
+}
+
+/**
+ * Converts a hover into datatip marked strings: fenced code is highlighted, link targets are rewritten & rust-analyzer
+ * hover actions are appended as links
+ *
+ * @param {ls.Hover & { actions?: object[] }} hover
+ * @param {function} arg.linkHref `(target) => string` Href for a link in the hover
+ * @param {function} arg.commandHref `(ls.Command) => string | null` Href for a hover action
+ * @returns {atomIde.MarkedString[]}
+ */
+function hoverToMarkedStrings(hover, { linkHref, commandHref }) {
+  const marked = splitFencedCode(hoverMarkdown(hover.contents)).map((m) => {
+    return m.type === "markdown" ? { type: "markdown", value: rewriteLinks(m.value, linkHref) } : m
+  })
+  const actions = actionsMarkdown(hover.actions || [], commandHref)
+  if (actions) {
+    marked.push({ type: "markdown", value: actions })
+  }
+  return marked
+}
+
+module.exports = {
+  HoverLinks,
+  hoverMarkdown,
+  grammarForLanguage,
+  splitFencedCode,
+  rewriteLinks,
+  actionsMarkdown,
+  wordRangeAt,
+  hoverToMarkedStrings,
+}
@@ -1,31 +1,88 @@
 const cp = require("child_process")
-const os = require("os")
 const fs = require("fs")
 const path = require("path")
 const { CompositeDisposable, Disposable } = require("atom")
-const { AutoLanguageClient } = require("atom-languageclient")
+const { shell } = require("electron")
+const { AutoLanguageClient, Convert } = require("atom-languageclient")
 const RustProject = require("./rust-project.js")
-const { fetchLatestDist, DATED_REGEX } = require("./dist-fetch")
+const { loadProjectSettings, packageDefaults, serverSettings, CONFIG_FILES } = require("./project-config")
+const {
+  configToolchain,
+  rustupRun,
+  rustupDefaultToolchain,
+  projectToolchain,
+  installedComponents,
+  installedManifest,
+  rustSysroot,
+  installToolchain,
+  addComponent,
+} = require("./rustup")
+const { ToolchainView, TOOLCHAINS_URI } = require("./toolchain-view")
+const serverInstall = require("./server-install")
+const { exec, envPath } = require("./exec")
+const { fetchRunnables, mostSpecificRunnable, runnableInvocation, runnableCommandLine } = require("./runnables")
+const { RunnablesView, RUNNABLES_URI } = require("./runnables-view")
+const RunnableLenses = require("./runnable-lenses")
+const {
+  TestResults,
+  testItemsFromRunnables,
+  cargoPackage,
+  runnableTestPath,
+  withJsonOutput,
+  isNightly,
+} = require("./test-explorer")
+const { TestExplorerView, TEST_EXPLORER_URI } = require("./test-explorer-view")
+const TestGutter = require("./test-gutter")
+const {
+  isDebuggable,
+  buildRunnable,
+  builtExecutable,
+  configurationRunnable,
+  findAdapter,
+  processConfig,
+} = require("./debugger")
+const { applyWorkspaceEdit, applySourceChange } = require("./workspace-edit")
+const { InlayHints } = require("./inlay-hints")
+const { SemanticTokens, CLIENT_CAPABILITIES: SEMANTIC_TOKENS_CAPABILITIES } = require("./semantic-tokens")
+const { expandMacro } = require("./expand-macro")
+const { SyntaxTreeView, SYNTAX_TREE_URI } = require("./syntax-tree-view")
+const { joinLines, matchingBrace, parentModule, openCargoToml, openLocation } = require("./editor-commands")
+const { SsrView, SSR_URI } = require("./ssr-view")
+const { StatusTile } = require("./status-tile")
+const { ServerSupervisor, MAX_RESTARTS } = require("./server-supervisor")
+const { ServerLog } = require("./server-log")
+const { ServerLogView, SERVER_LOG_URI } = require("./server-log-view")
+const { HoverLinks, hoverToMarkedStrings, wordRangeAt } = require("./hover")
+const { CargoRegistry } = require("./cargo-registry")
+const { CargoTomlAssist } = require("./cargo-toml")
+const { discoverProjects, loadExcludedProjects, saveExcludedProjects } = require("./workspace-discovery")
+const { LinkedProjectsView } = require("./linked-projects-view")
+const { runDiscoveryCommand, isDiscoveryInput } = require("./discovery-command")
+const { docLinkItem, packageCrateName, externalDocs, existingFileUrl, rustupDocsUrl, isReachable } = require("./docs")
+const {
+  CARGO_COMMANDS,
+  cargoArgs,
+  spawnCargo,
+  cargoWorkspaceRoot,
+  parseCargoMessage,
+  CargoDiagnostics,
+} = require("./cargo")
+const { fetchLatestDist, describeUpdate, DATED_REGEX } = require("./dist-fetch")
 const { showConflictingPackageWarnings } = require("./competition.js")
 
+/** Rust-analyzer commands implemented by the client, see `_executeClientCommand` */
+const CLIENT_COMMANDS = [
+  "rust-analyzer.applySourceChange",
+  "rust-analyzer.runSingle",
+  "rust-analyzer.debugSingle",
+  "rust-analyzer.showReferences",
+  "rust-analyzer.gotoLocation",
+  "rust-analyzer.triggerParameterHints",
+]
+
 /** @type {number} interval Between toolchain update checks, milliseconds */
 const PERIODIC_UPDATE_CHECK_MILLIS = 6 * 60 * 60 * 1000
 
-function exec(command, { cwd } = {}) {
-  return new Promise((resolve, reject) => {
-    const env = process.env
-    env.PATH = envPath()
-    cp.exec(command, { env, cwd }, (err, stdout, stderr) => {
-      if (err !== null) {
-        reject(err)
-        return
-      }
-
-      resolve({ stdout, stderr })
-    })
-  })
-}
-
 function logErr(e, logFn = console.warn) {
   if (e) {
     logFn(`${e}`)
@@ -71,34 +128,31 @@ function installRustup() {
   return exec("curl https://sh.rustup.rs -sSf | sh -s -- -y")
 }
 
-function configToolchain() {
-  return "stable"
-}
-
-function rustupRun(toolchain, command, opts = {}) {
-  return (toolchain && exec(`rustup run ${toolchain} ${command}`, opts)) || exec(`${command}`, opts)
-}
-
 function notifyLanguageServerCommandFailed(languageServerCmd) {
   clearIdeRustNotifications("ide-rust.langServerCommand")
-  const description =
+  let description =
     "Make sure the **rust-analyzer** binary is installed  and in `$PATH`." +
     "\n\nSee https://rust-analyzer.github.io/manual.html#rust-analyzer-language-server-binary."
 
+  // offer to let ide-rust install it, changing the install source restarts the servers
+  const buttons = []
+  if (serverInstall.installConfig().source === "path") {
+    description += "\n\nAlternatively ide-rust can install & update rust-analyzer."
+    const setSource = (source) => () => atom.config.set("ide-rust.rustAnalyzerInstall.source", source)
+    buttons.push(
+      { text: "Install with rustup", onDidClick: setSource("rustup") },
+      { text: "Download release", onDidClick: setSource("release") }
+    )
+  }
+
   atom.notifications.addError(`Could not run \`${languageServerCmd}\``, {
     description,
+    buttons,
     dismissable: true,
     _src: "ide-rust.langServerCommand",
   })
 }
 
-async function rustupDefaultToolchain() {
-  // linux: "stable-x86_64-unknown-linux-gnu (default)"
-  // mac: "stable (default)"
-  const { stdout } = await exec("rustup default")
-  return stdout.split("-")[0].trim().split(" ")[0]
-}
-
 async function hasCommand(rustCommand) {
   try {
     await exec(`${rustCommand} --version`)
@@ -108,32 +162,11 @@ async function hasCommand(rustCommand) {
   }
 }
 
-/** @returns {{ path: string; toolchain: String }[]} */
-async function rustupOverrides() {
-  const { stdout } = await exec("rustup override list")
-  return stdout
-    .split(/[\n\r]+/g)
-    .map((line) => {
-      // line.trimEnd is not a function ?
-      const lastSpace = line.trimEnd().lastIndexOf(" ")
-      return {
-        path: line.slice(0, lastSpace).trim(),
-        toolchain: line.slice(lastSpace).trim(),
-      }
-    })
-    .filter(({ path, toolchain }) => path && toolchain && path !== "no")
-}
-
 /** @returns {string} Command to start the language server */
 function langServerCommand() {
   return atom.config.get("ide-rust.languageServerCommand") || "rust-analyzer"
 }
 
-// Installs nightly
-function installCompiler() {
-  return exec(`rustup toolchain install ${configToolchain()}`)
-}
-
 /**
  * @param {string} projectPath
  * @returns {bool} The project path has been explicitly disabled
@@ -149,19 +182,19 @@ function shouldIgnoreProjectPath(projectPath) {
   )
 }
 
-/** @returns {string} Environment variable path */
-let envPath = () => {
-  // Make sure the cargo directory is in PATH
-  let envPath = process.env.PATH || ""
-  if (!envPath.includes(".cargo/bin")) {
-    envPath += `:${path.join(os.homedir(), ".cargo/bin")}`
-  }
-  return envPath
+/** @returns {string | undefined} Project of the active editor, otherwise the first project */
+function activeProjectPath() {
+  const editor = atom.workspace.getActiveTextEditor()
+  const [projectPath] = editor && editor.getPath() ? atom.project.relativizePath(editor.getPath()) : []
+  return projectPath || atom.project.getPaths()[0]
 }
 
-/** @returns {Promise<object>} Environment vars */
-function serverEnv() {
-  const env = process.env
+/**
+ * @param {ProjectToolchain | null} [serverToolchain] Toolchain rust-analyzer & the cargo commands it runs should use
+ * @returns {Promise<object>} Environment vars
+ */
+async function serverEnv(serverToolchain) {
+  const env = Object.assign({}, process.env)
   env.PATH = envPath()
   env.RUST_BACKTRACE = env.RUST_BACKTRACE || "1"
 
@@ -169,6 +202,19 @@ function serverEnv() {
   //   env.RUST_LOG = 'info'
   // }
 
+  const toolchain = serverToolchain && serverToolchain.toolchain
+  if (toolchain) {
+    env.RUSTUP_TOOLCHAIN = toolchain
+    // point rust-analyzer at the toolchain's std sources, rather than discovering the default's
+    const sysroot = await rustupRun(toolchain, "rustc --print sysroot")
+      .then(({ stdout }) => stdout.trim())
+      .catch(() => "")
+    const srcPath = sysroot && path.join(sysroot, "lib", "rustlib", "src", "rust", "library")
+    if (srcPath && fs.existsSync(srcPath)) {
+      env.RUST_SRC_PATH = srcPath
+    }
+  }
+
   return env
 }
 
@@ -177,9 +223,10 @@ function serverEnv() {
  * stdout usage will break vscode-jsonrpc.
  *
  * @param {ChildProcess} process Language server
+ * @param {ServerLog} serverLog Also logs suspicious lines to the project's server log
  * @returns {ChildProcess}
  */
-function logSuspiciousStdout(process) {
+function logSuspiciousStdout(process, serverLog) {
   process.stdout.on("data", (chunk) => {
     chunk
       .toString("utf8")
@@ -191,11 +238,45 @@ function logSuspiciousStdout(process) {
           !l.startsWith("Content-Length:") &&
           !l.includes('"jsonrpc":"2.0"')
       )
-      .forEach((line) => console.error("Rust LS suspicious stdout:", line))
+      .forEach((line) => {
+        console.error("Rust LS suspicious stdout:", line)
+        serverLog.log("stdout", line)
+      })
   })
   return process
 }
 
+/**
+ * Jumps to the definition of a documentation link's item when it's in the workspace, otherwise opens the link
+ *
+ * @param {RustProject} project
+ * @param {string} target Link target, a url or an unresolved intra-doc path
+ */
+async function openDocLink(project, target) {
+  const item = docLinkItem(target)
+  if (item) {
+    const { connection, projectPath } = project.server
+    // `#` includes functions & other non-type symbols
+    const symbols =
+      (await connection.sendCustomRequest("workspace/symbol", { query: `${item.name}#` }).catch(logErr)) || []
+    const definition = symbols.find(({ name, location }) => {
+      const filePath = name === item.name && location && location.range && Convert.uriToPath(location.uri)
+      return (
+        filePath &&
+        filePath.startsWith(projectPath) &&
+        (item.crate === null || packageCrateName(filePath, projectPath) === item.crate)
+      )
+    })
+    if (definition) {
+      await openLocation(definition.location)
+      return
+    }
+  }
+  if (/^(https?|file):/.test(target)) {
+    shell.openExternal(target)
+  }
+}
+
 class RustLanguageClient extends AutoLanguageClient {
   constructor() {
     super()
@@ -203,6 +284,20 @@ class RustLanguageClient extends AutoLanguageClient {
     this.projects = {}
     this.activeOverrides = new Set()
     this.disposables = new CompositeDisposable()
+    /** Diagnostics of `ide-rust:cargo-*` commands */
+    this.cargoDiagnostics = new CargoDiagnostics()
+    /** Actions of links in hovers & notifications */
+    this.hoverLinks = new HoverLinks()
+    /** @type {Map<string, ServerLog>} Project path -> server log, kept across restarts */
+    this.serverLogs = new Map()
+    /** @type {Map<RustProject, { tile: StatusBarTile; view: StatusTile }>} */
+    this.statusTiles = new Map()
+    /** @type {Map<string, string[]>} Project path -> manifests found when its server last started */
+    this.discoveredProjects = new Map()
+    /** @type {Map<string, object>} Project path -> `rust-project.json` last generated by its discovery command */
+    this.generatedProjects = new Map()
+    /** @type {Map<string, { again: boolean }>} Project path -> running rediscovery */
+    this.rediscoveries = new Map()
 
     // remove legacy configs
     atom.config.unset("ide-rust.rlsToolchain")
@@ -212,16 +307,188 @@ class RustLanguageClient extends AutoLanguageClient {
     /** Configuration schema */
     this.config = {
       languageServerCommand: {
-        description: "Command that runs rust-analyzer. By default it should in PATH.",
+        description: "Command that runs rust-analyzer when installed from `path`. By default it should in PATH.",
         type: "string",
         default: "rust-analyzer",
         order: 1,
       },
+      rustAnalyzerInstall: {
+        title: "Rust-analyzer Install",
+        description: "Where the rust-analyzer binary comes from.",
+        type: "object",
+        order: 2,
+        properties: {
+          source: {
+            type: "string",
+            default: "path",
+            enum: [
+              { value: "path", description: "Run the language server command" },
+              { value: "rustup", description: "Install the toolchain's rust-analyzer component with rustup" },
+              { value: "release", description: "Download releases from the release mirror" },
+            ],
+            order: 1,
+          },
+          releaseMirror: {
+            description:
+              "Url, directory or `file://` url of `<version>/<asset>` releases, ie an offline mirror. " +
+              "Non-GitHub mirrors may provide `<asset>.sha256` checksums & url mirrors a `latest` file with the latest version.",
+            type: "string",
+            default: serverInstall.DEFAULT_MIRROR,
+            order: 2,
+          },
+          version: {
+            description: "Pinned release version, ie `2023-06-19`. Empty to use the latest & check for updates.",
+            type: "string",
+            default: "",
+            order: 3,
+          },
+        },
+      },
+      toolchain: {
+        description:
+          "Rustup toolchain used by ide-rust, ie `stable`, `nightly` or `1.70.0`. Empty to use the rustup default.",
+        type: "string",
+        default: "",
+        order: 3,
+      },
       checkForToolchainUpdates: {
         description: "Check on startup & periodically for rustup toolchain updates, prompting to install if available.",
         type: "boolean",
         default: true,
-        order: 2,
+        order: 4,
+      },
+      toolchainMirror: {
+        description:
+          "Rust dist server checked for toolchain updates, a url, directory or `file://` url. " +
+          "Empty to use `RUSTUP_DIST_SERVER`, like rustup, or https://static.rust-lang.org.",
+        type: "string",
+        default: "",
+        order: 5,
+      },
+      runnableLenses: {
+        description: "Show run/test lenses above runnable functions & tests.",
+        type: "boolean",
+        default: true,
+        order: 6,
+      },
+      inlayHints: {
+        title: "Inlay Hints",
+        description: "Inline hints shown in rust editors.",
+        type: "object",
+        order: 7,
+        properties: {
+          typeHints: {
+            description: "Show inferred types of variable bindings.",
+            type: "boolean",
+            default: true,
+            order: 1,
+          },
+          parameterHints: {
+            description: "Show parameter names at function & method call sites.",
+            type: "boolean",
+            default: true,
+            order: 2,
+          },
+          chainingHints: {
+            description: "Show types of method chain expressions at the end of each line.",
+            type: "boolean",
+            default: true,
+            order: 3,
+          },
+        },
+      },
+      semanticHighlighting: {
+        description:
+          "Highlight rust editors with rust-analyzer's semantic tokens, layered over the grammar. " +
+          "Adds `syntax--` classes like `syntax--mutable` & `syntax--unsafe` for themes to style.",
+        type: "boolean",
+        default: true,
+        order: 8,
+      },
+      rustAnalyzer: {
+        title: "Rust-analyzer Settings",
+        description:
+          "Defaults for all projects, overridden by a project's `rust-analyzer.json` or `.config/rust-analyzer.json`.",
+        type: "object",
+        order: 9,
+        properties: {
+          checkOnSave: {
+            description: "Run `cargo check` (or the check command) on save, showing its diagnostics.",
+            type: "boolean",
+            default: true,
+            order: 1,
+          },
+          checkCommand: {
+            description: "Cargo command used to check on save.",
+            type: "string",
+            default: "check",
+            enum: ["check", "clippy"],
+            order: 2,
+          },
+          procMacros: {
+            description: "Expand procedural macros.",
+            type: "boolean",
+            default: true,
+            order: 3,
+          },
+          buildScripts: {
+            description: "Run build scripts (`build.rs`) for more accurate analysis.",
+            type: "boolean",
+            default: true,
+            order: 4,
+          },
+          cargoFeatures: {
+            description: "Cargo features to enable, comma-separated, or `all`. Empty for default features.",
+            type: "string",
+            default: "",
+            order: 5,
+          },
+        },
+      },
+      traceLanguageServer: {
+        title: "Trace Language Server",
+        description:
+          "Log every message between ide-rust & rust-analyzer, with response times, in the server log (`ide-rust:show-server-log`). Useful for bug reports, slows the editor down.",
+        type: "boolean",
+        default: false,
+        order: 10,
+      },
+      projectDiscoveryDepth: {
+        title: "Project Discovery Depth",
+        description:
+          "Directory levels searched for `Cargo.toml` & `rust-project.json` projects when a server starts, skipping ignored directories. Ignored if the project settings set `linkedProjects`.",
+        type: "integer",
+        default: 3,
+        minimum: 0,
+        order: 11,
+      },
+      testGutterIcons: {
+        description: "Show the latest result of each test in the gutter of rust editors, click to run the test.",
+        type: "boolean",
+        default: true,
+        order: 12,
+      },
+      debugger: {
+        title: "Debugger",
+        description: "Debugging binaries & tests with `atom-ide-debugger`.",
+        type: "object",
+        order: 13,
+        properties: {
+          adapter: {
+            description:
+              "Debug adapter: `lldb-dap` (or `lldb-vscode`) from LLVM, or `gdb --interpreter=dap` (gdb 14+).",
+            type: "string",
+            default: "lldb",
+            enum: ["lldb", "gdb"],
+            order: 1,
+          },
+          adapterPath: {
+            description: "Path of the debug adapter executable. Empty to find it in the PATH.",
+            type: "string",
+            default: "",
+            order: 2,
+          },
+        },
       },
       ignoredProjectPaths: {
         description: "Disables ide-rust functionality on a comma-separated list of project paths.",
@@ -234,9 +501,10 @@ class RustLanguageClient extends AutoLanguageClient {
 
   async _refreshActiveOverrides() {
     try {
-      const overrides = (await rustupOverrides())
-        .filter(({ path }) => Object.keys(this.projects).some((project) => project.startsWith(path)))
-        .map((override) => override.toolchain)
+      const projectToolchains = await Promise.all(Object.keys(this.projects).map((p) => projectToolchain(p)))
+      const overrides = projectToolchains
+        .filter(({ toolchain, source }) => toolchain && (source === "override" || source === "file"))
+        .map(({ toolchain }) => toolchain)
       const oldActive = this.activeOverrides
       this.activeOverrides = new Set(overrides)
       if (this.activeOverrides.size > oldActive.size) {
@@ -255,6 +523,9 @@ class RustLanguageClient extends AutoLanguageClient {
 
   /** @param {string | null} reason Reason for the restart shown in the notification */
   async _restartLanguageServers(reason) {
+    if (this.supervisor) {
+      this.supervisor.reset()
+    }
     await this.restartAllServers()
     if (reason) {
       atom.notifications.addSuccess(reason, { _src: "ide-rust" })
@@ -289,14 +560,20 @@ class RustLanguageClient extends AutoLanguageClient {
           toolchain = toolchain.split("-")[0]
         }
 
-        const { stdout: currentVersion } = await rustupRun(confToolchain, "rustc --version")
-        const newVersion = await fetchLatestDist({ toolchain, currentVersion }).catch(() => false)
-        if (!newVersion) {
+        const [{ stdout: currentVersion }, manifest] = await Promise.all([
+          rustupRun(confToolchain, "rustc --version"),
+          installedManifest(confToolchain),
+        ])
+        const update = await fetchLatestDist({ toolchain, currentVersion, installedManifest: manifest }).catch((e) => {
+          console.warn("ide-rust: check for updates failed", e)
+          return null
+        })
+        if (!update) {
           return
         }
 
         atom.notifications.addInfo(`Rust \`${toolchain}\` toolchain update available`, {
-          description: newVersion,
+          description: describeUpdate(update),
           _src: "ide-rust",
           dismissable: true,
           buttons: [
@@ -332,49 +609,67 @@ class RustLanguageClient extends AutoLanguageClient {
   }
 
   /**
-   * Checks for rustup & toolchain components If not found prompts to fix & throws error
+   * Checks for rustup, the toolchain & any components its toolchain file requires. If not found prompts to fix & throws
+   * error
    *
-   * @param {string} [cwd]
+   * @param {string} [projectPath] Checks the project's toolchain, otherwise the configured toolchain
+   * @returns {Promise<ProjectToolchain>}
    */
-  async _checkToolchain(cwd) {
-    const toolchain = configToolchain()
+  async _checkToolchain(projectPath) {
+    const resolved = projectPath
+      ? await projectToolchain(projectPath)
+      : { toolchain: configToolchain(), source: "config", components: [] }
+    const { toolchain, components } = resolved
 
     try {
-      await rustupRun(toolchain, "rustc --version", { cwd })
-      clearIdeRustNotifications()
+      await rustupRun(toolchain, "rustc --version", { cwd: projectPath })
     } catch (e) {
-      this._handleMissingToolchain(toolchain)
+      this._handleMissingToolchain(toolchain, components)
       throw e
     }
+
+    if (components.length) {
+      const installed = await installedComponents(toolchain, components, projectPath).catch(() => new Set(components))
+      const missing = components.filter((component) => !installed.has(component))
+      if (missing.length) {
+        this._handleMissingComponents(toolchain, missing, projectPath)
+        throw new Error(`Rust \`${toolchain || "default"}\` toolchain missing ${missing.join(", ")}`)
+      }
+    }
+
+    clearIdeRustNotifications()
+    return resolved
   }
 
   /**
    * Takes appropriate action when missing a toolchain
    *
-   * @param {string} toolchain
+   * @param {string} toolchain Empty for a missing rustup default
+   * @param {string[]} [components] Components to install with the toolchain
    */
-  async _handleMissingToolchain(toolchain) {
+  async _handleMissingToolchain(toolchain, components = []) {
     if (!(await exec("rustup --version").catch(() => false))) {
       this._handleMissingRustup()
     } else {
+      const name = toolchain || "stable"
+      const componentArgs = components.map((component) => ` --component ${component}`).join("")
       const clicked = await atomPrompt(
-        `\`rustup\` missing ${toolchain} toolchain`,
+        `\`rustup\` missing ${name} toolchain`,
         {
-          detail: `rustup toolchain install ${toolchain}`,
+          detail: `rustup toolchain install ${name}${componentArgs}`,
         },
         ["Install"]
       )
 
       if (clicked === "Install") {
         clearIdeRustNotifications()
-        const installPromise = installCompiler()
-          .then(() => this._checkToolchain())
+        const installPromise = installToolchain(name, components)
           .then(() => this._restartLanguageServers(`Installed rust toolchain`))
           .catch((e) => {
             console.warn(e)
             clearIdeRustNotifications()
             let err = `${e}`.split("\n")
-            err = (err.length && err[0]) || `Error installing rust  \`${toolchain}\``
+            err = (err.length && err[0]) || `Error installing rust  \`${name}\``
             atom.notifications.addError(err, {
               detail: "Check the toolchain is valid & connection is available",
               dismissable: true,
@@ -382,12 +677,52 @@ class RustLanguageClient extends AutoLanguageClient {
           })
 
         if (this.busySignalService) {
-          this.busySignalService.reportBusyWhile(`Installing rust \`${toolchain}\``, () => installPromise)
+          this.busySignalService.reportBusyWhile(`Installing rust \`${name}\``, () => installPromise)
         }
       }
     }
   }
 
+  /**
+   * Prompts to add components a project's toolchain file requires
+   *
+   * @param {string} toolchain Empty for the toolchain active in the project
+   * @param {string[]} components
+   * @param {string} projectPath
+   */
+  async _handleMissingComponents(toolchain, components, projectPath) {
+    const toolchainArg = toolchain ? ` --toolchain ${toolchain}` : ""
+    const clicked = await atomPrompt(
+      `Rust \`${toolchain || "default"}\` toolchain missing ${components.map((c) => `\`${c}\``).join(", ")}`,
+      {
+        description: `Required by the toolchain file of _${projectPath}_.`,
+        detail: `rustup component add ${components.join(" ")}${toolchainArg}`,
+      },
+      ["Install"]
+    )
+
+    if (clicked === "Install") {
+      clearIdeRustNotifications()
+      const installPromise = components
+        .reduce(
+          (prev, component) => prev.then(() => addComponent(toolchain, component, projectPath)),
+          Promise.resolve()
+        )
+        .then(() => this._restartLanguageServers(`Installed rust components`))
+        .catch((e) => {
+          console.warn(e)
+          atom.notifications.addError(`Error installing rust components`, {
+            detail: `${e}`,
+            dismissable: true,
+          })
+        })
+
+      if (this.busySignalService) {
+        this.busySignalService.reportBusyWhile(`Installing rust components`, () => installPromise)
+      }
+    }
+  }
+
   /** Takes appropriate action when missing rustup */
   async _handleMissingRustup() {
     try {
@@ -421,269 +756,1559 @@ class RustLanguageClient extends AutoLanguageClient {
     }
   }
 
-  async activate() {
-    super.activate()
-
-    // Get required dependencies
-    await require("atom-package-deps").install("ide-rust")
-
-    // watch config toolchain updates -> check for updates if enabling
-    this.disposables.add(
-      atom.config.onDidChange("ide-rust.checkForToolchainUpdates", ({ newValue: enabled }) => {
-        if (enabled) {
-          this._promptToUpdateToolchain().catch(logErr)
-        }
-      })
-    )
-
-    // watch languageServerCommand -> restart servers
-    this.disposables.add(
-      atom.config.onDidChange("ide-rust.languageServerCommand", () => this._restartLanguageServers())
-    )
-
-    this.disposables.add(
-      atom.commands.add("atom-workspace", "ide-rust:restart-all-language-servers", () =>
-        this._restartLanguageServers("Rust language servers restarted")
-      )
-    )
-  }
-
-  deactivate() {
-    this.disposables.dispose()
-    return super.deactivate()
-  }
-
-  getInitializeParams(projectPath, childProcess) {
-    const params = super.getInitializeParams(projectPath, childProcess) || {}
-    params.initializationOptions = params.initializationOptions || {}
-    // Don't build straight after initialize, wait for first `workspace/didChangeConfiguration`
-    params.initializationOptions.omitInitBuild = true
-
-    // let the server know we support markdown
-    params.capabilities.general.markdown = {
-      "parser": "marked"
-    };
-    params.capabilities.textDocument.hover.contentFormat = ["markdown", "plaintext"];
-
-    let rlsConfigPath = path.join(projectPath, "rust-analyzer.json")
-
-    if (!fs.existsSync(rlsConfigPath)) {
-        rlsConfigPath = path.join(projectPath, ".config/rust-analyzer.json")
+  /**
+   * Resolves the command that starts rust-analyzer from the configured install source, installing rust-analyzer if
+   * necessary
+   *
+   * @param {ProjectToolchain | null} toolchain The project's toolchain
+   * @param {string} projectPath
+   * @returns {Promise<string>}
+   */
+  async _languageServerCommand(toolchain, projectPath) {
+    const { source, releaseMirror, version } = serverInstall.installConfig()
+
+    if (source === "rustup") {
+      const name = (toolchain && toolchain.toolchain) || (await rustupDefaultToolchain())
+      const installed = await installedComponents(name, ["rust-analyzer"], projectPath)
+      if (!installed.has("rust-analyzer")) {
+        await this._reportBusyWhile(`Adding \`rust-analyzer\` to rust \`${name}\``, () =>
+          addComponent(name, "rust-analyzer", projectPath)
+        )
+      }
+      return `rustup run ${name} rust-analyzer`
     }
 
-    if (fs.existsSync(rlsConfigPath)) {
-        try {
-            let options = fs.readFileSync(rlsConfigPath)
-            Object.assign(params.initializationOptions, JSON.parse(options))
-        } catch(e) {
-            atom.notifications.addError("Error reading rust-analyzer config file\n", e)
-        }
+    if (source === "release") {
+      const installed = serverInstall.installedReleases()
+      const release = version || installed[0] || (await serverInstall.latestRelease(releaseMirror))
+      if (!installed.includes(release)) {
+        await this._installServerRelease(release)
+      }
+      return `"${serverInstall.releaseBinary(release)}"`
     }
 
-    return params
-  }
-
-  postInitialization(server) {
-    // track the server so we can keep its config updated
-    const project = new RustProject(server, () => this.busySignalService)
-    this.projects[server.projectPath] = project
-
-    server.process.on("exit", () => {
-      delete this.projects[server.projectPath]
-      this._refreshActiveOverrides()
-    })
-
-    this._refreshActiveOverrides()
-  }
-
-  /* eslint-disable class-methods-use-this */
-  getGrammarScopes() {
-    return ["source.rust", "rust"]
-  }
-  getLanguageName() {
-    return "Rust"
-  }
-  getServerName() {
-    return "rust-analyzer"
+    return langServerCommand()
   }
 
-  filterChangeWatchedFiles(filePath) {
-    // TODO ignore all files and wait for `client/registerCapability`
-    // to inform us of the correct files to watch, until that's implemented
-    // these filters take eliminate the brunt of the watch message spam
-    return (
-      !filePath.includes("/.git/") &&
-      !filePath.includes("/target/debug/") &&
-      !filePath.includes("/target/doc/") &&
-      !filePath.includes("/target/release/")
-    )
+  /**
+   * @param {string} version
+   * @returns {Promise} Resolves once installed, notifying if the release couldn't be verified
+   */
+  async _installServerRelease(version) {
+    const title = `Installing rust-analyzer ${version}`
+    const { verified } = await this._reportBusyWhile(title, () => serverInstall.installRelease(version))
+    if (!verified) {
+      atom.notifications.addWarning(`Installed unverified rust-analyzer ${version}`, {
+        description: "The release mirror provides no checksum for this release.",
+        _src: "ide-rust",
+      })
+    }
   }
-  /* eslint-enable class-methods-use-this */
 
-  // Kill servers fast (#196)
-  shutdownGracefully = false
-
-  async startServerProcess(projectPath) {
-    if (shouldIgnoreProjectPath(projectPath)) {
-      console.warn("ide-rust disabled on", projectPath)
-      // It's a bit ugly to just return as it causes some upstream error logs
-      // But there doesn't seem to be a better option for path disabling at the moment
+  /** Checks for a newer rust-analyzer release, when installing unpinned releases */
+  async _promptToUpdateServer() {
+    const { source, releaseMirror, version } = serverInstall.installConfig()
+    const [current] = serverInstall.installedReleases()
+    if (source !== "release" || version || !current) {
       return
     }
 
-    if (!this._periodicUpdateChecking && (await hasCommand("rustup"))) {
-      // if haven't started periodic checks for updates yet start now
-      let periodicUpdateTimeoutId
-      const periodicUpdate = async () => {
-        await this._promptToUpdateToolchain().catch(logErr)
-        periodicUpdateTimeoutId = setTimeout(periodicUpdate, PERIODIC_UPDATE_CHECK_MILLIS)
-      }
-      this.disposables.add(
-        new Disposable(() => {
-          clearTimeout(periodicUpdateTimeoutId)
-          delete this._periodicUpdateChecking
-        })
-      )
-      this._periodicUpdateChecking = true
-      periodicUpdate().catch(logErr)
-    }
-
-    if (!this._conflictingPackageChecking) {
-      showConflictingPackageWarnings()
-      this.disposables.add(atom.packages.onDidActivatePackage(showConflictingPackageWarnings))
-      this._conflictingPackageChecking = true
-    }
-
-    const languageServerCmd = langServerCommand()
-
-    if (!(await hasCommand(languageServerCmd))) {
-      notifyLanguageServerCommandFailed(languageServerCmd)
+    const latest = await serverInstall.latestRelease(releaseMirror)
+    if (serverInstall.compareVersions(latest, current) <= 0) {
       return
     }
-    clearIdeRustNotifications("ide-rust.langServerCommand")
 
-    return logSuspiciousStdout(
-      cp.spawn(languageServerCmd, {
-        env: serverEnv(),
-        shell: true,
-        cwd: projectPath,
-      })
+    const clicked = await atomPrompt(
+      "rust-analyzer update available",
+      { description: `rust-analyzer ${latest}, currently using ${current}.` },
+      ["Update"]
     )
-  }
-
-  // Extends the outline provider by filtering the type variable, which is
-  // only used for local variables by the language server. This makes the
-  // outline view cleaner and more useful.
-  provideOutlines() {
-    const provide = super.provideOutlines()
-    const superOutline = provide.getOutline
-
-    provide.getOutline = async (...args) => {
-      const outline = await superOutline.apply(this, args)
-      outline.outlineTrees = outline.outlineTrees.filter((o) => o.icon !== "type-variable")
-      return outline
+    if (clicked === "Update") {
+      await this._installServerRelease(latest)
+        .then(() => this._restartLanguageServers(`Updated rust-analyzer to ${latest}`))
+        .catch((e) => {
+          console.warn(e)
+          atom.notifications.addError(`Error installing rust-analyzer ${latest}`, {
+            detail: `${e.message || e}`,
+            dismissable: true,
+          })
+        })
     }
+  }
 
-    return provide
+  /** @param {ServerCrash} crash Shows the exit & recent stderr of a crashed server */
+  _notifyServerCrash({ projectPath, code, signal, stderr, crashes, restartMillis }) {
+    clearIdeRustNotifications(`ide-rust.serverCrash.${projectPath}`)
+    const exit = signal ? `signal ${signal}` : `exit code ${code}`
+    const restarting = restartMillis !== null
+    atom.notifications.addError(`rust-analyzer crashed for ${path.basename(projectPath)} (${exit})`, {
+      description: restarting
+        ? `Restarting in ${restartMillis / 1000}s, attempt ${crashes} of ${MAX_RESTARTS}.`
+        : `Not restarting after ${crashes} crash${crashes === 1 ? "" : "es"} in a row.`,
+      detail: stderr.length ? stderr.join("\n") : "No stderr output",
+      dismissable: true,
+      buttons: restarting
+        ? []
+        : [
+            {
+              text: "Restart",
+              onDidClick: () => {
+                clearIdeRustNotifications(`ide-rust.serverCrash.${projectPath}`)
+                this._restartLanguageServers().catch(logErr)
+              },
+            },
+          ],
+      _src: `ide-rust.serverCrash.${projectPath}`,
+    })
   }
 
   /**
-   * Hide unsupported rust-analyzer custom actions
+   * Runs the project's discovery command if it has one, otherwise searches for manifests
    *
-   * @param {(ls.Command | ls.CodeAction)[]} actions
-   * @returns {(ls.Command | ls.CodeAction)[]} Filtered actions
+   * @param {string} projectPath
+   * @returns {Promise<string[]>} Manifests found in the project, none if the project settings link projects or set a
+   *   discovery command
    */
-  /* eslint-disable-next-line class-methods-use-this */
-  filterCodeActions(actions) {
-    return actions.filter((a) => !a.command || a.command.command !== "rust-analyzer.applySourceChange")
+  async _discoverProjects(projectPath) {
+    const { settings } = loadProjectSettings(projectPath)
+    const discovery = settings && settings.projectDiscovery
+    if (discovery && discovery.command) {
+      await this._runDiscoveryCommand(projectPath, discovery.command)
+    } else {
+      this.generatedProjects.delete(projectPath)
+    }
+    const manifests =
+      (settings && (settings.linkedProjects || []).length) || this.generatedProjects.has(projectPath)
+        ? []
+        : await discoverProjects(projectPath, atom.config.get("ide-rust.projectDiscoveryDepth"))
+    this.discoveredProjects.set(projectPath, manifests)
+    return manifests
   }
 
-  // /**
-  //  * TODO: Handle rust-analyzer custom actions
-  //  * @param {(ls.Command | ls.CodeAction)} action
-  //  * @returns {Promise<boolean>} continue with default handling
-  //  */
-  // async onApplyCodeActions(action) {
-  //   return true
-  // }
-
   /**
-   * Extend base-class to workaround the limited markdown support.
+   * Generates the project's `rust-project.json`, showing a notification if the command fails. The last generated
+   * project is kept on failure.
    *
-   * @param {TextEditor} editor
-   * @param {Point} point
-   * @returns {Promise<atomIde.Datatip | null>}
+   * @param {string} projectPath
+   * @param {string[] | string} command
    */
-  async getDatatip(editor, ...args) {
-    const datatip = await super.getDatatip(editor, ...args)
+  async _runDiscoveryCommand(projectPath, command) {
+    const src = `ide-rust.projectDiscovery.${projectPath}`
+    const serverLog = this._serverLog(projectPath)
+    const commandText = Array.isArray(command) ? command.join(" ") : command
+    const busy =
+      this.busySignalService && this.busySignalService.reportBusy(`${path.basename(projectPath)} project discovery`)
     try {
-      if (datatip) {
-        datatip.markedStrings = datatip.markedStrings
-          .flatMap((m) => {
-            if (!m.grammar && m.type === "markdown" && m.value) {
-              return convertMarkdownToSnippets(m.value)
-            } else {
-              return m
-            }
-          })
-          .filter((m) => m.value)
-      }
+      const project = await runDiscoveryCommand(projectPath, command)
+      this.generatedProjects.set(projectPath, project)
+      serverLog.log("info", `Project discovery \`${commandText}\` found ${project.crates.length} crates`)
+      clearIdeRustNotifications(src)
     } catch (e) {
-      console.error("Error processing datatip", e)
+      serverLog.log("info", `Project discovery \`${commandText}\` failed: ${e.message}`)
+      clearIdeRustNotifications(src)
+      const settingsFile = CONFIG_FILES.map((file) => path.join(projectPath, file)).find((file) => fs.existsSync(file))
+      atom.notifications.addError(`Project discovery failed for ${path.basename(projectPath)}`, {
+        description: `\`${commandText}\`: ${e.message}\n\n${
+          this.generatedProjects.has(projectPath)
+            ? "rust-analyzer keeps using the previously generated project."
+            : "rust-analyzer can't load the project until the command succeeds."
+        }`,
+        detail: (e.stderr || []).join("\n") || undefined,
+        dismissable: true,
+        _src: src,
+        buttons: [
+          {
+            text: "Retry",
+            onDidClick: () => {
+              clearIdeRustNotifications(src)
+              this._rediscoverProject(projectPath).catch(logErr)
+            },
+          },
+          ...(settingsFile ? [{ text: "Open Settings", onDidClick: () => atom.workspace.open(settingsFile) }] : []),
+        ],
+      })
+    } finally {
+      if (busy) {
+        busy.dispose()
+      }
     }
-    return datatip
   }
-}
 
-/**
- * Convert "foo\n`rust\nHashSet<u32, String>\n`\nbar" to [{type: "markdown", value: "foo"}, {type:"snippet", value:
- * "HashSet<u32, String>", ...}, ...]
- *
- * @param {string} value
- * @returns {object[]}
- */
-function convertMarkdownToSnippets(value) {
-  // even indices are text, odds are rust snippets
-  return value.split(/\s*```rust\s*([\s.]+?)\s*```/).map((bit, index) => {
-    if (index % 2 === 0) {
-      return {
-        type: "markdown",
-        value: bit,
-      }
-    } else {
-      return {
-        type: "snippet",
-        grammar: atom.grammars.grammarForScopeName("source.rust"),
-        value: bit,
+  /**
+   * Discovers the projects again, sending them to the running server
+   *
+   * @param {string} projectPath
+   */
+  async _rediscoverProject(projectPath) {
+    // changes during a run are picked up by running once more
+    const running = this.rediscoveries.get(projectPath)
+    if (running) {
+      running.again = true
+      return
+    }
+    const run = { again: true }
+    this.rediscoveries.set(projectPath, run)
+    try {
+      while (run.again) {
+        run.again = false
+        // eslint-disable-next-line no-await-in-loop
+        await this._discoverProjects(projectPath)
+        const project = this.projects[projectPath]
+        if (project) {
+          project.setLinkedProjects(this._linkedProjects(projectPath))
+        }
       }
+    } finally {
+      this.rediscoveries.delete(projectPath)
     }
-  })
-}
+  }
 
-// override windows specific implementations
-if (process.platform === "win32") {
-  // handle different slashes
-  // TODO ignore all files and wait for `client/registerCapability` as
-  // in unix method
-  RustLanguageClient.prototype.filterChangeWatchedFiles = (filePath) => {
-    return (
-      !filePath.includes("\\.git\\") &&
-      !filePath.includes("\\target\\debug\\") &&
-      !filePath.includes("\\target\\doc\\") &&
-      !filePath.includes("\\target\\release\\")
+  /**
+   * Re-runs the project's discovery command when its `filesToWatch` or discovery settings change
+   *
+   * @param {RustProject} project
+   * @returns {Disposable}
+   */
+  _watchDiscoveryInputs(project) {
+    const { projectPath } = project.server
+    const settingsFiles = CONFIG_FILES.map((file) => path.join(projectPath, file))
+    const discoverySettings = () => {
+      const { settings } = loadProjectSettings(projectPath)
+      return (settings && settings.projectDiscovery) || null
+    }
+    let discovery = discoverySettings()
+    return atom.project.onDidChangeFiles((events) => {
+      const changedPaths = events
+        .map((event) => event.path)
+        .concat(events.map((event) => event.oldPath).filter(Boolean))
+      if (changedPaths.some((changedPath) => settingsFiles.includes(changedPath))) {
+        const changed = discoverySettings()
+        if (JSON.stringify(changed) !== JSON.stringify(discovery)) {
+          discovery = changed
+          this._rediscoverProject(projectPath).catch(logErr)
+          return
+        }
+      }
+      if (discovery && isDiscoveryInput(projectPath, discovery.filesToWatch || [], changedPaths)) {
+        this._rediscoverProject(projectPath).catch(logErr)
+      }
+    })
+  }
+
+  /**
+   * @param {string} projectPath
+   * @returns {(string | object)[] | null} The generated project, or discovered manifests to load without those the user
+   *   excluded, null if none were found
+   */
+  _linkedProjects(projectPath) {
+    if (this.generatedProjects.has(projectPath)) {
+      return [this.generatedProjects.get(projectPath)]
+    }
+    const manifests = this.discoveredProjects.get(projectPath) || []
+    const excluded = loadExcludedProjects(projectPath) || []
+    const linked = manifests.filter((manifest) => !excluded.includes(manifest))
+    return linked.length ? linked : null
+  }
+
+  /** @param {RustProject} project Offers to choose the projects to load, when several were found & none chosen yet */
+  _offerProjectChoice(project) {
+    const { projectPath } = project.server
+    const manifests = this.discoveredProjects.get(projectPath) || []
+    if (manifests.length < 2 || loadExcludedProjects(projectPath)) {
+      return
+    }
+    const src = `ide-rust.linkedProjects.${projectPath}`
+    clearIdeRustNotifications(src)
+    atom.notifications.addInfo(`${manifests.length} Rust projects found in ${path.basename(projectPath)}`, {
+      description:
+        "All of them are loaded, which may be slow. Choose the projects to load with `ide-rust:choose-projects`.",
+      dismissable: true,
+      _src: src,
+      buttons: [
+        {
+          text: "Load all",
+          onDidClick: () => {
+            clearIdeRustNotifications(src)
+            saveExcludedProjects(projectPath, [])
+          },
+        },
+        {
+          text: "Choose",
+          onDidClick: () => {
+            clearIdeRustNotifications(src)
+            this._chooseLinkedProjects(project)
+          },
+        },
+      ],
+    })
+  }
+
+  /**
+   * Shows a picker of the discovered projects, reloading the server's workspace with the chosen projects
+   *
+   * @param {RustProject} project
+   * @returns {LinkedProjectsView | undefined}
+   */
+  _chooseLinkedProjects(project) {
+    const { projectPath } = project.server
+    const manifests = this.discoveredProjects.get(projectPath) || []
+    if (!manifests.length) {
+      atom.notifications.addInfo(`No projects discovered in ${path.basename(projectPath)}`, {
+        description:
+          "Projects aren't searched for when the project settings set `linkedProjects` or `projectDiscovery`.",
+        _src: "ide-rust",
+      })
+      return
+    }
+    return new LinkedProjectsView(projectPath, manifests, loadExcludedProjects(projectPath) || [], (excluded) => {
+      saveExcludedProjects(projectPath, excluded)
+      project.setLinkedProjects(this._linkedProjects(projectPath))
+    })
+  }
+
+  /** @param {RustProject} project Shows the server's health, pid, last crash & recent stderr */
+  _showServerStatus(project) {
+    const { projectPath, process: serverProcess } = project.server
+    const { health, healthMessage } = project.getStatus()
+    const lastCrash = this.supervisor.lastCrash(projectPath)
+    const stderr = this.supervisor.stderr(projectPath)
+
+    const description = [`Process ${serverProcess.pid} for _${projectPath}_.`]
+    if (healthMessage) {
+      description.push(healthMessage)
+    }
+    if (lastCrash) {
+      const exit = lastCrash.signal ? `signal ${lastCrash.signal}` : `exit code ${lastCrash.code}`
+      description.push(`Last crashed with ${exit}.`)
+    }
+    const notify = { ok: "addInfo", warning: "addWarning", error: "addError" }[health] || "addInfo"
+    atom.notifications[notify](`rust-analyzer ${health === "ok" ? "is healthy" : `has ${health}s`}`, {
+      description: description.join("\n\n"),
+      detail: stderr.length ? stderr.join("\n") : undefined,
+      dismissable: true,
+      _src: "ide-rust",
+    })
+  }
+
+  /**
+   * @param {string} title
+   * @param {function} action `() => Promise`
+   * @returns {Promise} Result of the action, reported as busy while pending
+   */
+  _reportBusyWhile(title, action) {
+    return this.busySignalService ? this.busySignalService.reportBusyWhile(title, action) : action()
+  }
+
+  async activate() {
+    super.activate()
+
+    this.supervisor = new ServerSupervisor()
+    this.disposables.add(
+      this.supervisor,
+      this.supervisor.onDidCrash((crash) => this._notifyServerCrash(crash))
+    )
+
+    // Get required dependencies
+    await require("atom-package-deps").install("ide-rust")
+
+    // watch config toolchain updates -> check for updates if enabling
+    this.disposables.add(
+      atom.config.onDidChange("ide-rust.checkForToolchainUpdates", ({ newValue: enabled }) => {
+        if (enabled) {
+          this._promptToUpdateToolchain().catch(logErr)
+        }
+      })
+    )
+
+    // watch languageServerCommand & install settings -> restart servers, installing rust-analyzer if needed
+    this.disposables.add(
+      atom.config.onDidChange("ide-rust.languageServerCommand", () => this._restartLanguageServers()),
+      atom.config.onDidChange("ide-rust.rustAnalyzerInstall", () => this._restartLanguageServers())
+    )
+
+    // watch toolchain -> check it's installed & restart servers
+    this.disposables.add(
+      atom.config.onDidChange("ide-rust.toolchain", () =>
+        this._checkToolchain()
+          .then(() => this._restartLanguageServers())
+          .catch(logErr)
+      )
+    )
+
+    // push rust-analyzer settings changes to the servers
+    this.disposables.add(
+      atom.config.onDidChange("ide-rust.inlayHints", () => this._reloadSettings()),
+      atom.config.onDidChange("ide-rust.rustAnalyzer", () => this._reloadSettings())
+    )
+
+    this.disposables.add(
+      atom.config.onDidChange("ide-rust.traceLanguageServer", ({ newValue: trace }) =>
+        this.serverLogs.forEach((serverLog) => serverLog.setTracing(trace))
+      )
+    )
+
+    this.disposables.add(
+      atom.commands.add("atom-workspace", {
+        "ide-rust:restart-all-language-servers": () => this._restartLanguageServers("Rust language servers restarted"),
+        "ide-rust:manage-toolchains": () => atom.workspace.open(TOOLCHAINS_URI, { searchAllPanes: true }),
+        "ide-rust:show-server-status": () => this._projectCommand((project) => this._showServerStatus(project)),
+        "ide-rust:show-server-log": () => this._showServerLog(),
+        "ide-rust:choose-projects": () => this._projectCommand((project) => this._chooseLinkedProjects(project)),
+        "ide-rust:show-test-explorer": () => atom.workspace.open(TEST_EXPLORER_URI, { searchAllPanes: true }),
+        "ide-rust:run-all-tests": () => this._testExplorerView().runAll().catch(logErr),
+        "ide-rust:rerun-failed-tests": () => this._testExplorerView().rerunFailed().catch(logErr),
+        "ide-rust:debug-configuration": () =>
+          this._projectCommand((project) => this._debugConfiguration(project.server.projectPath).catch(logErr)),
+      }),
+      atom.commands.add("atom-workspace", {
+        "ide-rust:run-flycheck": () => this._projectCommand((project, editor) => project.runFlycheck(editor)),
+        "ide-rust:cancel-flycheck": () => this._projectCommand((project) => project.cancelFlycheck()),
+        "ide-rust:clear-diagnostics": () =>
+          this._projectCommand((project) => {
+            project.clearFlycheck()
+            this.cargoDiagnostics.clearWithin(project.server.projectPath)
+          }),
+        "ide-rust:toggle-check-command": () =>
+          this._projectCommand((project) => {
+            const command = project.getCheckCommand() === "clippy" ? "check" : "clippy"
+            project.setCheckCommand(command)
+            const name = path.basename(project.server.projectPath)
+            atom.notifications.addSuccess(`Checking ${name} with \`cargo ${command}\``, { _src: "ide-rust" })
+          }),
+      }),
+      atom.commands.add(
+        "atom-workspace",
+        Object.keys(CARGO_COMMANDS).reduce((commands, name) => {
+          commands[`ide-rust:cargo-${name}`] = () => this._runCargo(name).catch(logErr)
+          return commands
+        }, {})
+      ),
+      atom.commands.add("atom-text-editor[data-grammar='source rust']", {
+        "ide-rust:join-lines": this._editorCommand(joinLines),
+        "ide-rust:matching-brace": this._editorCommand(matchingBrace),
+        "ide-rust:parent-module": this._editorCommand(parentModule),
+        "ide-rust:open-cargo-toml": this._editorCommand(openCargoToml),
+      })
+    )
+
+    this.disposables.add(
+      atom.workspace.addOpener((uri) => {
+        if (uri === RUNNABLES_URI) {
+          return this._runnablesView()
+        }
+        if (uri === SYNTAX_TREE_URI) {
+          return this._syntaxTreeView()
+        }
+        if (uri === SSR_URI) {
+          return this._ssrView()
+        }
+        if (uri === TOOLCHAINS_URI) {
+          return this._toolchainView()
+        }
+        if (uri === SERVER_LOG_URI) {
+          return this._serverLogView()
+        }
+        if (uri === TEST_EXPLORER_URI) {
+          return this._testExplorerView()
+        }
+      }),
+      atom.commands.add("atom-text-editor[data-grammar='source rust']", {
+        "ide-rust:run": () => this._runAtCursor(atom.workspace.getActiveTextEditor()),
+        "ide-rust:debug": () => this._debugAtCursor(atom.workspace.getActiveTextEditor()).catch(logErr),
+        "ide-rust:show-runnables": () => this._showRunnables(atom.workspace.getActiveTextEditor()),
+        "ide-rust:expand-macro": this._editorCommand(expandMacro),
+        "ide-rust:open-docs": () => this._openDocs(atom.workspace.getActiveTextEditor()).catch(logErr),
+        "ide-rust:show-syntax-tree": () => this._showSyntaxTree("syntax-tree"),
+        "ide-rust:view-hir": () => this._showSyntaxTree("hir"),
+        "ide-rust:view-item-tree": () => this._showSyntaxTree("item-tree"),
+        "ide-rust:structural-search-replace": async () => {
+          const view = this._ssrView()
+          await atom.workspace.open(view, { searchAllPanes: true })
+          view.focus()
+        },
+      })
+    )
+
+    // hover links are fragment-only, see `HoverLinks`
+    const onLinkClick = (event) => {
+      const link = event.target instanceof Element && event.target.closest("a")
+      if (link && this.hoverLinks.handle(link.getAttribute("href"))) {
+        event.preventDefault()
+        event.stopPropagation()
+      }
+    }
+    document.addEventListener("click", onLinkClick, true)
+    this.disposables.add(new Disposable(() => document.removeEventListener("click", onLinkClick, true)))
+
+    this.runnableLenses = new RunnableLenses(
+      (editor) => this._fetchRunnables(editor),
+      (runnable) => this._run(runnable),
+      (runnable) => this._debug(runnable).catch(logErr)
+    )
+    this.disposables.add(this.runnableLenses)
+
+    this.testResults = new TestResults()
+    this.testGutter = new TestGutter(
+      (editor) => this._fetchRunnables(editor),
+      (editor, runnable) => {
+        const project = this._projectForPath(editor.getPath())
+        const packageName = cargoPackage(runnable)
+        const name = runnableTestPath(runnable)
+        return project && packageName && name && this.testResults.get(project.server.projectPath, packageName, name)
+      },
+      (editor, runnable) => {
+        const project = this._projectForPath(editor.getPath())
+        if (project) {
+          this._testExplorerView().runRunnableTests(project.server.projectPath, runnable).catch(logErr)
+        }
+      }
+    )
+    this.disposables.add(
+      this.testGutter,
+      this.testResults,
+      this.testResults.onDidChange(() => this.testGutter.updateIcons())
+    )
+
+    this.inlayHints = new InlayHints((editor) => {
+      const project = this._projectForPath(editor.getPath())
+      return project && project.server
+    })
+    this.disposables.add(this.inlayHints)
+
+    this.semanticTokens = new SemanticTokens((editor) => {
+      const project = this._projectForPath(editor.getPath())
+      return project && project.server
+    })
+    this.disposables.add(this.semanticTokens)
+
+    this.cargoToml = new CargoTomlAssist(new CargoRegistry())
+    this.disposables.add(this.cargoToml)
+  }
+
+  deactivate() {
+    this.disposables.dispose()
+    if (this.runnablesView) {
+      this.runnablesView.destroy()
+    }
+    if (this.syntaxTreeView) {
+      this.syntaxTreeView.destroy()
+    }
+    if (this.ssrView) {
+      this.ssrView.destroy()
+    }
+    if (this.toolchainView) {
+      this.toolchainView.destroy()
+    }
+    if (this.serverLogView) {
+      this.serverLogView.destroy()
+    }
+    if (this.testExplorerView) {
+      this.testExplorerView.destroy()
+    }
+    this.serverLogs.forEach((serverLog) => serverLog.dispose())
+    this.serverLogs.clear()
+    return super.deactivate()
+  }
+
+  /** Pushes package & project settings to all running servers */
+  _reloadSettings() {
+    for (const project of Object.values(this.projects)) {
+      project.reloadSettings()
+    }
+  }
+
+  /**
+   * @param {string} [filePath]
+   * @returns {RustProject | undefined} Project with the most specific path containing the file
+   */
+  _projectForPath(filePath) {
+    if (!filePath) {
+      return undefined
+    }
+    const projectPath = Object.keys(this.projects)
+      .filter((p) => filePath === p || filePath.startsWith(`${p}${path.sep}`))
+      .sort((a, b) => b.length - a.length)[0]
+    return projectPath && this.projects[projectPath]
+  }
+
+  /**
+   * @param {TextEditor} editor
+   * @returns {RustProject | undefined} Project of the editor, notifying the user if there isn't one
+   */
+  _requireProject(editor) {
+    const project = editor && this._projectForPath(editor.getPath())
+    if (!project) {
+      atom.notifications.addWarning("rust-analyzer is not running for this file", { _src: "ide-rust" })
+    }
+    return project
+  }
+
+  /**
+   * Runs a command with the project of the active editor, otherwise the first project
+   *
+   * @param {function} command `(project, ?editor) => void`, with the active rust editor of the project if any
+   */
+  _projectCommand(command) {
+    const editor = atom.workspace.getActiveTextEditor()
+    const project = this._projectForPath(editor && editor.getPath()) || this.projects[activeProjectPath()]
+    if (!project) {
+      atom.notifications.addWarning("rust-analyzer is not running", { _src: "ide-rust" })
+      return
+    }
+    const isRust = editor && editor.getGrammar().scopeName === "source.rust"
+    command(project, isRust && this._projectForPath(editor.getPath()) === project ? editor : undefined)
+  }
+
+  /**
+   * @param {function} command `(connection, editor) => Promise` to run with the active editor's server
+   * @returns {function} Command callback
+   */
+  _editorCommand(command) {
+    return () => {
+      const editor = atom.workspace.getActiveTextEditor()
+      const project = this._requireProject(editor)
+      if (project) {
+        command(project.server.connection, editor).catch(logErr)
+      }
+    }
+  }
+
+  /** @returns {RunnablesView} The runnables dock item, created if necessary */
+  _runnablesView() {
+    if (!this.runnablesView || !this.runnablesView.element.isConnected) {
+      this.runnablesView = new RunnablesView(
+        (runnable) => this._run(runnable).catch(logErr),
+        (runnable) => this._debug(runnable).catch(logErr)
+      )
+    }
+    return this.runnablesView
+  }
+
+  /** @returns {SyntaxTreeView} The syntax tree dock item, created if necessary */
+  _syntaxTreeView() {
+    if (!this.syntaxTreeView || !this.syntaxTreeView.element.isConnected) {
+      this.syntaxTreeView = new SyntaxTreeView((editor) => {
+        const project = this._projectForPath(editor.getPath())
+        return project && project.server.connection
+      })
+    }
+    return this.syntaxTreeView
+  }
+
+  /** @returns {SsrView} The structural search replace dock item, created if necessary */
+  _ssrView() {
+    if (!this.ssrView || !this.ssrView.element.isConnected) {
+      this.ssrView = new SsrView((editor) => {
+        const project = this._projectForPath(editor.getPath())
+        return project && project.server.connection
+      })
+    }
+    return this.ssrView
+  }
+
+  /** @returns {ServerLogView} The server log dock item, created if necessary */
+  _serverLogView() {
+    if (!this.serverLogView || !this.serverLogView.element.isConnected) {
+      this.serverLogView = new ServerLogView(() => this.serverLogs)
+      this.serverLogView.setProject(activeProjectPath())
+    }
+    return this.serverLogView
+  }
+
+  /** Opens the server log showing the active project */
+  async _showServerLog() {
+    const view = this._serverLogView()
+    await atom.workspace.open(view, { searchAllPanes: true })
+    const editor = atom.workspace.getActiveTextEditor()
+    const project = this._projectForPath(editor && editor.getPath())
+    view.setProject(project ? project.server.projectPath : activeProjectPath())
+  }
+
+  /**
+   * @param {string} projectPath
+   * @returns {ServerLog} The project's log, created if necessary
+   */
+  _serverLog(projectPath) {
+    if (!this.serverLogs.has(projectPath)) {
+      const serverLog = new ServerLog(projectPath)
+      serverLog.setTracing(atom.config.get("ide-rust.traceLanguageServer"))
+      this.serverLogs.set(projectPath, serverLog)
+      if (this.serverLogView) {
+        this.serverLogView.setProject()
+      }
+    }
+    return this.serverLogs.get(projectPath)
+  }
+
+  /** @returns {TestExplorerView} The test explorer dock item, created if necessary */
+  _testExplorerView() {
+    if (!this.testExplorerView || !this.testExplorerView.element.isConnected) {
+      if (this.testExplorerView) {
+        this.testExplorerView.destroy()
+      }
+      this.testExplorerView = new TestExplorerView(
+        this.testResults,
+        () => Object.keys(this.projects),
+        (projectPath, testId) => this._discoverTests(projectPath, testId),
+        (projectPath, runnable, options) => this._runTests(projectPath, runnable, options),
+        (projectPath, runnable) => this._debug(runnable, projectPath).catch(logErr)
+      )
+    }
+    return this.testExplorerView
+  }
+
+  /**
+   * Runs a test runnable in the runnables dock item with the project's toolchain, with libtest json output on nightly
+   *
+   * @param {string} projectPath
+   * @param {Runnable} runnable
+   * @param {object} options `renderLine` & `onLine`, see `RunnablesView.runProcess`
+   * @returns {Promise<number | null>} Exit code once the tests finish, null if stopped
+   */
+  async _runTests(projectPath, runnable, options) {
+    const { toolchain } = await projectToolchain(projectPath)
+    const { cwd } = runnableInvocation(runnable)
+    const testRunnable = (await isNightly(toolchain, cwd || projectPath)) ? withJsonOutput(runnable) : runnable
+    const { args } = runnableInvocation(testRunnable)
+    const view = this._runnablesView()
+    await atom.workspace.open(view, { searchAllPanes: true, activatePane: false })
+    return view.runProcess(
+      runnableCommandLine(testRunnable),
+      () => spawnCargo(toolchain, args, cwd || projectPath),
+      Object.assign({}, options, { runnable: testRunnable })
+    )
+  }
+
+  /**
+   * Discovers a project's tests with `experimental/discoverTest`, falling back to the runnables of its open editors for
+   * servers without it
+   *
+   * @param {string} projectPath
+   * @param {string} [testId] Discover the children of this item, otherwise the crates
+   * @returns {Promise<DiscoverTestResults & { fromRunnables?: boolean }>}
+   */
+  async _discoverTests(projectPath, testId) {
+    const project = this.projects[projectPath]
+    if (!project) {
+      return { tests: [] }
+    }
+    if (!project.testsFromRunnables) {
+      try {
+        const params = testId ? { testId } : {}
+        return await project.server.connection.sendCustomRequest("experimental/discoverTest", params)
+      } catch (e) {
+        // MethodNotFound
+        if (e.code !== -32601) {
+          throw e
+        }
+        project.testsFromRunnables = true
+      }
+    }
+
+    const editors = atom.workspace
+      .getTextEditors()
+      .filter((editor) => editor.getGrammar().scopeName === "source.rust")
+      .filter((editor) => this._projectForPath(editor.getPath()) === project)
+    const runnables = await Promise.all(editors.map((editor) => this._fetchRunnables(editor).catch(() => [])))
+    return { tests: testItemsFromRunnables([].concat(...runnables)), fromRunnables: true }
+  }
+
+  /** @returns {ToolchainView} The toolchain manager dock item, created if necessary */
+  _toolchainView() {
+    if (!this.toolchainView || !this.toolchainView.element.isConnected) {
+      this.toolchainView = new ToolchainView((title, action) => this._reportBusyWhile(title, action))
+      this.toolchainView.onDidChangeToolchains(() => {
+        this._refreshActiveOverrides()
+        this._restartLanguageServers()
+      })
+    }
+    return this.toolchainView
+  }
+
+  /**
+   * Runs a cargo command in the active project with its toolchain, streaming rendered output to the runnables dock
+   * item, progress to the busy signal & diagnostics to the linter
+   *
+   * @param {string} name Key of {CARGO_COMMANDS}, ie `check`
+   */
+  async _runCargo(name) {
+    const projectPath = activeProjectPath()
+    if (!projectPath) {
+      atom.notifications.addWarning("No project to run cargo in", { _src: "ide-rust" })
+      return
+    }
+    const { toolchain } = await projectToolchain(projectPath)
+    const root = await cargoWorkspaceRoot(toolchain, projectPath)
+    const args = cargoArgs(name)
+    const title = `cargo ${name}`
+
+    let busy = null
+    let built = 0
+    const renderLine = (line) => {
+      const message = parseCargoMessage(line)
+      if (!message) {
+        return line
+      }
+      if (message.reason === "compiler-message") {
+        this.cargoDiagnostics.add(root, message.message, title)
+        return message.message.rendered ? message.message.rendered.trimEnd() : null
+      }
+      if (message.reason === "compiler-artifact" && busy) {
+        busy.setTitle(`${title}: ${++built} built, ${message.target.name}`)
+      }
+      return null
+    }
+    const spawnProcess = () => {
+      this.cargoDiagnostics.clear(root)
+      built = 0
+      if (this.busySignalService) {
+        busy = this.busySignalService.reportBusy(title)
+      }
+      const child = spawnCargo(toolchain, args, projectPath)
+      child.on("close", () => busy && busy.dispose())
+      child.on("error", () => busy && busy.dispose())
+      return child
+    }
+
+    const view = this._runnablesView()
+    await atom.workspace.open(view, { searchAllPanes: true, activatePane: false })
+    await view.runProcess(`cargo ${args.join(" ")}`, spawnProcess, { renderLine })
+  }
+
+  /** @param {"syntax-tree" | "hir" | "item-tree"} mode What to show in the syntax tree dock item */
+  async _showSyntaxTree(mode) {
+    const view = this._syntaxTreeView()
+    view.setMode(mode)
+    await atom.workspace.open(view, { searchAllPanes: true, activatePane: false })
+  }
+
+  /**
+   * @param {TextEditor} editor
+   * @param {Point} [point] Only fetch runnables at this position
+   * @returns {Promise<Runnable[]>} Runnables in the editor, empty if there is no server for it
+   */
+  _fetchRunnables(editor, point) {
+    const project = this._projectForPath(editor.getPath())
+    if (!project) {
+      return Promise.resolve([])
+    }
+    return fetchRunnables(project.server.connection, editor, point)
+  }
+
+  /** @param {Runnable} runnable Runs in the runnables dock item with its project's toolchain */
+  async _run(runnable) {
+    const { cwd } = runnableInvocation(runnable)
+    const project = cwd && this._projectForPath(cwd)
+    const { toolchain } = await projectToolchain(
+      project ? project.server.projectPath : cwd || activeProjectPath() || "."
     )
+    const view = this._runnablesView()
+    await atom.workspace.open(view, { searchAllPanes: true, activatePane: false })
+    view.run(runnable, { toolchain })
+  }
+
+  /**
+   * Runs the most specific runnable at the cursor, ie the test the cursor is in
+   *
+   * @param {TextEditor} editor
+   */
+  async _runAtCursor(editor) {
+    const runnable = mostSpecificRunnable(await this._fetchRunnables(editor, editor.getCursorBufferPosition()))
+    if (!runnable) {
+      atom.notifications.addInfo("Nothing to run at the cursor", { _src: "ide-rust" })
+      return
+    }
+    this._run(runnable)
+  }
+
+  /**
+   * Debugs the most specific debuggable runnable at the cursor, ie the test the cursor is in
+   *
+   * @param {TextEditor} editor
+   */
+  async _debugAtCursor(editor) {
+    const runnables = await this._fetchRunnables(editor, editor.getCursorBufferPosition())
+    const runnable = mostSpecificRunnable(runnables.filter(isDebuggable))
+    if (!runnable) {
+      atom.notifications.addInfo("Nothing to debug at the cursor", { _src: "ide-rust" })
+      return
+    }
+    const project = this._projectForPath(editor.getPath())
+    await this._debug(runnable, project && project.server.projectPath)
   }
 
-  // handle different slashes & path separator
-  envPath = () => {
-    // Make sure the cargo directory is in PATH
-    let envPath = process.env.PATH || ""
-    if (!envPath.includes(".cargo\\bin")) {
-      envPath += `;${path.join(os.homedir(), ".cargo", "bin")}`
+  /**
+   * Builds a runnable's executable, with output in the runnables dock item, & debugs it with atom-ide-debugger
+   *
+   * @param {Runnable} runnable
+   * @param {string} [projectPath]
+   * @param {string} [program] Executable to debug rather than building it
+   */
+  async _debug(runnable, projectPath = activeProjectPath(), program = undefined) {
+    if (!this.debuggerService) {
+      atom.notifications.addWarning("Debugging needs the `atom-ide-debugger` package", { _src: "ide-rust" })
+      return
+    }
+    const adapter = atom.config.get("ide-rust.debugger.adapter")
+    const command = findAdapter(adapter, atom.config.get("ide-rust.debugger.adapterPath"))
+    if (!command) {
+      const install = adapter === "lldb" ? "lldb-dap, from LLVM 18+, or lldb-vscode" : "gdb 14+"
+      atom.notifications.addError(`Couldn't find the ${adapter} debug adapter`, {
+        _src: "ide-rust",
+        description: `Install ${install} or set the adapter path in the package settings.`,
+      })
+      return
+    }
+
+    const { cwd } = runnableInvocation(runnable)
+    // build & load the pretty printers with the same toolchain
+    const { toolchain } = await projectToolchain(projectPath || cwd)
+    let executable = program
+    if (!executable) {
+      const messages = []
+      const renderLine = (line) => {
+        const message = parseCargoMessage(line)
+        if (!message) {
+          return line
+        }
+        messages.push(message)
+        return message.reason === "compiler-message" && message.message.rendered
+          ? message.message.rendered.trimEnd()
+          : null
+      }
+      const view = this._runnablesView()
+      await atom.workspace.open(view, { searchAllPanes: true, activatePane: false })
+      const build = runnableInvocation(buildRunnable(runnable))
+      const code = await view.runProcess(
+        `cargo ${build.args.join(" ")}`,
+        () => spawnCargo(toolchain, build.args, build.cwd),
+        { renderLine }
+      )
+      if (code !== 0) {
+        if (code !== null) {
+          atom.notifications.addError(`Couldn't build ${runnable.label}`, { _src: "ide-rust" })
+        }
+        return
+      }
+      try {
+        executable = builtExecutable(messages, runnable)
+      } catch (e) {
+        atom.notifications.addError(`Couldn't debug ${runnable.label}`, { _src: "ide-rust", description: e.message })
+        return
+      }
     }
-    return envPath
+
+    await this.debuggerService.startVspDebugging(
+      processConfig({
+        adapter,
+        command,
+        name: runnable.label,
+        program: executable,
+        args: runnable.args.executableArgs || [],
+        cwd: cwd || projectPath,
+        env: runnable.args.environment || {},
+        sysroot: await rustSysroot(toolchain, cwd || projectPath),
+      })
+    )
   }
 
+  /**
+   * Debugs one of the launch configurations in the project settings `debug.configurations`, asking which if there are
+   * several
+   *
+   * @param {string} projectPath
+   */
+  async _debugConfiguration(projectPath) {
+    const { settings, filePath } = loadProjectSettings(projectPath)
+    const configurations = ((settings && settings.debug && settings.debug.configurations) || []).filter(
+      (c) => c && typeof c.name === "string"
+    )
+    if (!configurations.length) {
+      atom.notifications.addInfo("No launch configurations", {
+        _src: "ide-rust",
+        dismissable: true,
+        description:
+          "Add launch configurations to the project settings `debug.configurations`, " +
+          'ie `{ "name": "server", "cargoArgs": ["build", "--bin", "server"], "args": ["--port", "8080"] }`.',
+        buttons: filePath ? [{ text: "Open Settings", onDidClick: () => atom.workspace.open(filePath) }] : [],
+      })
+      return
+    }
+
+    const name =
+      configurations.length === 1
+        ? configurations[0].name
+        : await atomPrompt(
+            "Debug which launch configuration?",
+            {},
+            configurations.map((c) => c.name)
+          )
+    const configuration = configurations.find((c) => c.name === name)
+    if (configuration) {
+      const program = configuration.program && path.resolve(projectPath, configuration.program)
+      await this._debug(configurationRunnable(projectPath, configuration), projectPath, program)
+    }
+  }
+
+  /** @param {TextEditor} editor Lists the editor's runnables in the runnables dock item */
+  async _showRunnables(editor) {
+    const view = this._runnablesView()
+    view.setRunnables(await this._fetchRunnables(editor))
+    await atom.workspace.open(view, { searchAllPanes: true })
+  }
+
+  getInitializeParams(projectPath, childProcess) {
+    const params = super.getInitializeParams(projectPath, childProcess) || {}
+    params.initializationOptions = params.initializationOptions || {}
+    // Don't build straight after initialize, wait for first `workspace/didChangeConfiguration`
+    params.initializationOptions.omitInitBuild = true
+
+    // package settings overridden by the project settings file, kept up to date by `RustProject`
+    const { settings } = loadProjectSettings(projectPath)
+    Object.assign(params.initializationOptions, serverSettings(settings || packageDefaults()))
+    const linkedProjects = this._linkedProjects(projectPath)
+    if (linkedProjects && !(params.initializationOptions.linkedProjects || []).length) {
+      params.initializationOptions.linkedProjects = linkedProjects
+    }
+    params.capabilities.workspace.configuration = true
+
+    params.capabilities.textDocument.inlayHint = { dynamicRegistration: false }
+    params.capabilities.workspace.inlayHint = { refreshSupport: true }
+    params.capabilities.textDocument.semanticTokens = SEMANTIC_TOKENS_CAPABILITIES
+    params.capabilities.workspace.semanticTokens = { refreshSupport: true }
+    params.capabilities.workspace.didChangeWatchedFiles = { dynamicRegistration: true, relativePatternSupport: true }
+
+    // let the server know we support markdown
+    params.capabilities.general.markdown = {
+      "parser": "marked"
+    };
+    params.capabilities.textDocument.hover.contentFormat = ["markdown", "plaintext"];
+
+    // resolve code action edits lazily & accept snippet edits, see `onApplyCodeActions`
+    Object.assign(params.capabilities.textDocument.codeAction, {
+      dataSupport: true,
+      resolveSupport: { properties: ["edit", "command"] },
+      codeActionLiteralSupport: {
+        codeActionKind: {
+          valueSet: ["", "quickfix", "refactor", "refactor.extract", "refactor.inline", "refactor.rewrite", "source"],
+        },
+      },
+    })
+    params.capabilities.experimental = Object.assign({}, params.capabilities.experimental, {
+      snippetTextEdit: true,
+      serverStatusNotification: true,
+      commands: { commands: CLIENT_COMMANDS },
+      hoverActions: true,
+      localDocs: true,
+      testExplorer: true,
+    })
+
+    return params
+  }
+
+  postInitialization(server) {
+    // track the server so we can keep its config updated
+    const project = new RustProject(server, () => this.busySignalService, this._linkedProjects(server.projectPath))
+    this.projects[server.projectPath] = project
+    this._addStatusTile(project)
+    this.supervisor.initialized(server.projectPath)
+
+    const discoveryWatch = this._watchDiscoveryInputs(project)
+    server.process.on("exit", () => {
+      discoveryWatch.dispose()
+      delete this.projects[server.projectPath]
+      this._removeStatusTile(project)
+      this._refreshActiveOverrides()
+    })
+
+    server.connection.onCustomRequest("workspace/inlayHint/refresh", () => {
+      if (this.inlayHints) {
+        this.inlayHints.refreshAll()
+      }
+      return Promise.resolve(null)
+    })
+    server.connection.onCustomRequest("workspace/semanticTokens/refresh", () => {
+      if (this.semanticTokens) {
+        this.semanticTokens.refreshAll()
+      }
+      return Promise.resolve(null)
+    })
+
+    server.connection.onCustom("experimental/discoveredTests", (params) => {
+      if (this.testExplorerView) {
+        this.testExplorerView.applyDiscovery(server.projectPath, params)
+      }
+    })
+
+    this._refreshActiveOverrides()
+    this._offerProjectChoice(project)
+    if (this.runnableLenses) {
+      this.runnableLenses.refreshAll()
+    }
+    if (this.testGutter) {
+      this.testGutter.refreshAll()
+    }
+    if (this.testExplorerView) {
+      this.testExplorerView.refresh(server.projectPath)
+    }
+    if (this.inlayHints) {
+      this.inlayHints.refreshAll()
+    }
+    if (this.semanticTokens) {
+      this.semanticTokens.refreshAll()
+    }
+  }
+
+  /* eslint-disable class-methods-use-this */
+  getGrammarScopes() {
+    return ["source.rust", "rust"]
+  }
+  getLanguageName() {
+    return "Rust"
+  }
+  getServerName() {
+    return "rust-analyzer"
+  }
+
+  onSpawnClose() {
+    // overrides base-class error notification, the supervisor notifies of crashes with recent stderr
+  }
+
+  /* eslint-enable class-methods-use-this */
+
+  /**
+   * Filters file changes by the watchers the server registered with `client/registerCapability`, nothing is sent
+   * before it registers any
+   *
+   * @param {string} filePath
+   * @returns {boolean}
+   */
+  filterChangeWatchedFiles(filePath) {
+    const project = this._projectForPath(filePath)
+    return Boolean(project && project.watchedFiles.matches(filePath))
+  }
+
+  /**
+   * Extends base-class to trace the connection in the server's log
+   *
+   * @param {ChildProcess} lsProcess
+   * @returns {MessageConnection}
+   */
+  createRpcConnection(lsProcess) {
+    const connection = super.createRpcConnection(lsProcess)
+    const serverLog = Array.from(this.serverLogs.values()).find((log) => log.process === lsProcess)
+    if (serverLog) {
+      serverLog.setConnection(connection)
+    }
+    return connection
+  }
+
+  /**
+   * Extends base-class to count each project's diagnostics for its status tile, the linter adapter still receives them
+   *
+   * @param {ActiveServer} server
+   */
+  startExclusiveAdapters(server) {
+    super.startExclusiveAdapters(server)
+    const linterPushV2 = this.getServerAdapter(server, "linterPushV2")
+    server.connection.onPublishDiagnostics((params) => {
+      if (linterPushV2) {
+        linterPushV2.captureDiagnostics(params)
+      }
+      const project = this.projects[server.projectPath]
+      if (project) {
+        project.updateDiagnostics(params)
+      }
+    })
+  }
+
+  /**
+   * @param {object} service Atom-ide-debugger's `debugger.remote` service, starts debug adapter sessions
+   * @returns {Disposable}
+   */
+  consumeDebugger(service) {
+    this.debuggerService = service
+    return new Disposable(() => {
+      delete this.debuggerService
+    })
+  }
+
+  /**
+   * @param {StatusBar} statusBar Shows a tile for each project
+   * @returns {Disposable}
+   */
+  consumeStatusBar(statusBar) {
+    this.statusBar = statusBar
+    Object.values(this.projects).forEach((project) => this._addStatusTile(project))
+    return new Disposable(() => {
+      Array.from(this.statusTiles.keys()).forEach((project) => this._removeStatusTile(project))
+      delete this.statusBar
+    })
+  }
+
+  /** @param {RustProject} project */
+  _addStatusTile(project) {
+    if (this.statusBar && !this.statusTiles.has(project)) {
+      const view = new StatusTile(project, (p) => this._showServerStatus(p))
+      const tile = this.statusBar.addLeftTile({ item: view.element, priority: 100 })
+      this.statusTiles.set(project, { tile, view })
+    }
+  }
+
+  /** @param {RustProject} project */
+  _removeStatusTile(project) {
+    const statusTile = this.statusTiles.get(project)
+    if (statusTile) {
+      statusTile.tile.destroy()
+      statusTile.view.destroy()
+      this.statusTiles.delete(project)
+    }
+  }
+
+  /**
+   * Extends base-class to keep the service, used to pin offline docs, & add `Cargo.toml` datatips
+   *
+   * @param {atomIde.DatatipService} service
+   * @returns {Disposable}
+   */
+  consumeDatatip(service) {
+    super.consumeDatatip(service)
+    this.datatipService = service
+    const cargoToml = service.addProvider(this.cargoToml.datatipProvider())
+    return new Disposable(() => {
+      cargoToml.dispose()
+      delete this.datatipService
+    })
+  }
+
+  /**
+   * Extends base-class to also register linters for the diagnostics of cargo commands & outdated `Cargo.toml`
+   * dependencies
+   *
+   * @param {function} registerIndie
+   * @returns {Disposable}
+   */
+  consumeLinterV2(registerIndie) {
+    super.consumeLinterV2(registerIndie)
+    const linter = registerIndie({ name: "Cargo" })
+    this.cargoDiagnostics.setLinter(linter)
+    const cargoTomlLinter = registerIndie({ name: "Cargo.toml" })
+    this.cargoToml.setLinter(cargoTomlLinter)
+    return new Disposable(() => {
+      this.cargoDiagnostics.setLinter(null)
+      linter.dispose()
+      this.cargoToml.setLinter(null)
+      cargoTomlLinter.dispose()
+    })
+  }
+
+  /**
+   * Extends base-class to also complete crate names, versions & features in `Cargo.toml`
+   *
+   * @returns {object[]} Autocomplete providers
+   */
+  provideAutocomplete() {
+    return [super.provideAutocomplete(), this.cargoToml.autocompleteProvider()]
+  }
+
+  /**
+   * Extends base-class with actions bumping outdated `Cargo.toml` dependencies
+   *
+   * @returns {object} Code actions provider
+   */
+  provideCodeActions() {
+    const provider = super.provideCodeActions()
+    const getRustActions = provider.getCodeActions
+    provider.grammarScopes = [...provider.grammarScopes, "source.toml"]
+    provider.getCodeActions = (editor, range, diagnostics) => {
+      return editor.getGrammar().scopeName === "source.toml"
+        ? this.cargoToml.getCodeActions(editor, range)
+        : getRustActions(editor, range, diagnostics)
+    }
+    return provider
+  }
+
+  // Kill servers fast (#196)
+  shutdownGracefully = false
+
+  async startServerProcess(projectPath) {
+    if (shouldIgnoreProjectPath(projectPath)) {
+      console.warn("ide-rust disabled on", projectPath)
+      // It's a bit ugly to just return as it causes some upstream error logs
+      // But there doesn't seem to be a better option for path disabling at the moment
+      return
+    }
+
+    // after a crash wait out the backoff, a crash looping server isn't started until restarted manually
+    if (!(await this.supervisor.beforeStart(projectPath))) {
+      return
+    }
+
+    if (!this._periodicUpdateChecking) {
+      // if haven't started periodic checks for updates yet start now
+      const hasRustup = await hasCommand("rustup")
+      let periodicUpdateTimeoutId
+      const periodicUpdate = async () => {
+        if (hasRustup) {
+          await this._promptToUpdateToolchain().catch(logErr)
+        }
+        await this._promptToUpdateServer().catch(logErr)
+        periodicUpdateTimeoutId = setTimeout(periodicUpdate, PERIODIC_UPDATE_CHECK_MILLIS)
+      }
+      this.disposables.add(
+        new Disposable(() => {
+          clearTimeout(periodicUpdateTimeoutId)
+          delete this._periodicUpdateChecking
+        })
+      )
+      this._periodicUpdateChecking = true
+      periodicUpdate().catch(logErr)
+    }
+
+    if (!this._conflictingPackageChecking) {
+      showConflictingPackageWarnings()
+      this.disposables.add(atom.packages.onDidActivatePackage(showConflictingPackageWarnings))
+      this._conflictingPackageChecking = true
+    }
+
+    // load all the crates in multi-crate projects, which rust-analyzer only finds at the root & one level below
+    await this._discoverProjects(projectPath).catch(logErr)
+
+    // start with the project's toolchain, if it's missing the user is prompted but the server starts regardless
+    const toolchain = await this._checkToolchain(projectPath).catch(() => null)
+
+    let languageServerCmd
+    try {
+      languageServerCmd = await this._languageServerCommand(toolchain, projectPath)
+    } catch (e) {
+      console.warn(e)
+      clearIdeRustNotifications("ide-rust.langServerCommand")
+      atom.notifications.addError("Error installing rust-analyzer", {
+        detail: `${e.message || e}`,
+        dismissable: true,
+        _src: "ide-rust.langServerCommand",
+      })
+      return
+    }
+
+    if (!(await hasCommand(languageServerCmd))) {
+      notifyLanguageServerCommandFailed(languageServerCmd)
+      return
+    }
+    clearIdeRustNotifications("ide-rust.langServerCommand")
+
+    const serverProcess = cp.spawn(languageServerCmd, {
+      env: await serverEnv(toolchain),
+      shell: true,
+      cwd: projectPath,
+    })
+    this.supervisor.watch(projectPath, serverProcess)
+    const serverLog = this._serverLog(projectPath)
+    serverLog.attach(serverProcess)
+    return logSuspiciousStdout(serverProcess, serverLog)
+  }
+
+  // Extends the outline provider by filtering the type variable, which is
+  // only used for local variables by the language server. This makes the
+  // outline view cleaner and more useful.
+  provideOutlines() {
+    const provide = super.provideOutlines()
+    const superOutline = provide.getOutline
+
+    provide.getOutline = async (...args) => {
+      const outline = await superOutline.apply(this, args)
+      outline.outlineTrees = outline.outlineTrees.filter((o) => o.icon !== "type-variable")
+      return outline
+    }
+
+    return provide
+  }
+
+  /**
+   * Handle rust-analyzer code actions, these may need resolving & can contain snippet edits or client-side commands
+   *
+   * @param {ls.Command | ls.CodeAction} action
+   * @returns {Promise<boolean>} Continue with default handling
+   */
+  async onApplyCodeActions(action) {
+    if (typeof action.command === "string") {
+      // a plain `Command`
+      return !(await this._executeClientCommand(action))
+    }
+
+    const editor = atom.workspace.getActiveTextEditor()
+    const project = editor && this._projectForPath(editor.getPath())
+    try {
+      let codeAction = action
+      if (!codeAction.edit && codeAction.data && project) {
+        codeAction = await project.server.connection.codeActionResolve(codeAction)
+      }
+      if (codeAction.edit && !(await applyWorkspaceEdit(codeAction.edit))) {
+        return false
+      }
+      if (codeAction.command && !(await this._executeClientCommand(codeAction.command)) && project) {
+        await project.server.connection.executeCommand({
+          command: codeAction.command.command,
+          arguments: codeAction.command.arguments,
+        })
+      }
+    } catch (e) {
+      atom.notifications.addError(`Failed to apply "${action.title}"`, {
+        detail: `${e.message || e}`,
+        dismissable: true,
+      })
+    }
+    return false
+  }
+
+  /**
+   * Runs rust-analyzer commands that are expected to be implemented by the client
+   *
+   * @param {ls.Command} command
+   * @returns {Promise<boolean>} The command was handled
+   */
+  async _executeClientCommand({ command, arguments: args = [] }) {
+    switch (command) {
+      case "rust-analyzer.applySourceChange":
+        await applySourceChange(args[0])
+        return true
+      case "rust-analyzer.runSingle":
+        this._run(args[0])
+        return true
+      case "rust-analyzer.debugSingle":
+        this._debug(args[0]).catch(logErr)
+        return true
+      case "rust-analyzer.showReferences":
+        // [uri, position, locations]
+        await this._openLocations(args[2] || [])
+        return true
+      case "rust-analyzer.gotoLocation":
+        await openLocation(args[0])
+        return true
+      case "rust-analyzer.triggerParameterHints":
+        // signature help is shown automatically
+        return true
+      default:
+        return false
+    }
+  }
+
+  /**
+   * Opens a single location, listing multiple locations in a notification
+   *
+   * @param {(ls.Location | ls.LocationLink)[]} locations
+   */
+  async _openLocations(locations) {
+    if (locations.length <= 1) {
+      if (locations.length) {
+        await openLocation(locations[0])
+      } else {
+        atom.notifications.addInfo("No locations found", { _src: "ide-rust" })
+      }
+      return
+    }
+    clearIdeRustNotifications("ide-rust.locations")
+    const links = locations.map((location) => {
+      const { row } = Convert.positionToPoint((location.targetSelectionRange || location.range).start)
+      const [, relativePath] = atom.project.relativizePath(Convert.uriToPath(location.targetUri || location.uri))
+      return `- [${relativePath}:${row + 1}](${this.hoverLinks.href(() => openLocation(location))})`
+    })
+    atom.notifications.addInfo(`${locations.length} locations`, {
+      description: links.join("\n"),
+      dismissable: true,
+      _src: "ide-rust.locations",
+    })
+  }
+
+  /**
+   * Opens the docs of the symbol at the cursor, preferring locally built `cargo doc` & `rustup doc` pages over the web.
+   * When offline the doc comment is shown in a pinned datatip.
+   *
+   * @param {TextEditor} editor
+   */
+  async _openDocs(editor) {
+    const project = this._requireProject(editor)
+    if (!project) {
+      return
+    }
+    const { connection, projectPath } = project.server
+    const docs = await externalDocs(connection, editor)
+
+    let local = docs.local && existingFileUrl(docs.local)
+    if (!local && docs.web) {
+      const { toolchain } = await projectToolchain(projectPath)
+      const sysroot = await rustSysroot(toolchain, projectPath)
+      local = sysroot && rustupDocsUrl(docs.web, sysroot)
+    }
+    if (local) {
+      shell.openExternal(local)
+      return
+    }
+    if (docs.web && (await isReachable(docs.web))) {
+      shell.openExternal(docs.web)
+      return
+    }
+
+    const point = editor.getCursorBufferPosition()
+    const datatip = await this.getDatatip(editor, point)
+    if (!datatip) {
+      const message = docs.web ? `Couldn't reach ${docs.web}` : "No documentation found for the symbol at the cursor"
+      atom.notifications.addInfo(message, { _src: "ide-rust" })
+      return
+    }
+    if (docs.web) {
+      datatip.markedStrings.unshift({ type: "markdown", value: `_Offline, couldn't open ${docs.web}_` })
+    }
+    if (this.datatipService && this.datatipService.createPinnedDataTip) {
+      this.datatipService.createPinnedDataTip(datatip, editor)
+    } else {
+      // markdown only, snippets are shown as code blocks
+      const description = datatip.markedStrings
+        .map((m) => (m.type === "snippet" ? `\`\`\`\n${m.value}\n\`\`\`` : m.value))
+        .join("\n\n")
+      atom.notifications.addInfo("Documentation", { description, dismissable: true, _src: "ide-rust" })
+    }
+  }
+
+  /**
+   * Overrides base-class to render hovers with rust-analyzer's extensions: fenced code is highlighted by its language,
+   * doc links jump to workspace definitions or open the docs & hover actions are shown as links
+   *
+   * @param {TextEditor} editor
+   * @param {Point} point
+   * @returns {Promise<atomIde.Datatip | null>}
+   */
+  async getDatatip(editor, point) {
+    const project = this._projectForPath(editor.getPath())
+    if (!project) {
+      return null
+    }
+    try {
+      const hover = await project.server.connection.hover(Convert.editorToTextDocumentPositionParams(editor, point))
+      if (!hover || !hover.contents) {
+        return null
+      }
+      const markedStrings = hoverToMarkedStrings(hover, {
+        linkHref: (target) => this.hoverLinks.href(() => openDocLink(project, target).catch(logErr)),
+        commandHref: (command) => {
+          const supported = CLIENT_COMMANDS.includes(command.command)
+          return supported ? this.hoverLinks.href(() => this._executeClientCommand(command).catch(logErr)) : null
+        },
+      })
+      if (!markedStrings.length) {
+        return null
+      }
+      const range = hover.range ? Convert.lsRangeToAtomRange(hover.range) : wordRangeAt(editor, point)
+      return { range, markedStrings }
+    } catch (e) {
+      console.error("Error processing datatip", e)
+      return null
+    }
+  }
+}
+
+// override windows specific implementations
+if (process.platform === "win32") {
   // curl | sh is not valid for windows, users must install rustup manually
   RustLanguageClient.prototype._handleMissingRustup = () => {
     atomPrompt("`rustup` is not available", {
@@ -0,0 +1,204 @@
+const { CompositeDisposable, Range } = require("atom")
+const { Convert } = require("atom-languageclient")
+
+/** @type {number} Delay after scrolling before requesting hints for the newly visible range, milliseconds */
+const SCROLL_DEBOUNCE_MILLIS = 200
+
+const STANDARD_KINDS = { 1: "type", 2: "parameter" }
+const EXPERIMENTAL_KINDS = { TypeHint: "type", ParameterHint: "parameter", ChainingHint: "chaining" }
+
+/**
+ * @typedef {{
+ *   position: Point
+ *   label: string
+ *   kind: "type" | "parameter" | "chaining"
+ *   paddingLeft: boolean
+ *   paddingRight: boolean
+ * }} InlayHint
+ */
+
+/**
+ * @param {string} value
+ * @returns {string} Quoted css string
+ */
+function cssString(value) {
+  return `"${value.replace(/["\\]/g, "\\$&").replace(/\s+/g, " ")}"`
+}
+
+/**
+ * Requests inlay hints, using `textDocument/inlayHint` or falling back to rust-analyzer's `experimental/inlayHints`
+ *
+ * @param {ActiveServer} server
+ * @param {TextEditor} editor
+ * @param {Range} range
+ * @param {object} enabled `ide-rust.inlayHints` settings, the server only applies them to `textDocument/inlayHint`
+ * @returns {Promise<InlayHint[]>}
+ */
+async function fetchInlayHints(server, editor, range, enabled) {
+  const textDocument = Convert.editorToTextDocumentIdentifier(editor)
+  if (server.capabilities.inlayHintProvider) {
+    // chaining hints are sent with the type kind, the server already filters by kind
+    const lspHints = await server.connection.sendCustomRequest("textDocument/inlayHint", {
+      textDocument,
+      range: Convert.atomRangeToLSRange(range),
+    })
+    return (lspHints || []).map((hint) => ({
+      position: Convert.positionToPoint(hint.position),
+      label: typeof hint.label === "string" ? hint.label : hint.label.map((part) => part.value).join(""),
+      kind: STANDARD_KINDS[hint.kind] || "type",
+      paddingLeft: Boolean(hint.paddingLeft),
+      paddingRight: Boolean(hint.paddingRight),
+    }))
+  }
+
+  const hints = await server.connection.sendCustomRequest("experimental/inlayHints", { textDocument })
+  return (hints || [])
+    .filter((hint) => enabled[`${EXPERIMENTAL_KINDS[hint.kind] || "type"}Hints`])
+    .map((hint) => {
+      const kind = EXPERIMENTAL_KINDS[hint.kind] || "type"
+      const { start, end } = Convert.lsRangeToAtomRange(hint.range)
+      return {
+        position: kind === "parameter" ? start : end,
+        label: kind === "parameter" ? `${hint.label}:` : `: ${hint.label}`,
+        kind,
+        paddingLeft: kind === "chaining",
+        paddingRight: kind === "parameter",
+      }
+    })
+}
+
+/**
+ * Renders inlay hints in rust editors as text decorations with generated css content
+ *
+ * @param {function} serverForEditor `(editor) => ?ActiveServer`
+ */
+class InlayHints {
+  constructor(serverForEditor) {
+    this.serverForEditor = serverForEditor
+    /** @type {Map<TextEditor, { markers: DisplayMarker[]; style: ?Disposable; disposable: Disposable }>} */
+    this.editors = new Map()
+    this._nextHintId = 0
+
+    this.disposables = new CompositeDisposable(
+      atom.config.onDidChange("ide-rust.inlayHints", () => this.refreshAll()),
+      atom.workspace.observeTextEditors((editor) => this._watchEditor(editor))
+    )
+  }
+
+  _watchEditor(editor) {
+    let scrollTimeout
+    const element = editor.getElement()
+    const disposable = new CompositeDisposable(
+      editor.onDidStopChanging(() => this.refresh(editor)),
+      element.onDidChangeScrollTop(() => {
+        clearTimeout(scrollTimeout)
+        scrollTimeout = setTimeout(() => this.refresh(editor), SCROLL_DEBOUNCE_MILLIS)
+      }),
+      editor.onDidDestroy(() => {
+        clearTimeout(scrollTimeout)
+        this._clear(editor)
+        disposable.dispose()
+        this.editors.delete(editor)
+      })
+    )
+    this.editors.set(editor, { markers: [], style: null, disposable })
+    this.refresh(editor)
+  }
+
+  /** Re-request hints for all editors, ie after `workspace/inlayHint/refresh` */
+  refreshAll() {
+    this.editors.forEach((_, editor) => this.refresh(editor))
+  }
+
+  /** @param {TextEditor} editor */
+  async refresh(editor) {
+    if (!this.editors.has(editor)) {
+      return
+    }
+
+    const enabled = atom.config.get("ide-rust.inlayHints")
+    let hints = []
+    const server = editor.getGrammar().scopeName === "source.rust" && this.serverForEditor(editor)
+    if (server && (enabled.typeHints || enabled.parameterHints || enabled.chainingHints)) {
+      const range = visibleBufferRange(editor)
+      hints = await fetchInlayHints(server, editor, range, enabled).catch(() => [])
+      hints = hints.filter((hint) => range.containsPoint(hint.position))
+    }
+
+    if (!editor.isDestroyed()) {
+      this._render(editor, hints)
+    }
+  }
+
+  _render(editor, hints) {
+    this._clear(editor)
+    const state = this.editors.get(editor)
+    if (!state) {
+      return
+    }
+
+    const css = []
+    for (const hint of hints) {
+      const { row, column } = hint.position
+      const lineLength = editor.lineTextForBufferRow(row).length
+      // attach to the character before the hint, or after if the hint is at the start of the line
+      const pseudo = column > 0 && (hint.kind !== "parameter" || column >= lineLength) ? "after" : "before"
+      const range =
+        pseudo === "after" ? new Range([row, column - 1], [row, column]) : new Range([row, column], [row, column + 1])
+      if (range.end.column > lineLength) {
+        continue
+      }
+
+      const className = `ide-rust-inlay-hint-${this._nextHintId++}`
+      const marker = editor.markBufferRange(range, { invalidate: "touch" })
+      const classes = ["ide-rust-inlay-hint", `inlay-hint-${hint.kind}`, `inlay-hint-${pseudo}`, className]
+      if (hint.paddingLeft) {
+        classes.push("inlay-hint-padding-left")
+      }
+      if (hint.paddingRight) {
+        classes.push("inlay-hint-padding-right")
+      }
+      editor.decorateMarker(marker, { type: "text", class: classes.join(" ") })
+      state.markers.push(marker)
+      css.push(`atom-text-editor .${className}::${pseudo} { content: ${cssString(hint.label)}; }`)
+    }
+
+    if (css.length) {
+      state.style = atom.styles.addStyleSheet(css.join("\n"), { sourcePath: `ide-rust-inlay-hints-${editor.id}` })
+    }
+  }
+
+  _clear(editor) {
+    const state = this.editors.get(editor)
+    if (state) {
+      state.markers.forEach((marker) => marker.destroy())
+      state.markers = []
+      if (state.style) {
+        state.style.dispose()
+        state.style = null
+      }
+    }
+  }
+
+  dispose() {
+    this.disposables.dispose()
+    this.editors.forEach(({ disposable }, editor) => {
+      this._clear(editor)
+      disposable.dispose()
+    })
+    this.editors.clear()
+  }
+}
+
+/**
+ * @param {TextEditor} editor
+ * @returns {Range} Buffer range of the visible rows
+ */
+function visibleBufferRange(editor) {
+  const element = editor.getElement()
+  const firstRow = editor.bufferRowForScreenRow(element.getFirstVisibleScreenRow())
+  const lastRow = editor.bufferRowForScreenRow(element.getLastVisibleScreenRow())
+  return new Range([firstRow, 0], [lastRow, editor.lineTextForBufferRow(lastRow).length])
+}
+
+module.exports = { InlayHints, fetchInlayHints }
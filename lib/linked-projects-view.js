@@ -0,0 +1,71 @@
+const path = require("path")
+const { CompositeDisposable } = require("atom")
+const { el } = require("./dom")
+
+/**
+ * Modal listing the projects found in a project directory, to choose which rust-analyzer loads
+ *
+ * @param {string} projectPath
+ * @param {string[]} manifests Found manifest paths
+ * @param {string[]} excluded Manifest paths that are currently not loaded
+ * @param {function} onConfirm `(excluded: string[]) => void` Called with the manifests left unchecked
+ */
+class LinkedProjectsView {
+  constructor(projectPath, manifests, excluded, onConfirm) {
+    this.element = el("div", "ide-rust-linked-projects native-key-bindings")
+    this.element.tabIndex = -1
+    this.element.appendChild(el("h2", "", `Rust projects to load in ${path.basename(projectPath)}`))
+
+    const list = el("div", "linked-projects-list")
+    this.checkboxes = manifests.map((manifest) => {
+      const label = el("label", "input-label")
+      const checkbox = el("input", "input-checkbox")
+      checkbox.type = "checkbox"
+      checkbox.checked = !excluded.includes(manifest)
+      checkbox.value = manifest
+      checkbox.addEventListener("change", () => this._updateLoadButton())
+      label.append(checkbox, ` ${path.relative(projectPath, manifest)}`)
+      list.appendChild(label)
+      return checkbox
+    })
+    this.element.appendChild(list)
+
+    const buttons = el("div", "btn-group")
+    const cancelButton = el("button", "btn", "Cancel")
+    cancelButton.addEventListener("click", () => this.destroy())
+    this.loadButton = el("button", "btn btn-primary", "Load")
+    this.loadButton.addEventListener("click", () => this.confirm())
+    buttons.append(cancelButton, this.loadButton)
+    this.element.appendChild(buttons)
+    this._updateLoadButton()
+
+    this.onConfirm = onConfirm
+    this.panel = atom.workspace.addModalPanel({ item: this.element, autoFocus: true })
+    this.disposables = new CompositeDisposable(
+      atom.commands.add(this.element, {
+        "core:confirm": () => this.confirm(),
+        "core:cancel": () => this.destroy(),
+      })
+    )
+  }
+
+  /** At least one project must be loaded, rust-analyzer searches the root itself when no projects are linked */
+  _updateLoadButton() {
+    this.loadButton.disabled = !this.checkboxes.some((checkbox) => checkbox.checked)
+  }
+
+  confirm() {
+    if (this.loadButton.disabled) {
+      return
+    }
+    this.onConfirm(this.checkboxes.filter((checkbox) => !checkbox.checked).map((checkbox) => checkbox.value))
+    this.destroy()
+  }
+
+  destroy() {
+    this.disposables.dispose()
+    this.panel.destroy()
+  }
+}
+
+module.exports = { LinkedProjectsView }
@@ -0,0 +1,413 @@
+const path = require("path")
+const fs = require("fs")
+
+/** Project settings files, relative to the project path, in priority order */
+const CONFIG_FILES = ["rust-analyzer.json", path.join(".config", "rust-analyzer.json")]
+
+const ENABLE = { enable: "boolean" }
+const INVOCATION = {
+  invocationLocation: ["workspace", "root"],
+  invocationStrategy: ["per_workspace", "once"],
+}
+
+/**
+ * Rust-analyzer settings schema. Values are a type, `|` separated for unions (`string[]` for arrays of strings), an
+ * array of allowed values or a nested section.
+ */
+const SCHEMA = {
+  assist: { emitMustUse: "boolean", expressionFillDefault: ["todo", "default"] },
+  cachePriming: { enable: "boolean", numThreads: "integer" },
+  cargo: {
+    allFeatures: "boolean",
+    autoreload: "boolean",
+    buildScripts: { enable: "boolean", overrideCommand: "string[]|null", useRustcWrapper: "boolean", ...INVOCATION },
+    extraArgs: "string[]",
+    extraEnv: "object",
+    features: "string[]|string",
+    loadOutDirsFromCheck: "boolean",
+    noDefaultFeatures: "boolean",
+    sysroot: "string|null",
+    target: "string|null",
+    unsetTest: "string[]",
+  },
+  check: {
+    allTargets: "boolean",
+    command: "string",
+    extraArgs: "string[]",
+    extraEnv: "object",
+    features: "string[]|string|null",
+    noDefaultFeatures: "boolean|null",
+    overrideCommand: "string[]|null",
+    targets: "string[]|string|null",
+    ...INVOCATION,
+  },
+  checkOnSave: "boolean|object",
+  completion: {
+    autoimport: ENABLE,
+    autoself: ENABLE,
+    callable: { snippets: ["fill_arguments", "add_parentheses", "none"] },
+    limit: "integer|null",
+    postfix: ENABLE,
+    privateEditable: ENABLE,
+    snippets: { custom: "object" },
+  },
+  debug: { configurations: "array" },
+  diagnostics: {
+    disabled: "string[]",
+    enable: "boolean",
+    experimental: ENABLE,
+    remapPrefix: "object",
+    warningsAsHint: "string[]",
+    warningsAsInfo: "string[]",
+  },
+  files: { excludeDirs: "string[]", watcher: ["client", "server"] },
+  highlightRelated: "object",
+  hover: { actions: "object", documentation: "object", links: ENABLE, memoryLayout: "object" },
+  imports: {
+    granularity: { enforce: "boolean", group: ["preserve", "crate", "module", "item"] },
+    group: ENABLE,
+    merge: { glob: "boolean" },
+    prefer: { no: { std: "boolean" } },
+    prefix: ["plain", "self", "crate"],
+  },
+  inlayHints: {
+    bindingModeHints: ENABLE,
+    chainingHints: ENABLE,
+    closingBraceHints: { enable: "boolean", minLines: "integer" },
+    closureReturnTypeHints: { enable: ["always", "never", "with_block"] },
+    lifetimeElisionHints: { enable: ["always", "never", "skip_trivial"], useParameterNames: "boolean" },
+    maxLength: "integer|null",
+    parameterHints: ENABLE,
+    reborrowHints: { enable: ["always", "never", "mutable"] },
+    renderColons: "boolean",
+    typeHints: { enable: "boolean", hideClosureInitialization: "boolean", hideNamedConstructor: "boolean" },
+  },
+  joinLines: {
+    joinAssignments: "boolean",
+    joinElseIf: "boolean",
+    removeTrailingComma: "boolean",
+    unwrapTrivialBlock: "boolean",
+  },
+  lens: "object",
+  linkedProjects: "array",
+  lru: { capacity: "integer|null" },
+  notifications: { cargoTomlNotFound: "boolean" },
+  numThreads: "integer|null",
+  procMacro: { attributes: ENABLE, enable: "boolean", ignored: "object", server: "string|null" },
+  projectDiscovery: { command: "string[]|string", filesToWatch: "string[]" },
+  references: { excludeImports: "boolean" },
+  runnables: { command: "string|null", extraArgs: "string[]" },
+  rustc: { source: "string|null" },
+  rustfmt: { extraArgs: "string[]", overrideCommand: "string[]|null", rangeFormatting: ENABLE },
+  semanticHighlighting: "object",
+  signatureInfo: { detail: ["full", "parameters"], documentation: ENABLE },
+  typing: { autoClosingAngleBrackets: ENABLE },
+  workspace: { symbol: { search: "object" } },
+}
+
+/** Settings handled by ide-rust, not sent to rust-analyzer */
+const CLIENT_SETTINGS = ["projectDiscovery", "debug"]
+
+/**
+ * @typedef {{ message: string; line: number; column: number; severity: "error" | "warning" }} SettingsProblem
+ *   One-based line & column
+ */
+
+/**
+ * @param {string} text
+ * @param {number} index
+ * @returns {{ line: number; column: number }} One-based line & column of the index
+ */
+function lineColumn(text, index) {
+  const lines = text.slice(0, index).split("\n")
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 }
+}
+
+/**
+ * Parses JSON with comments & trailing commas, as written in editor settings files, recording the position of each
+ * property.
+ *
+ * @param {string} text
+ * @returns {{ value: any; locations: Map<string, number> }} Value & `a.b.c` property path -> text index
+ * @throws {Error} With `index` of the syntax error
+ */
+function parseJsonc(text) {
+  const locations = new Map()
+  let i = 0
+
+  const fail = (message) => {
+    const error = new Error(message)
+    error.index = i
+    throw error
+  }
+
+  const skip = () => {
+    for (;;) {
+      const whitespace = /\s+|\/\/[^\n]*|\/\*[\S\s]*?\*\//y
+      whitespace.lastIndex = i
+      if (!whitespace.test(text)) {
+        return
+      }
+      i = whitespace.lastIndex
+    }
+  }
+
+  const token = (regex, message) => {
+    regex.lastIndex = i
+    const match = regex.exec(text)
+    if (!match) {
+      fail(message)
+    }
+    let parsed
+    try {
+      parsed = JSON.parse(match[0])
+    } catch (e) {
+      fail(`Invalid ${match[0]}`)
+    }
+    i = regex.lastIndex
+    return parsed
+  }
+
+  const value = (keyPath) => {
+    skip()
+    if (text[i] === "{") {
+      i++
+      const object = {}
+      skip()
+      while (text[i] !== "}") {
+        const keyIndex = i
+        const key = token(/"(?:[^\n"\\]|\\.)*"/y, "Expected a property name")
+        const childPath = keyPath ? `${keyPath}.${key}` : key
+        locations.set(childPath, keyIndex)
+        skip()
+        if (text[i] !== ":") {
+          fail("Expected `:`")
+        }
+        i++
+        object[key] = value(childPath)
+        skip()
+        if (text[i] === ",") {
+          i++
+          skip()
+        } else if (text[i] !== "}") {
+          fail("Expected `,` or `}`")
+        }
+      }
+      i++
+      return object
+    }
+    if (text[i] === "[") {
+      i++
+      const array = []
+      skip()
+      while (text[i] !== "]") {
+        array.push(value(`${keyPath}[${array.length}]`))
+        skip()
+        if (text[i] === ",") {
+          i++
+          skip()
+        } else if (text[i] !== "]") {
+          fail("Expected `,` or `]`")
+        }
+      }
+      i++
+      return array
+    }
+    if (i >= text.length) {
+      fail("Unexpected end of file")
+    }
+    return token(/"(?:[^\n"\\]|\\.)*"|true|false|null|-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/iy, `Unexpected \`${text[i]}\``)
+  }
+
+  const result = value("")
+  skip()
+  if (i < text.length) {
+    fail("Unexpected content after the settings object")
+  }
+  return { value: result, locations }
+}
+
+/**
+ * @param {any} value
+ * @param {string} type Single type, ie `string[]`
+ * @returns {boolean}
+ */
+function isType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null
+    case "array":
+      return Array.isArray(value)
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value)
+    case "integer":
+      return Number.isInteger(value)
+    case "string[]":
+      return Array.isArray(value) && value.every((v) => typeof v === "string")
+    default:
+      return typeof value === type
+  }
+}
+
+/**
+ * Checks settings against the rust-analyzer {SCHEMA}, unknown settings are warnings as they may be supported by a
+ * newer rust-analyzer
+ *
+ * @param {object} settings
+ * @param {function} locate `(keyPath) => { line, column }`
+ * @param {object} [schema]
+ * @param {string} [keyPath]
+ * @returns {SettingsProblem[]}
+ */
+function validateSettings(settings, locate, schema = SCHEMA, keyPath = "") {
+  const problems = []
+  if (!isType(settings, "object")) {
+    return [{ message: "Settings must be an object", severity: "error", ...locate(keyPath) }]
+  }
+
+  for (const key of Object.keys(settings)) {
+    const value = settings[key]
+    const childPath = keyPath ? `${keyPath}.${key}` : key
+    const expected = schema[key]
+    const problem = (message, severity = "error") => problems.push({ message, severity, ...locate(childPath) })
+
+    if (expected === undefined) {
+      problem(`Unknown setting \`${childPath}\``, "warning")
+    } else if (Array.isArray(expected)) {
+      if (!expected.includes(value)) {
+        problem(`\`${childPath}\` must be one of ${expected.map((v) => JSON.stringify(v)).join(", ")}`)
+      }
+    } else if (typeof expected === "object") {
+      if (isType(value, "object")) {
+        problems.push(...validateSettings(value, locate, expected, childPath))
+      } else {
+        problem(`\`${childPath}\` must be an object`)
+      }
+    } else if (!expected.split("|").some((type) => isType(value, type))) {
+      problem(`\`${childPath}\` must be ${expected.split("|").join(" or ")}`)
+    }
+  }
+  return problems
+}
+
+/**
+ * Parses & validates a settings file
+ *
+ * @param {string} text
+ * @returns {{ settings: object | null; problems: SettingsProblem[] }} Settings are null if the file is invalid JSON
+ */
+function parseSettings(text) {
+  try {
+    const { value, locations } = parseJsonc(text)
+    const locate = (keyPath) => lineColumn(text, locations.has(keyPath) ? locations.get(keyPath) : 0)
+    return { settings: value, problems: validateSettings(value, locate) }
+  } catch (e) {
+    return { settings: null, problems: [{ message: e.message, severity: "error", ...lineColumn(text, e.index || 0) }] }
+  }
+}
+
+/** @returns {object} Rust-analyzer settings from the ide-rust package settings, overridden by project files */
+function packageDefaults() {
+  const inlayHints = atom.config.get("ide-rust.inlayHints")
+  const rustAnalyzer = atom.config.get("ide-rust.rustAnalyzer")
+  const settings = {
+    inlayHints: {
+      typeHints: { enable: inlayHints.typeHints },
+      parameterHints: { enable: inlayHints.parameterHints },
+      chainingHints: { enable: inlayHints.chainingHints },
+    },
+    check: { command: rustAnalyzer.checkCommand },
+    checkOnSave: rustAnalyzer.checkOnSave,
+    procMacro: { enable: rustAnalyzer.procMacros },
+    cargo: { buildScripts: { enable: rustAnalyzer.buildScripts } },
+  }
+  const features = rustAnalyzer.cargoFeatures.trim()
+  if (features) {
+    settings.cargo.features = features === "all" ? "all" : features.split(/[\s,]+/)
+  }
+  return settings
+}
+
+/**
+ * @param {object} base
+ * @param {object} overrides
+ * @returns {object} Deep copy of base with nested objects merged & other values replaced by overrides
+ */
+function deepMerge(base, overrides) {
+  const merged = Object.assign({}, base)
+  for (const key of Object.keys(overrides)) {
+    merged[key] =
+      isType(merged[key], "object") && isType(overrides[key], "object")
+        ? deepMerge(merged[key], overrides[key])
+        : overrides[key]
+  }
+  return merged
+}
+
+/**
+ * @param {string} projectPath
+ * @returns {string | undefined} The first existing settings file
+ */
+function projectSettingsFile(projectPath) {
+  return CONFIG_FILES.map((file) => path.join(projectPath, file)).find((file) => fs.existsSync(file))
+}
+
+/**
+ * @param {string} projectPath
+ * @returns {{ settings: object | null; filePath: string | undefined; problems: SettingsProblem[] }} Package defaults
+ *   merged with the project settings file, settings are null if the file is invalid JSON
+ */
+function loadProjectSettings(projectPath) {
+  const filePath = projectSettingsFile(projectPath)
+  if (!filePath) {
+    return { settings: packageDefaults(), filePath, problems: [] }
+  }
+
+  let text
+  try {
+    text = fs.readFileSync(filePath, "utf8")
+  } catch (e) {
+    return { settings: null, filePath, problems: [{ message: e.message, severity: "error", line: 1, column: 1 }] }
+  }
+  const { settings, problems } = parseSettings(text)
+  return {
+    settings: settings && isType(settings, "object") ? deepMerge(packageDefaults(), settings) : null,
+    filePath,
+    problems,
+  }
+}
+
+/**
+ * @param {object} settings
+ * @returns {object} Settings without those handled by ide-rust
+ */
+function serverSettings(settings) {
+  const server = Object.assign({}, settings)
+  CLIENT_SETTINGS.forEach((key) => delete server[key])
+  return server
+}
+
+/**
+ * @param {object} settings
+ * @param {string} [section] ie `rust-analyzer` or `rust-analyzer.cargo`
+ * @returns {any} Settings of the section, for `workspace/configuration` requests
+ */
+function settingsSection(settings, section) {
+  if (!section || section === "rust-analyzer") {
+    return settings
+  }
+  return section
+    .replace(/^rust-analyzer\./, "")
+    .split(".")
+    .reduce((value, key) => (isType(value, "object") && key in value ? value[key] : null), settings)
+}
+
+module.exports = {
+  CONFIG_FILES,
+  parseSettings,
+  deepMerge,
+  loadProjectSettings,
+  packageDefaults,
+  settingsSection,
+  serverSettings,
+}
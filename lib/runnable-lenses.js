@@ -0,0 +1,109 @@
+const { CompositeDisposable } = require("atom")
+const { Convert } = require("atom-languageclient")
+const { isDebuggable } = require("./debugger")
+
+/**
+ * Shows clickable run/test lenses above rust-analyzer runnables in rust editors
+ *
+ * @param {function} fetchRunnables `(editor) => Promise<Runnable[]>`
+ * @param {function} run `(runnable) => void`
+ * @param {function} debug `(runnable) => void`
+ */
+class RunnableLenses {
+  constructor(fetchRunnables, run, debug) {
+    this.fetchRunnables = fetchRunnables
+    this.run = run
+    this.debug = debug
+    /** @type {Map<TextEditor, { markers: DisplayMarker[]; disposable: Disposable }>} */
+    this.editors = new Map()
+    this.enabled = false
+
+    this.disposables = new CompositeDisposable(
+      atom.config.observe("ide-rust.runnableLenses", (enabled) => {
+        this.enabled = enabled
+        this.editors.forEach((_, editor) => this.refresh(editor))
+      }),
+      atom.workspace.observeTextEditors((editor) => this._watchEditor(editor))
+    )
+  }
+
+  _watchEditor(editor) {
+    const disposable = new CompositeDisposable(
+      editor.onDidSave(() => this.refresh(editor)),
+      editor.onDidDestroy(() => {
+        disposable.dispose()
+        this.editors.delete(editor)
+      })
+    )
+    this.editors.set(editor, { markers: [], disposable })
+    this.refresh(editor)
+  }
+
+  /** Re-fetch lenses for all editors, ie when a server has started */
+  refreshAll() {
+    this.editors.forEach((_, editor) => this.refresh(editor))
+  }
+
+  /** @param {TextEditor} editor */
+  async refresh(editor) {
+    const state = this.editors.get(editor)
+    if (!state) {
+      return
+    }
+
+    let runnables = []
+    if (this.enabled && editor.getGrammar().scopeName === "source.rust") {
+      runnables = await this.fetchRunnables(editor).catch(() => [])
+    }
+
+    state.markers.forEach((marker) => marker.destroy())
+    state.markers = []
+    if (editor.isDestroyed()) {
+      return
+    }
+
+    const uri = Convert.pathToUri(editor.getPath() || "")
+    for (const runnable of runnables) {
+      if (!runnable.location || runnable.location.targetUri !== uri) {
+        continue
+      }
+      const { start } = Convert.lsRangeToAtomRange(runnable.location.targetRange)
+      const marker = editor.markBufferPosition([start.row, 0], { invalidate: "never" })
+      editor.decorateMarker(marker, { type: "block", position: "before", item: this._lensElement(editor, runnable) })
+      state.markers.push(marker)
+    }
+  }
+
+  _lensElement(editor, runnable) {
+    const element = document.createElement("div")
+    element.className = "ide-rust-runnable-lens"
+    const link = document.createElement("a")
+    link.className = "icon icon-playback-play"
+    link.textContent = runnable.label
+    link.addEventListener("click", () => this.run(runnable))
+    element.appendChild(link)
+    if (isDebuggable(runnable)) {
+      const debugLink = document.createElement("a")
+      debugLink.className = "icon icon-bug"
+      debugLink.textContent = "Debug"
+      debugLink.addEventListener("click", () => this.debug(runnable))
+      element.appendChild(debugLink)
+    }
+
+    // line up with the item's indentation
+    const { start } = Convert.lsRangeToAtomRange(runnable.location.targetRange)
+    element.style.paddingLeft = `${editor.indentationForBufferRow(start.row) * editor.getTabLength()}ch`
+    return element
+  }
+
+  dispose() {
+    this.disposables.dispose()
+    this.editors.forEach(({ markers, disposable }) => {
+      markers.forEach((marker) => marker.destroy())
+      disposable.dispose()
+    })
+    this.editors.clear()
+  }
+}
+
+module.exports = RunnableLenses
@@ -0,0 +1,266 @@
+const { Emitter } = require("atom")
+const { runnableCommandLine, spawnRunnable, parseTestLine, parseTestSummary, addSummaries } = require("./runnables")
+const { isDebuggable } = require("./debugger")
+const { el } = require("./dom")
+
+const RUNNABLES_URI = "atom://ide-rust/runnables"
+
+/**
+ * Dock item listing rust-analyzer runnables & streaming the output of the last run or cargo command
+ *
+ * @param {function} runListed `(runnable) => void` Runs a listed runnable, ie with its project's toolchain
+ * @param {function} debug `(runnable) => void`
+ */
+class RunnablesView {
+  constructor(runListed, debug) {
+    this.runListed = runListed
+    this.debug = debug
+    this.emitter = new Emitter()
+    /** @type {ChildProcess | null} */
+    this.process = null
+    /** @type {Runnable | null} */
+    this.lastRunnable = null
+    /** @type {function | null} Repeats the last run */
+    this._rerun = null
+    this._runCount = 0
+
+    this.element = el("div", "ide-rust-runnables native-key-bindings")
+    this.element.tabIndex = -1
+
+    this.listElement = el("ul", "list-group runnables-list")
+    this.element.appendChild(this.listElement)
+
+    const header = el("div", "runnable-header")
+    this.commandElement = el("span", "runnable-command")
+    this.statusElement = el("span", "runnable-status")
+    this.rerunButton = el("button", "btn btn-xs icon icon-sync", "Rerun")
+    this.rerunButton.addEventListener("click", () => this._rerun && this._rerun())
+    this.stopButton = el("button", "btn btn-xs icon icon-primitive-square", "Stop")
+    this.stopButton.addEventListener("click", () => this.stop())
+    header.append(this.commandElement, this.statusElement, this.rerunButton, this.stopButton)
+    this.element.appendChild(header)
+
+    this.testsElement = el("ul", "list-group runnable-tests")
+    this.element.appendChild(this.testsElement)
+
+    this.outputElement = el("pre", "runnable-output")
+    this.element.appendChild(this.outputElement)
+
+    this._updateButtons()
+  }
+
+  /* eslint-disable class-methods-use-this */
+  getTitle() {
+    return "Rust Runnables"
+  }
+  getIconName() {
+    return "playback-play"
+  }
+  getURI() {
+    return RUNNABLES_URI
+  }
+  getDefaultLocation() {
+    return "bottom"
+  }
+  getAllowedLocations() {
+    return ["bottom", "left", "right"]
+  }
+  /* eslint-enable class-methods-use-this */
+
+  /**
+   * Invoke the callback when a run completes
+   *
+   * @param {function} callback `({ runnable, tests, summary, code }) => void`
+   * @returns {Disposable}
+   */
+  onDidFinishRun(callback) {
+    return this.emitter.on("did-finish-run", callback)
+  }
+
+  /** @param {Runnable[]} runnables Listed to allow running with a click */
+  setRunnables(runnables) {
+    this.listElement.textContent = ""
+    for (const runnable of runnables) {
+      const item = el("li", "list-item runnable-item")
+      const icon = runnable.label.startsWith("test") ? "icon-beaker" : "icon-playback-play"
+      item.appendChild(el("span", `icon ${icon}`, runnable.label))
+      item.addEventListener("click", () => this.runListed(runnable))
+      if (isDebuggable(runnable)) {
+        const debugButton = el("span", "icon icon-bug runnable-debug")
+        debugButton.title = `Debug ${runnable.label}`
+        debugButton.addEventListener("click", (event) => {
+          event.stopPropagation()
+          this.debug(runnable)
+        })
+        item.appendChild(debugButton)
+      }
+      this.listElement.appendChild(item)
+    }
+  }
+
+  /**
+   * Runs a runnable streaming output into the view, any current run is stopped
+   *
+   * @param {Runnable} runnable
+   * @param {object} [options] `renderLine` & `onLine`, see `runProcess`
+   * @param {string} [options.toolchain] Toolchain to run cargo runnables with
+   * @returns {Promise<number | null>} Exit code once the process closes
+   */
+  run(runnable, options = {}) {
+    this.lastRunnable = runnable
+    return this.runProcess(
+      runnableCommandLine(runnable),
+      () => spawnRunnable(runnable, options.toolchain),
+      Object.assign({}, options, { runnable })
+    )
+  }
+
+  /**
+   * Runs a process streaming output into the view, any current run is stopped
+   *
+   * @param {string} commandLine Shown in the header
+   * @param {function} spawnProcess `() => ChildProcess`, called again to rerun
+   * @param {object} [options]
+   * @param {Runnable} [options.runnable] The runnable being run, for did-finish-run listeners
+   * @param {function} [options.renderLine] `(line) => ?string` Output to show for each complete stdout line, null to
+   *   hide it
+   * @param {function} [options.onLine] `(line) => void` Called with each complete line of rendered stdout & stderr
+   * @returns {Promise<number | null>} Exit code once the process closes
+   */
+  runProcess(commandLine, spawnProcess, { runnable = null, renderLine = null, onLine = null } = {}) {
+    this.stop()
+    this._rerun = () => this.runProcess(commandLine, spawnProcess, { runnable, renderLine, onLine })
+    const runId = ++this._runCount
+    this.outputElement.textContent = ""
+    this.testsElement.textContent = ""
+    this.commandElement.textContent = commandLine
+    this._setStatus("running", "Running…")
+
+    const tests = new Map()
+    let summary = null
+    const parseLines = (lines) => {
+      for (const line of lines) {
+        if (onLine) {
+          onLine(line)
+        }
+        const test = parseTestLine(line.trimEnd())
+        if (test) {
+          tests.set(test.name, test.result)
+          this._addTestResult(test)
+        }
+        // each test binary prints a summary, total them up
+        const binarySummary = parseTestSummary(line.trimEnd())
+        if (binarySummary) {
+          summary = summary ? addSummaries(summary, binarySummary) : binarySummary
+        }
+      }
+    }
+
+    const onData = (transform) => {
+      let pendingLine = ""
+      return (chunk) => {
+        if (runId !== this._runCount) {
+          return
+        }
+        const text = chunk.toString("utf8")
+        const lines = (pendingLine + text).split("\n")
+        pendingLine = lines.pop()
+        if (!transform) {
+          this._appendOutput(text)
+          parseLines(lines)
+          return
+        }
+
+        const rendered = lines.map(transform).filter((line) => line !== null && line !== undefined)
+        if (rendered.length) {
+          const output = rendered.join("\n")
+          this._appendOutput(`${output}\n`)
+          parseLines(output.split("\n"))
+        }
+      }
+    }
+
+    const child = spawnProcess()
+    this.process = child
+    child.stdout.on("data", onData(renderLine))
+    child.stderr.on("data", onData(null))
+    return new Promise((resolve) => {
+      child.on("error", (err) => {
+        resolve(null)
+        if (runId === this._runCount) {
+          this._appendOutput(`${err}\n`)
+          this._setStatus("failed", "Failed to start")
+        }
+      })
+      child.on("close", (code, signal) => {
+        resolve(code)
+        this.emitter.emit("did-finish-run", { runnable, tests, summary, code })
+        if (runId !== this._runCount) {
+          // superseded by a newer run
+          return
+        }
+
+        this.process = null
+        if (signal) {
+          this._setStatus("stopped", `Stopped (${signal})`)
+        } else if (code === 0) {
+          this._setStatus("success", summary ? describeSummary(summary) : "Finished")
+        } else {
+          this._setStatus("failed", summary ? describeSummary(summary) : `Exited with code ${code}`)
+        }
+        this._updateButtons()
+      })
+      this._updateButtons()
+    })
+  }
+
+  /** Kill the currently running process, if any */
+  stop() {
+    if (this.process) {
+      this.process.kill()
+      this.process = null
+    }
+  }
+
+  _appendOutput(text) {
+    const { outputElement } = this
+    const atBottom = outputElement.scrollTop + outputElement.clientHeight >= outputElement.scrollHeight - 5
+    outputElement.appendChild(document.createTextNode(text))
+    if (atBottom) {
+      outputElement.scrollTop = outputElement.scrollHeight
+    }
+  }
+
+  _addTestResult({ name, result }) {
+    const icon = { ok: "icon-check", failed: "icon-x", ignored: "icon-circle-slash" }[result]
+    const item = el("li", `list-item runnable-test test-${result}`)
+    item.appendChild(el("span", `icon ${icon}`, name))
+    this.testsElement.appendChild(item)
+  }
+
+  _setStatus(state, text) {
+    this.statusElement.className = `runnable-status status-${state}`
+    this.statusElement.textContent = text
+  }
+
+  _updateButtons() {
+    this.stopButton.disabled = !this.process
+    this.rerunButton.disabled = !this._rerun
+  }
+
+  destroy() {
+    this.stop()
+    this.emitter.dispose()
+    this.element.remove()
+  }
+}
+
+/**
+ * @param {TestSummary} summary
+ * @returns {string}
+ */
+function describeSummary({ ok, passed, failed, ignored }) {
+  return `${ok ? "Passed" : "Failed"}: ${passed} passed, ${failed} failed, ${ignored} ignored`
+}
+
+module.exports = { RunnablesView, RUNNABLES_URI }
@@ -0,0 +1,139 @@
+const { Convert } = require("atom-languageclient")
+const { spawn } = require("./exec")
+const { rustupSpawn } = require("./rustup")
+
+/**
+ * Rust-analyzer runnable, see https://rust-analyzer.github.io/manual.html#runnables
+ *
+ * @typedef {{
+ *   label: string
+ *   location?: { targetUri: string; targetRange: object; targetSelectionRange: object }
+ *   kind: "cargo" | "shell"
+ *   args: object
+ * }} Runnable
+ */
+
+/** @typedef {{ ok: boolean; passed: number; failed: number; ignored: number }} TestSummary */
+
+/**
+ * @param {LanguageClientConnection} connection
+ * @param {TextEditor} editor
+ * @param {Point} [point] Only fetch runnables at this position
+ * @returns {Promise<Runnable[]>}
+ */
+async function fetchRunnables(connection, editor, point) {
+  const params = { textDocument: Convert.editorToTextDocumentIdentifier(editor) }
+  if (point) {
+    params.position = Convert.pointToPosition(point)
+  }
+  return (await connection.sendCustomRequest("experimental/runnables", params)) || []
+}
+
+/**
+ * @param {Runnable[]} runnables Runnables at a position
+ * @returns {Runnable | undefined} The runnable with the smallest location, ie a test rather than its module
+ */
+function mostSpecificRunnable(runnables) {
+  const lineSpan = ({ location }) => location.targetRange.end.line - location.targetRange.start.line
+  const located = runnables.filter((r) => r.location).sort((a, b) => lineSpan(a) - lineSpan(b))
+  return located[0] || runnables[0]
+}
+
+/**
+ * @param {Runnable} runnable
+ * @returns {{ command: string; args: string[]; cwd: string | undefined }} Process invocation for the runnable
+ */
+function runnableInvocation(runnable) {
+  const { args } = runnable
+  if (runnable.kind === "shell") {
+    return { command: args.program, args: args.args || [], cwd: args.cwd }
+  }
+
+  const cargoArgs = [...(args.cargoArgs || []), ...(args.cargoExtraArgs || [])]
+  if (args.executableArgs && args.executableArgs.length) {
+    cargoArgs.push("--", ...args.executableArgs)
+  }
+  return {
+    command: args.overrideCargo || "cargo",
+    args: cargoArgs,
+    cwd: args.cwd || args.workspaceRoot,
+  }
+}
+
+/**
+ * @param {Runnable} runnable
+ * @returns {string} Shell-like representation of the runnable invocation
+ */
+function runnableCommandLine(runnable) {
+  const { command, args } = runnableInvocation(runnable)
+  return [command, ...args.map((arg) => (/[\s"']/.test(arg) ? JSON.stringify(arg) : arg))].join(" ")
+}
+
+/**
+ * @param {Runnable} runnable
+ * @param {string} [toolchain] Toolchain cargo runnables use, the rustup default/override if empty
+ * @returns {ChildProcess}
+ */
+function spawnRunnable(runnable, toolchain) {
+  const { command, args, cwd } = runnableInvocation(runnable)
+  const opts = { cwd, env: { RUST_BACKTRACE: process.env.RUST_BACKTRACE || "1" } }
+  return runnable.kind === "cargo" ? rustupSpawn(toolchain, command, args, opts) : spawn(command, args, opts)
+}
+
+/**
+ * Parses libtest output lines, like "test tests::it_works ... ok"
+ *
+ * @param {string} line
+ * @returns {{ name: string; result: "ok" | "failed" | "ignored" } | null}
+ */
+function parseTestLine(line) {
+  const match = line.match(/^test (.+?) \.{3} (ok|FAILED|ignored)/)
+  if (!match) {
+    return null
+  }
+  return { name: match[1], result: match[2].toLowerCase() }
+}
+
+/**
+ * Parses libtest summary lines, like "test result: ok. 1 passed; 0 failed; 0 ignored; ..."
+ *
+ * @param {string} line
+ * @returns {TestSummary | null}
+ */
+function parseTestSummary(line) {
+  const match = line.match(/^test result: (ok|FAILED)\. (\d+) passed; (\d+) failed; (\d+) ignored/)
+  if (!match) {
+    return null
+  }
+  return {
+    ok: match[1] === "ok",
+    passed: Number(match[2]),
+    failed: Number(match[3]),
+    ignored: Number(match[4]),
+  }
+}
+
+/**
+ * @param {TestSummary} a
+ * @param {TestSummary} b
+ * @returns {TestSummary} Totals of both summaries, ie of two test binaries
+ */
+function addSummaries(a, b) {
+  return {
+    ok: a.ok && b.ok,
+    passed: a.passed + b.passed,
+    failed: a.failed + b.failed,
+    ignored: a.ignored + b.ignored,
+  }
+}
+
+module.exports = {
+  fetchRunnables,
+  mostSpecificRunnable,
+  runnableInvocation,
+  runnableCommandLine,
+  spawnRunnable,
+  parseTestLine,
+  parseTestSummary,
+  addSummaries,
+}
@@ -1,18 +1,50 @@
 const path = require("path")
-const fs = require("fs")
 const _ = require("underscore-plus")
+const { Emitter } = require("atom")
+const { Convert } = require("atom-languageclient")
+const { WatchedFiles } = require("./watched-files")
+const {
+  CONFIG_FILES,
+  loadProjectSettings,
+  packageDefaults,
+  settingsSection,
+  deepMerge,
+  serverSettings,
+} = require("./project-config")
+
+/** @type {RegExp} Progress of rust-analyzer's check on save, titled like `cargo check` */
+const FLYCHECK_PROGRESS = /flycheck|\bcargo /i
+
+/**
+ * @typedef {{
+ *   indexing: boolean
+ *   checking: string | null
+ *   lastCheckMillis: number | null
+ *   checkCommand: string
+ *   errors: number
+ *   warnings: number
+ *   health: "ok" | "warning" | "error"
+ *   healthMessage: string | null
+ * }} ProjectStatus
+ *   `checking` is the title of the running check, ie `cargo clippy`. `health` & `healthMessage` are from
+ *   `experimental/serverStatus`, ie warning about a workspace that failed to load
+ */
 
 /**
  * Container for references to a single Rls invocation
  *
  * @param {ActiveServer} server
  * @param {function} busySignalServiceFn `() => ?BusySignalService`
+ * @param {string[] | null} [linkedProjects] Discovered manifests, loaded unless the settings link projects
  */
 class RustProject {
-  constructor(server, busySignalServiceFn) {
+  constructor(server, busySignalServiceFn, linkedProjects = null) {
     this.server = server
     this.getBusySignalService = busySignalServiceFn
-    this._lastSentConfig = null
+    this.linkedProjects = linkedProjects
+    /** @type {object | null} Rust-analyzer settings last sent to the server */
+    this.settings = null
+    this._settingsNotification = null
 
     /** @type {Map<number | string, BusyMessage>} */
     this._progress = new Map()
@@ -20,29 +52,241 @@ class RustProject {
     /** @type {BusyMessage | null} */
     this._rustDocBusyMessage = null
 
-    this._disposable = atom.notifications.onDidAddNotification(async (note) => {
-      if (this._disposable && (!this.server || !this.server.connection || !this.server.connection.isConnected)) {
-        this._disposable.dispose()
-        return
-      }
+    this.emitter = new Emitter()
+    /** @type {Map<number | string, string>} Indexing/loading progress token -> title */
+    this._indexing = new Map()
+    /** @type {{ token: number | string; title: string; startedAt: number } | null} */
+    this._flycheck = null
+    /** @type {number | null} */
+    this._lastCheckMillis = null
+    /** @type {Map<string, { errors: number; warnings: number }>} Uri -> diagnostic counts */
+    this._diagnosticCounts = new Map()
+    /** @type {string | null} Check command chosen at runtime, overriding the settings */
+    this.checkCommand = null
+    /** @type {{ health: string; quiescent: boolean; message?: string }} Last `experimental/serverStatus` */
+    this.serverStatus = { health: "ok", quiescent: true }
 
-      await handleMultiCrateProjectErrors(this.server.projectPath, note)
+    server.connection.onCustom("$/progress", (params) => this.onProgress(params))
+    server.connection.onCustom("experimental/serverStatus", (params) => {
+      this.serverStatus = params
+      this._emitStatus()
     })
 
-    server.connection.onCustom("$/progress", (params) => this.onProgress(params))
+    /** Only file changes matching the watchers rust-analyzer registers are sent */
+    this.watchedFiles = new WatchedFiles(server.projectPath)
+    server.connection.onCustomRequest("client/registerCapability", (params) => {
+      this.watchedFiles.register(params)
+      return Promise.resolve(null)
+    })
+    server.connection.onCustomRequest("client/unregisterCapability", (params) => {
+      this.watchedFiles.unregister(params)
+      return Promise.resolve(null)
+    })
+
+    // push project settings file changes to the server
+    const settingsFiles = CONFIG_FILES.map((file) => path.join(server.projectPath, file))
+    this._settingsWatch = atom.project.onDidChangeFiles((events) => {
+      if (events.some((event) => settingsFiles.includes(event.path) || settingsFiles.includes(event.oldPath))) {
+        this.reloadSettings()
+      }
+    })
+    server.connection.onCustomRequest("workspace/configuration", ({ items }) =>
+      Promise.resolve(items.map((item) => settingsSection(this.settings || {}, item.section)))
+    )
+    this.reloadSettings()
 
     // clean up any busy messages
     this.server.process.on("exit", () => {
+      this._settingsWatch.dispose()
+      if (this._settingsNotification) {
+        this._settingsNotification.dismiss()
+      }
       this._progress.forEach((msg) => msg.dispose())
       this._progress.clear()
       if (this._rustDocBusyMessage) {
         this._rustDocBusyMessage.dispose()
       }
+      this.emitter.dispose()
+    })
+  }
+
+  /**
+   * Invoke the callback when indexing/check state, server health or diagnostic counts change
+   *
+   * @param {function} callback `(ProjectStatus) => void`
+   * @returns {Disposable}
+   */
+  onDidChangeStatus(callback) {
+    return this.emitter.on("did-change-status", callback)
+  }
+
+  /** @returns {ProjectStatus} */
+  getStatus() {
+    let errors = 0
+    let warnings = 0
+    this._diagnosticCounts.forEach((counts) => {
+      errors += counts.errors
+      warnings += counts.warnings
+    })
+    return {
+      indexing: this._indexing.size > 0 || !this.serverStatus.quiescent,
+      checking: this._flycheck && this._flycheck.title,
+      lastCheckMillis: this._lastCheckMillis,
+      checkCommand: this.getCheckCommand(),
+      errors,
+      warnings,
+      health: this.serverStatus.health,
+      healthMessage: this.serverStatus.message || null,
+    }
+  }
+
+  /** @param {string[] | null} linkedProjects Discovered manifests to load, sent to the server */
+  setLinkedProjects(linkedProjects) {
+    this.linkedProjects = linkedProjects
+    this.reloadSettings()
+  }
+
+  /** @returns {string} Command rust-analyzer checks with, ie `check` or `clippy` */
+  getCheckCommand() {
+    const settings = this.settings || {}
+    const fromSettings =
+      (settings.check && settings.check.command) || (settings.checkOnSave && settings.checkOnSave.command)
+    return this.checkCommand || fromSettings || "check"
+  }
+
+  /**
+   * Overrides the check command until the server exits
+   *
+   * @param {string} command Ie `check` or `clippy`
+   */
+  setCheckCommand(command) {
+    this.checkCommand = command
+    this.reloadSettings()
+    this._emitStatus()
+  }
+
+  /** @param {TextEditor} [editor] Checks the editor's crate, otherwise the whole workspace */
+  runFlycheck(editor) {
+    this.server.connection.sendCustomNotification("rust-analyzer/runFlycheck", {
+      textDocument: editor ? Convert.editorToTextDocumentIdentifier(editor) : null,
+    })
+  }
+
+  cancelFlycheck() {
+    this.server.connection.sendCustomNotification("rust-analyzer/cancelFlycheck", null)
+  }
+
+  /** Removes check diagnostics, ie left over from a previous check */
+  clearFlycheck() {
+    this.server.connection.sendCustomNotification("rust-analyzer/clearFlycheck", null)
+  }
+
+  /** @param {ls.PublishDiagnosticsParams} params Counted for the status */
+  updateDiagnostics({ uri, diagnostics }) {
+    // severity defaults to error
+    const errors = diagnostics.filter((d) => !d.severity || d.severity === 1).length
+    const warnings = diagnostics.filter((d) => d.severity === 2).length
+    if (errors || warnings) {
+      this._diagnosticCounts.set(uri, { errors, warnings })
+    } else {
+      this._diagnosticCounts.delete(uri)
+    }
+    this._emitStatus()
+  }
+
+  _emitStatus() {
+    this.emitter.emit("did-change-status", this.getStatus())
+  }
+
+  /**
+   * Tracks indexing & check on save progress for the status
+   *
+   * @param {number | string} token
+   * @param {string} kind
+   * @param {string} [title] Only sent with `begin`
+   */
+  _trackProgress(token, kind, title) {
+    if (kind === "begin") {
+      if (FLYCHECK_PROGRESS.test(`${token} ${title}`)) {
+        this._flycheck = { token, title, startedAt: Date.now() }
+      } else {
+        this._indexing.set(token, title)
+      }
+    } else if (kind === "end") {
+      if (this._flycheck && this._flycheck.token === token) {
+        this._lastCheckMillis = Date.now() - this._flycheck.startedAt
+        this._flycheck = null
+      }
+      this._indexing.delete(token)
+    } else {
+      return
+    }
+    this._emitStatus()
+  }
+
+  /** Reloads package & project settings, pushing changes to the server & showing any settings file problems */
+  reloadSettings() {
+    const { settings, filePath, problems } = loadProjectSettings(this.server.projectPath)
+    let note = null
+    if (!settings) {
+      // nothing has been sent yet at startup, so the server starts with the package defaults
+      note = this.settings ? "The previous settings are still in use." : "The package defaults are used instead."
+    }
+    this._showSettingsProblems(filePath, problems, note)
+    if (!settings && this.settings) {
+      return
+    }
+    let effective = serverSettings(settings || packageDefaults())
+    if (this.checkCommand) {
+      effective = deepMerge(effective, { check: { command: this.checkCommand } })
+    }
+    if (this.linkedProjects && !(effective.linkedProjects || []).length) {
+      effective = Object.assign({}, effective, { linkedProjects: this.linkedProjects })
+    }
+    if (_.isEqual(effective, this.settings)) {
+      return
+    }
+    this.settings = effective
+    this.server.connection.didChangeConfiguration({ settings: { "rust-analyzer": effective } })
+  }
+
+  /**
+   * @param {string} filePath
+   * @param {SettingsProblem[]} problems
+   * @param {string | null} note Appended to the problems, ie which settings are used while the file is unusable
+   */
+  _showSettingsProblems(filePath, problems, note) {
+    if (this._settingsNotification) {
+      this._settingsNotification.dismiss()
+      this._settingsNotification = null
+    }
+    if (!problems.length) {
+      return
+    }
+
+    const hasErrors = problems.some((p) => p.severity === "error")
+    const [{ line, column }] = problems
+    const description = problems
+      .map((p) => `- ${p.severity === "error" ? "" : "_warning_ "}line ${p.line}, column ${p.column}: ${p.message}`)
+      .join("\n")
+    const message = `Problems in rust-analyzer settings ${atom.project.relativize(filePath)}`
+    this._settingsNotification = atom.notifications[hasErrors ? "addError" : "addWarning"](message, {
+      description: note ? `${description}\n\n${note}` : description,
+      dismissable: true,
+      _src: "ide-rust.config",
+      buttons: [
+        {
+          text: "Open",
+          onDidClick: () => atom.workspace.open(filePath, { initialLine: line - 1, initialColumn: column - 1 }),
+        },
+      ],
     })
   }
 
   // Handle r.a progress messages
   onProgress({ token, value }) {
+    this._trackProgress(token, value.kind, value.title)
+
     const busySignal = this.getBusySignalService()
     if (!busySignal) {
       return
@@ -88,102 +332,4 @@ class RustProject {
   }
 }
 
-/**
- * Converts fs async callback functions to use promises
- *
- * @param {function} functionWithCallback
- * @returns {function} Async function
- */
-function callbackAsync(functionWithCallback) {
-  return (...args) => {
-    return new Promise((resolve, reject) => {
-      functionWithCallback(...args, (err, ...out) => {
-        if (err) {
-          reject(err)
-        } else {
-          resolve(...out)
-        }
-      })
-    })
-  }
-}
-
-const asyncLstat = callbackAsync(fs.lstat)
-
-/**
- * Check error notifications to see if the cause is a multi-crate project & offer help.
- *
- * See https://github.com/rust-lang/atom-ide-rust#multi-crate-projects
- *
- * @param {string} projectPath
- * @param {Notification} errorNote
- */
-async function handleMultiCrateProjectErrors(projectPath, errorNote) {
-  const options = errorNote.options || {}
-  const detail = options.detail || ""
-
-  if (
-    options._src !== "ide-rust" &&
-    errorNote.getType() === "error" &&
-    (errorNote.getMessage() || "").startsWith("could not find `Cargo.toml`") &&
-    detail.endsWith(projectPath)
-  ) {
-    const root_manifest = await asyncLstat(path.join(projectPath, "Cargo.toml")).catch(() => false)
-    if (root_manifest) {
-      return
-    }
-
-    try {
-      const ls = await callbackAsync(fs.readdir)(projectPath)
-      const childProjects = []
-      for (const f of ls) {
-        const file = path.join(projectPath, f)
-        const stat = await asyncLstat(file)
-        if (stat.isDirectory()) {
-          const has_manifest = await asyncLstat(path.join(file, "Cargo.toml")).catch(() => false)
-          if (has_manifest) {
-            childProjects.push(f)
-          }
-        }
-      }
-
-      if (childProjects.length) {
-        let newNote
-        const projects = childProjects.map((p) => `"${p}"`).join(", ")
-        const workspaceManifest = `[workspace]\nmembers = [${projects}]`
-        const options = {
-          _src: "ide-rust",
-          dismissable: true,
-          description: `Child projects without a root (or higher) workspace are not supported. A root manifest at _${path.join(
-            projectPath,
-            "Cargo.toml"
-          )}_ could allow RLS to build the projects as a workspace.\n\nSee [atom-ide-rust#multi-crate-projects](https://github.com/rust-lang/atom-ide-rust#multi-crate-projects)`,
-          buttons: [
-            {
-              text: "Add workspace Cargo.toml",
-              onDidClick: async () => {
-                await callbackAsync(fs.writeFile)(path.join(projectPath, "Cargo.toml"), workspaceManifest)
-                newNote.dismiss()
-                errorNote.dismiss()
-              },
-            },
-            {
-              text: "Ignore project",
-              onDidClick: () => {
-                const ignoredPaths = atom.config.get("ide-rust.ignoredProjectPaths")
-                atom.config.set("ide-rust.ignoredProjectPaths", [ignoredPaths, projectPath].join(", "))
-                newNote.dismiss()
-                errorNote.dismiss()
-              },
-            },
-          ],
-        }
-        newNote = atom.notifications.addInfo("Multi-crate project detected", options)
-      }
-    } catch (e) {
-      console.warn(e)
-    }
-  }
-}
-
 module.exports = RustProject
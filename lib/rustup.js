@@ -0,0 +1,324 @@
+const path = require("path")
+const fs = require("fs")
+const { exec, spawn } = require("./exec")
+
+/** Components ide-rust makes use of, shown in the toolchain manager */
+const COMPONENTS = ["rust-src", "rustfmt", "clippy", "rust-analyzer"]
+
+/** Target triple suffix of a component name, like `-x86_64-unknown-linux-gnu` or `-aarch64-apple-darwin` */
+const TARGET_SUFFIX = /^(?:-[^-]+){2,4}$/
+
+/** Rust target triples by `${process.platform}-${process.arch}` */
+const HOST_TARGETS = {
+  "linux-x64": "x86_64-unknown-linux-gnu",
+  "linux-arm64": "aarch64-unknown-linux-gnu",
+  "linux-arm": "arm-unknown-linux-gnueabihf",
+  "darwin-x64": "x86_64-apple-darwin",
+  "darwin-arm64": "aarch64-apple-darwin",
+  "win32-x64": "x86_64-pc-windows-msvc",
+  "win32-arm64": "aarch64-pc-windows-msvc",
+}
+
+/** Toolchain files in priority order, see https://rust-lang.github.io/rustup/overrides.html#the-toolchain-file */
+const TOOLCHAIN_FILES = ["rust-toolchain", "rust-toolchain.toml"]
+
+/**
+ * @param {string} [platform]
+ * @param {string} [arch]
+ * @returns {string | undefined} Target triple of the host, ie `x86_64-unknown-linux-gnu`
+ */
+function hostTarget(platform = process.platform, arch = process.arch) {
+  return HOST_TARGETS[`${platform}-${arch}`]
+}
+
+/** @returns {string} The configured toolchain, empty to use the rustup default */
+function configToolchain() {
+  return (atom.config.get("ide-rust.toolchain") || "").trim()
+}
+
+/**
+ * @param {string} [toolchain] Runs with the rustup default/override if empty
+ * @param {string} command
+ * @param {object} [opts] `exec` options
+ * @returns {Promise<{ stdout: string; stderr: string }>}
+ */
+function rustupRun(toolchain, command, opts = {}) {
+  return (toolchain && exec(`rustup run ${toolchain} ${command}`, opts)) || exec(`${command}`, opts)
+}
+
+/**
+ * Spawns a command with the toolchain, like {rustupRun} but streaming output
+ *
+ * @param {string} [toolchain] Runs with the rustup default/override if empty
+ * @param {string} command Ie `cargo`
+ * @param {string[]} args
+ * @param {object} [opts] `spawn` options
+ * @returns {ChildProcess}
+ */
+function rustupSpawn(toolchain, command, args, opts = {}) {
+  return toolchain ? spawn("rustup", ["run", toolchain, command, ...args], opts) : spawn(command, args, opts)
+}
+
+/** @returns {Promise<string>} Default toolchain channel, ie `stable` */
+async function rustupDefaultToolchain() {
+  // linux: "stable-x86_64-unknown-linux-gnu (default)"
+  // mac: "stable (default)"
+  const { stdout } = await exec("rustup default")
+  return stdout.split("-")[0].trim().split(" ")[0]
+}
+
+/** @returns {{ path: string; toolchain: String }[]} */
+async function rustupOverrides() {
+  const { stdout } = await exec("rustup override list")
+  return stdout
+    .split(/[\n\r]+/g)
+    .map((line) => {
+      // line.trimEnd is not a function ?
+      const lastSpace = line.trimEnd().lastIndexOf(" ")
+      return {
+        path: line.slice(0, lastSpace).trim(),
+        toolchain: line.slice(lastSpace).trim(),
+      }
+    })
+    .filter(({ path, toolchain }) => path && toolchain && path !== "no")
+}
+
+/**
+ * Parses `rustup toolchain list` output, like `stable-x86_64-unknown-linux-gnu (active, default)`
+ *
+ * @param {string} stdout
+ * @returns {{ name: string; isDefault: boolean; isActive: boolean }[]}
+ */
+function parseToolchainList(stdout) {
+  return stdout
+    .split(/[\n\r]+/g)
+    .map((line) => line.match(/^(\S+)(?:\s+\((.*)\))?\s*$/))
+    .filter((match) => match && match[1] !== "no")
+    .map(([, name, flags = ""]) => ({
+      name,
+      isDefault: flags.includes("default"),
+      isActive: flags.includes("active") || flags.includes("override"),
+    }))
+}
+
+/** @returns {Promise<{ name: string; isDefault: boolean; isActive: boolean }[]>} Installed toolchains */
+async function installedToolchains() {
+  const { stdout } = await exec("rustup toolchain list")
+  return parseToolchainList(stdout)
+}
+
+/**
+ * Parses `rustup component list --installed` output, where most components have a target suffix, like
+ * `clippy-x86_64-unknown-linux-gnu`
+ *
+ * @param {string} stdout
+ * @param {string[]} [components] Components to look for, defaults to {COMPONENTS}
+ * @returns {Set<string>} Installed components
+ */
+function parseInstalledComponents(stdout, components = COMPONENTS) {
+  const names = stdout.split(/[\n\r]+/g).map((line) => line.trim().split(" ")[0])
+  return new Set(
+    components.filter((component) =>
+      names.some(
+        (name) =>
+          name === component || (name.startsWith(`${component}-`) && TARGET_SUFFIX.test(name.slice(component.length)))
+      )
+    )
+  )
+}
+
+/**
+ * @param {string} [toolchain] Uses the toolchain active in the `cwd` if empty
+ * @param {string[]} [components] Components to look for, defaults to {COMPONENTS}
+ * @param {string} [cwd]
+ * @returns {Promise<Set<string>>} Installed components of the toolchain
+ */
+async function installedComponents(toolchain, components = COMPONENTS, cwd = undefined) {
+  const toolchainArg = toolchain ? ` --toolchain ${toolchain}` : ""
+  const { stdout } = await exec(`rustup component list --installed${toolchainArg}`, { cwd })
+  return parseInstalledComponents(stdout, components)
+}
+
+/**
+ * @param {string} [toolchain] Uses the rustup default/override if empty
+ * @param {string} [cwd]
+ * @returns {Promise<string | null>} Sysroot of the toolchain, null if rustc isn't available
+ */
+async function rustSysroot(toolchain, cwd = undefined) {
+  try {
+    const { stdout } = await rustupRun(toolchain, "rustc --print sysroot", { cwd })
+    return stdout.trim() || null
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * @param {string} toolchain
+ * @returns {Promise<string | null>} The dist manifest rustup installed the toolchain from
+ */
+async function installedManifest(toolchain) {
+  const sysroot = await rustSysroot(toolchain)
+  if (!sysroot) {
+    return null
+  }
+  try {
+    const manifest = path.join(sysroot, "lib", "rustlib", "multirust-channel-manifest.toml")
+    return await fs.promises.readFile(manifest, "utf8")
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Reads a `rust-toolchain` or `rust-toolchain.toml` file in the directory
+ *
+ * @param {string} dir
+ * @returns {{ filePath: string; channel: string | null; components: string[] } | null}
+ */
+function readToolchainFile(dir) {
+  for (const file of TOOLCHAIN_FILES) {
+    const filePath = path.join(dir, file)
+    let text
+    try {
+      text = fs.readFileSync(filePath, "utf8")
+    } catch (e) {
+      continue
+    }
+
+    // legacy files may contain only the toolchain name
+    if (file === "rust-toolchain" && !text.includes("[toolchain]")) {
+      return { filePath, channel: text.trim() || null, components: [] }
+    }
+    try {
+      const { toolchain = {} } = require("toml").parse(text)
+      return { filePath, channel: toolchain.channel || null, components: toolchain.components || [] }
+    } catch (e) {
+      console.warn(`Invalid toolchain file ${filePath}`, e)
+      return { filePath, channel: null, components: [] }
+    }
+  }
+  return null
+}
+
+/**
+ * @param {string} dir
+ * @param {string} ancestor
+ * @returns {boolean} The dir is the ancestor or one of its descendants
+ */
+function isWithin(dir, ancestor) {
+  const trimmed = ancestor.replace(/[/\\]+$/, "")
+  return dir === trimmed || dir.startsWith(`${trimmed}${path.sep}`)
+}
+
+/**
+ * @typedef {{
+ *   toolchain: string
+ *   source: "override" | "file" | "config" | "default"
+ *   components: string[]
+ *   filePath?: string
+ * }} ProjectToolchain
+ *   Toolchain is empty for the rustup default
+ */
+
+/**
+ * Resolves the toolchain rustup uses for a project, like rustup: a directory override, then the nearest toolchain file,
+ * falling back to the configured ide-rust toolchain instead of the rustup default.
+ *
+ * @param {string} projectPath
+ * @returns {Promise<ProjectToolchain>}
+ */
+async function projectToolchain(projectPath) {
+  const dir = path.resolve(projectPath)
+  const overrides = await rustupOverrides().catch(() => [])
+  const [override] = overrides.filter((o) => isWithin(dir, o.path)).sort((a, b) => b.path.length - a.path.length)
+  if (override) {
+    return { toolchain: override.toolchain, source: "override", components: [] }
+  }
+
+  for (let current = dir; ; current = path.dirname(current)) {
+    const file = readToolchainFile(current)
+    if (file) {
+      return {
+        toolchain: file.channel || configToolchain(),
+        source: "file",
+        components: file.components,
+        filePath: file.filePath,
+      }
+    }
+    if (path.dirname(current) === current) {
+      break
+    }
+  }
+
+  const configured = configToolchain()
+  return { toolchain: configured, source: configured ? "config" : "default", components: [] }
+}
+
+/**
+ * @param {string} toolchain
+ * @param {string[]} [components] Extra components to install with the toolchain
+ */
+function installToolchain(toolchain, components = []) {
+  const componentArgs = components.map((component) => ` --component ${component}`).join("")
+  return exec(`rustup toolchain install ${toolchain}${componentArgs}`)
+}
+
+/** @param {string} toolchain */
+function updateToolchain(toolchain) {
+  return exec(`rustup update ${toolchain}`)
+}
+
+/** @param {string} toolchain */
+function uninstallToolchain(toolchain) {
+  return exec(`rustup toolchain uninstall ${toolchain}`)
+}
+
+/**
+ * @param {string} [toolchain] Uses the toolchain active in the `cwd` if empty
+ * @param {string} component
+ * @param {string} [cwd]
+ */
+function addComponent(toolchain, component, cwd = undefined) {
+  const toolchainArg = toolchain ? ` --toolchain ${toolchain}` : ""
+  return exec(`rustup component add ${component}${toolchainArg}`, { cwd })
+}
+
+/**
+ * Sets the toolchain used in a directory & its descendants
+ *
+ * @param {string} dir
+ * @param {string} toolchain
+ */
+function setOverride(dir, toolchain) {
+  return exec(`rustup override set ${toolchain}`, { cwd: dir })
+}
+
+/** @param {string} dir */
+function unsetOverride(dir) {
+  return exec("rustup override unset", { cwd: dir })
+}
+
+module.exports = {
+  COMPONENTS,
+  hostTarget,
+  configToolchain,
+  rustupRun,
+  rustupSpawn,
+  rustupDefaultToolchain,
+  rustupOverrides,
+  parseToolchainList,
+  installedToolchains,
+  parseInstalledComponents,
+  installedComponents,
+  rustSysroot,
+  installedManifest,
+  readToolchainFile,
+  projectToolchain,
+  installToolchain,
+  updateToolchain,
+  uninstallToolchain,
+  addComponent,
+  setOverride,
+  unsetOverride,
+}
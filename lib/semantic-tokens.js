@@ -0,0 +1,264 @@
+const { CompositeDisposable, Range } = require("atom")
+const { Convert } = require("atom-languageclient")
+
+const TOKEN_TYPES = [
+  "namespace",
+  "type",
+  "class",
+  "enum",
+  "interface",
+  "struct",
+  "typeParameter",
+  "parameter",
+  "variable",
+  "property",
+  "enumMember",
+  "event",
+  "function",
+  "method",
+  "macro",
+  "keyword",
+  "modifier",
+  "comment",
+  "string",
+  "number",
+  "regexp",
+  "operator",
+  "decorator",
+]
+
+const TOKEN_MODIFIERS = [
+  "declaration",
+  "definition",
+  "readonly",
+  "static",
+  "deprecated",
+  "abstract",
+  "async",
+  "modification",
+  "documentation",
+  "defaultLibrary",
+]
+
+/** @type {ls.SemanticTokensClientCapabilities} */
+const CLIENT_CAPABILITIES = {
+  dynamicRegistration: false,
+  requests: { range: false, full: { delta: true } },
+  tokenTypes: TOKEN_TYPES,
+  tokenModifiers: TOKEN_MODIFIERS,
+  formats: ["relative"],
+  overlappingTokenSupport: false,
+  multilineTokenSupport: false,
+}
+
+/** @typedef {{ row: number; column: number; length: number; className: string }} SemanticToken */
+
+/**
+ * @param {string} name Token type or modifier, ie `typeAlias`
+ * @returns {string} Theme friendly class, ie `syntax--type-alias`
+ */
+function syntaxClass(name) {
+  return `syntax--${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`
+}
+
+/**
+ * Decodes the relative `[deltaLine, deltaStart, length, type, modifiers]` integer encoding
+ *
+ * @param {number[]} data
+ * @param {ls.SemanticTokensLegend} legend
+ * @returns {SemanticToken[]}
+ */
+function decodeTokens(data, legend) {
+  const tokens = []
+  let row = 0
+  let column = 0
+  for (let i = 0; i + 4 < data.length; i += 5) {
+    row += data[i]
+    column = data[i] === 0 ? column + data[i + 1] : data[i + 1]
+
+    const type = legend.tokenTypes[data[i + 3]]
+    if (!type) {
+      continue
+    }
+    const classes = ["syntax--semantic", syntaxClass(type)]
+    legend.tokenModifiers.forEach((modifier, bit) => {
+      if (data[i + 4] & (1 << bit)) {
+        classes.push(syntaxClass(modifier))
+      }
+    })
+    tokens.push({ row, column, length: data[i + 2], className: classes.join(" ") })
+  }
+  return tokens
+}
+
+/**
+ * @param {number[]} data Previous token data
+ * @param {ls.SemanticTokensEdit[]} edits
+ * @returns {number[]} Token data with the delta edits applied
+ */
+function applyTokenEdits(data, edits) {
+  const result = data.slice()
+  // apply from the end so earlier edit offsets stay valid
+  const sorted = edits.slice().sort((a, b) => b.start - a.start)
+  for (const { start, deleteCount, data: inserted } of sorted) {
+    result.splice(start, deleteCount, ...(inserted || []))
+  }
+  return result
+}
+
+/**
+ * Highlights rust editors with `textDocument/semanticTokens`, layered over the TextMate grammar as text decorations
+ * with `syntax--` classes for the token type & modifiers, ie `syntax--variable syntax--mutable`. After edits only the
+ * delta is requested with `textDocument/semanticTokens/full/delta` & only changed tokens are redecorated.
+ *
+ * @param {function} serverForEditor `(editor) => ?ActiveServer`
+ */
+class SemanticTokens {
+  constructor(serverForEditor) {
+    this.serverForEditor = serverForEditor
+    /**
+     * @type {Map<
+     *   TextEditor,
+     *   {
+     *     resultId: ?string
+     *     requestId: number
+     *     data: number[]
+     *     layers: Map<string, DisplayMarkerLayer>
+     *     disposable: Disposable
+     *   }
+     * >}
+     */
+    this.editors = new Map()
+
+    this.disposables = new CompositeDisposable(
+      atom.config.onDidChange("ide-rust.semanticHighlighting", () => this.refreshAll()),
+      atom.workspace.observeTextEditors((editor) => this._watchEditor(editor))
+    )
+  }
+
+  _watchEditor(editor) {
+    const disposable = new CompositeDisposable(
+      editor.onDidStopChanging(() => this.refresh(editor)),
+      editor.onDidChangeGrammar(() => this.refresh(editor)),
+      editor.onDidDestroy(() => {
+        this._clear(editor)
+        disposable.dispose()
+        this.editors.delete(editor)
+      })
+    )
+    this.editors.set(editor, { resultId: null, requestId: 0, data: [], layers: new Map(), disposable })
+    this.refresh(editor)
+  }
+
+  /** Re-request all tokens for all editors, ie after `workspace/semanticTokens/refresh` or a server restart */
+  refreshAll() {
+    this.editors.forEach((state, editor) => {
+      state.resultId = null
+      this.refresh(editor)
+    })
+  }
+
+  /** @param {TextEditor} editor */
+  async refresh(editor) {
+    const state = this.editors.get(editor)
+    if (!state) {
+      return
+    }
+
+    const server =
+      atom.config.get("ide-rust.semanticHighlighting") &&
+      editor.getGrammar().scopeName === "source.rust" &&
+      this.serverForEditor(editor)
+    const provider = server && server.capabilities.semanticTokensProvider
+    if (!provider || !provider.full) {
+      state.resultId = null
+      state.data = []
+      this._clear(editor)
+      return
+    }
+
+    const textDocument = Convert.editorToTextDocumentIdentifier(editor)
+    const { resultId } = state
+    const requestId = ++state.requestId
+    const useDelta = Boolean(resultId && typeof provider.full === "object" && provider.full.delta)
+    let response
+    try {
+      response = useDelta
+        ? await server.connection.sendCustomRequest("textDocument/semanticTokens/full/delta", {
+            textDocument,
+            previousResultId: resultId,
+          })
+        : await server.connection.sendCustomRequest("textDocument/semanticTokens/full", { textDocument })
+    } catch (e) {
+      // ie the content modified while computing, the next change will request again
+      if (state.requestId === requestId) {
+        state.resultId = null
+      }
+      return
+    }
+    // ignore stale responses, a newer request has superseded this one
+    if (!response || editor.isDestroyed() || state.requestId !== requestId) {
+      return
+    }
+
+    state.data = response.edits ? applyTokenEdits(state.data, response.edits) : response.data
+    state.resultId = response.resultId || null
+    this._render(editor, decodeTokens(state.data, provider.legend))
+  }
+
+  /**
+   * Redecorates changed tokens, keeping markers whose range & classes are unchanged
+   *
+   * @param {TextEditor} editor
+   * @param {SemanticToken[]} tokens
+   */
+  _render(editor, tokens) {
+    const { layers } = this.editors.get(editor)
+
+    const wanted = new Map()
+    for (const { row, column, length, className } of tokens) {
+      const range = new Range([row, column], [row, column + length])
+      wanted.set(`${className}|${range}`, { range, className })
+    }
+
+    for (const [className, layer] of layers) {
+      for (const marker of layer.getMarkers()) {
+        const key = `${className}|${marker.getBufferRange()}`
+        if (marker.isValid() && wanted.has(key)) {
+          wanted.delete(key)
+        } else {
+          marker.destroy()
+        }
+      }
+    }
+
+    for (const { range, className } of wanted.values()) {
+      let layer = layers.get(className)
+      if (!layer) {
+        layer = editor.addMarkerLayer()
+        editor.decorateMarkerLayer(layer, { type: "text", class: className })
+        layers.set(className, layer)
+      }
+      layer.markBufferRange(range, { invalidate: "inside" })
+    }
+  }
+
+  _clear(editor) {
+    const state = this.editors.get(editor)
+    if (state) {
+      state.layers.forEach((layer) => layer.destroy())
+      state.layers.clear()
+    }
+  }
+
+  dispose() {
+    this.disposables.dispose()
+    this.editors.forEach(({ disposable }, editor) => {
+      this._clear(editor)
+      disposable.dispose()
+    })
+    this.editors.clear()
+  }
+}
+
+module.exports = { SemanticTokens, CLIENT_CAPABILITIES, decodeTokens, applyTokenEdits }
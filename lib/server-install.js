@@ -0,0 +1,301 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const zlib = require("zlib")
+const { fileURLToPath } = require("url")
+const { exec } = require("./exec")
+const { fetchUrl } = require("./fetch-url")
+const { hostTarget } = require("./rustup")
+
+/** Official rust-analyzer release downloads, `<mirror>/<version>/<asset>` */
+const DEFAULT_MIRROR = "https://github.com/rust-lang/rust-analyzer/releases/download"
+
+const GITHUB_DOWNLOAD = /^https:\/\/github\.com\/([^/]+)\/([^/]+)\/releases\/download\/?$/
+
+const BINARY = process.platform === "win32" ? "rust-analyzer.exe" : "rust-analyzer"
+
+/** @type {Map<string, Promise<{ binary: string; verified: boolean }>>} Version -> in-progress install */
+const pendingInstalls = new Map()
+
+/** @returns {{ source: "path" | "rustup" | "release"; releaseMirror: string; version: string }} */
+function installConfig() {
+  const config = atom.config.get("ide-rust.rustAnalyzerInstall") || {}
+  return {
+    source: config.source || "path",
+    releaseMirror: (config.releaseMirror || "").trim() || DEFAULT_MIRROR,
+    version: (config.version || "").trim(),
+  }
+}
+
+/**
+ * @param {string} [platform]
+ * @param {string} [arch]
+ * @returns {string | null} Release asset for the platform, ie `rust-analyzer-x86_64-unknown-linux-gnu.gz`
+ */
+function releaseAsset(platform = process.platform, arch = process.arch) {
+  const target = hostTarget(platform, arch)
+  if (!target) {
+    return null
+  }
+  return `rust-analyzer-${target}.${platform === "win32" ? "zip" : "gz"}`
+}
+
+/** @returns {string} Directory installed releases are kept in, one sub-directory per version */
+function storageDir() {
+  return path.join(atom.getConfigDirPath(), "storage", "ide-rust", "rust-analyzer")
+}
+
+/**
+ * @param {string} version
+ * @returns {string} Path of the installed release binary
+ */
+function releaseBinary(version) {
+  return path.join(storageDir(), version, BINARY)
+}
+
+/**
+ * Compares release versions, ie dated tags `2023-06-19` or `0.3.1566`, by their numeric parts. Versions without
+ * numbers, like `nightly`, sort first.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if `a` is older than `b`, positive if newer
+ */
+function compareVersions(a, b) {
+  const numbers = (version) => (version.match(/\d+/g) || []).map(Number)
+  const [left, right] = [numbers(a), numbers(b)]
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] === undefined ? -1 : left[i]) - (right[i] === undefined ? -1 : right[i])
+    if (diff) {
+      return diff
+    }
+  }
+  return 0
+}
+
+/** @returns {string[]} Installed release versions, newest first */
+function installedReleases() {
+  let versions
+  try {
+    versions = fs.readdirSync(storageDir())
+  } catch (e) {
+    return []
+  }
+  return versions.filter((version) => fs.existsSync(releaseBinary(version))).sort((a, b) => compareVersions(b, a))
+}
+
+/**
+ * @param {string} text Checksum file, ie `sha256sum` output `<hex>  <file>`
+ * @returns {string | null} Lowercase sha256 hex digest
+ */
+function parseChecksum(text) {
+  const match = text.match(/\b[\da-f]{64}\b/i)
+  return match ? match[0].toLowerCase() : null
+}
+
+/**
+ * @param {string} mirror
+ * @returns {string | null} Local directory of a directory or `file://` mirror
+ */
+function mirrorDirectory(mirror) {
+  if (mirror.startsWith("file:")) {
+    return fileURLToPath(mirror)
+  }
+  return /^[a-z][\d+.a-z-]+:\/\//i.test(mirror) ? null : mirror
+}
+
+/**
+ * @param {string} owner
+ * @param {string} repo
+ * @param {string} [tag] Defaults to the latest release
+ * @returns {Promise<{ tag_name: string; assets: { name: string; digest?: string }[] }>} GitHub release
+ */
+async function githubRelease(owner, repo, tag) {
+  const release = tag ? `tags/${encodeURIComponent(tag)}` : "latest"
+  const { body } = await fetchUrl(`https://api.github.com/repos/${owner}/${repo}/releases/${release}`, {
+    headers: { Accept: "application/vnd.github+json" },
+  })
+  return JSON.parse(body.toString("utf8"))
+}
+
+/**
+ * Latest version available from a mirror. GitHub mirrors use the latest release, directories their newest version
+ * sub-directory with the platform's asset & other mirrors must serve a `latest` file containing the version.
+ *
+ * @param {string} mirror
+ * @returns {Promise<string>}
+ */
+async function latestRelease(mirror) {
+  const dir = mirrorDirectory(mirror)
+  if (dir) {
+    const asset = releaseAsset()
+    const [latest] = fs
+      .readdirSync(dir)
+      .filter((version) => fs.existsSync(path.join(dir, version, asset)))
+      .sort((a, b) => compareVersions(b, a))
+    if (!latest) {
+      throw new Error(`No rust-analyzer releases with \`${asset}\` in ${dir}`)
+    }
+    return latest
+  }
+
+  const github = mirror.match(GITHUB_DOWNLOAD)
+  if (github) {
+    return (await githubRelease(github[1], github[2])).tag_name
+  }
+  const { body } = await fetchUrl(`${mirror.replace(/\/$/, "")}/latest`)
+  return body.toString("utf8").trim()
+}
+
+/**
+ * @param {string} mirror
+ * @param {string} version
+ * @param {string} asset
+ * @returns {Promise<string | null>} Expected sha256 of the asset, if the mirror provides one
+ */
+async function releaseChecksum(mirror, version, asset) {
+  const github = mirror.match(GITHUB_DOWNLOAD)
+  if (github) {
+    const { assets = [] } = await githubRelease(github[1], github[2], version)
+    const { digest } = assets.find(({ name }) => name === asset) || {}
+    return digest && digest.startsWith("sha256:") ? digest.slice("sha256:".length).toLowerCase() : null
+  }
+
+  const dir = mirrorDirectory(mirror)
+  try {
+    const text = dir
+      ? fs.readFileSync(path.join(dir, version, `${asset}.sha256`), "utf8")
+      : (await fetchUrl(`${mirror.replace(/\/$/, "")}/${version}/${asset}.sha256`)).body.toString("utf8")
+    return parseChecksum(text)
+  } catch (e) {
+    if (e.code === "ENOENT" || e.status === 404) {
+      return null
+    }
+    throw e
+  }
+}
+
+/**
+ * @param {Buffer} data
+ * @param {string | null} expected Sha256 hex digest
+ * @throws If the data doesn't match the expected checksum
+ */
+function verifyChecksum(data, expected) {
+  if (!expected) {
+    return
+  }
+  const actual = crypto.createHash("sha256").update(data).digest("hex")
+  if (actual !== expected) {
+    throw new Error(`Checksum mismatch, expected sha256 ${expected} got ${actual}`)
+  }
+}
+
+/**
+ * Writes the binary out of a downloaded `.gz` or `.zip` asset
+ *
+ * @param {Buffer} data
+ * @param {string} asset
+ * @param {string} dir
+ */
+async function extractRelease(data, asset, dir) {
+  const binary = path.join(dir, BINARY)
+  if (asset.endsWith(".zip")) {
+    const zip = path.join(dir, asset)
+    fs.writeFileSync(zip, data)
+    await exec(
+      `powershell -NoProfile -NonInteractive -Command "Expand-Archive -Force -LiteralPath '${zip}' -DestinationPath '${dir}'"`
+    )
+    fs.unlinkSync(zip)
+  } else {
+    fs.writeFileSync(binary, zlib.gunzipSync(data), { mode: 0o755 })
+  }
+  if (!fs.existsSync(binary)) {
+    throw new Error(`\`${asset}\` does not contain ${BINARY}`)
+  }
+}
+
+/** @param {string} dir Removed if it exists */
+function removeDir(dir) {
+  if (!fs.existsSync(dir)) {
+    return
+  }
+  try {
+    fs.rmdirSync(dir, { recursive: true })
+  } catch (e) {
+    // ie in use on windows, it'll be removed with the next install
+    console.warn(`ide-rust: could not remove ${dir}`, e)
+  }
+}
+
+/**
+ * Downloads, verifies & installs a rust-analyzer release into the package storage directory, then removes older
+ * releases except the pinned version
+ *
+ * @param {string} version
+ * @param {object} [options]
+ * @param {string} [options.mirror] Defaults to the configured mirror
+ * @param {function} [options.onProgress] `(receivedBytes, totalBytes?) => void`
+ * @returns {Promise<{ binary: string; verified: boolean }>} Whether the mirror provided a checksum to verify against
+ */
+function installRelease(version, { mirror = installConfig().releaseMirror, onProgress } = {}) {
+  if (!pendingInstalls.has(version)) {
+    const install = doInstallRelease(version, mirror, onProgress)
+    pendingInstalls.set(version, install)
+    install.then(
+      () => pendingInstalls.delete(version),
+      () => pendingInstalls.delete(version)
+    )
+  }
+  return pendingInstalls.get(version)
+}
+
+async function doInstallRelease(version, mirror, onProgress) {
+  const asset = releaseAsset()
+  if (!asset) {
+    throw new Error(`No rust-analyzer releases for ${process.platform} ${process.arch}`)
+  }
+
+  const dir = mirrorDirectory(mirror)
+  const [data, checksum] = await Promise.all([
+    dir
+      ? fs.promises.readFile(path.join(dir, version, asset))
+      : fetchUrl(`${mirror.replace(/\/$/, "")}/${version}/${asset}`, { onProgress }).then(({ body }) => body),
+    releaseChecksum(mirror, version, asset),
+  ])
+  verifyChecksum(data, checksum)
+
+  // extract next to the final location, so a failed install never leaves a partial binary in use
+  const target = path.dirname(releaseBinary(version))
+  const partial = `${target}.partial`
+  removeDir(partial)
+  fs.mkdirSync(partial, { recursive: true })
+  try {
+    await extractRelease(data, asset, partial)
+    removeDir(target)
+    fs.renameSync(partial, target)
+  } catch (e) {
+    removeDir(partial)
+    throw e
+  }
+
+  const { version: pinned } = installConfig()
+  for (const old of fs.readdirSync(storageDir())) {
+    if (old !== version && old !== pinned) {
+      removeDir(path.join(storageDir(), old))
+    }
+  }
+  return { binary: releaseBinary(version), verified: Boolean(checksum) }
+}
+
+module.exports = {
+  DEFAULT_MIRROR,
+  installConfig,
+  releaseAsset,
+  releaseBinary,
+  compareVersions,
+  installedReleases,
+  parseChecksum,
+  latestRelease,
+  verifyChecksum,
+  installRelease,
+}
@@ -0,0 +1,185 @@
+const fs = require("fs")
+const path = require("path")
+const { CompositeDisposable } = require("atom")
+const { formatEntry } = require("./server-log")
+const { el } = require("./dom")
+
+const SERVER_LOG_URI = "atom://ide-rust/server-log"
+
+/** @type {number} Most entries rendered, older matching entries are only exported */
+const MAX_RENDERED = 1000
+
+/**
+ * Output pane for each project's rust-analyzer log, entries can be filtered by json-rpc method & trace entries expand
+ * to show their params/result. Tracing is toggled by the `ide-rust.traceLanguageServer` setting.
+ *
+ * @param {function} getLogs `() => Map<string, ServerLog>` Project path -> log
+ */
+class ServerLogView {
+  constructor(getLogs) {
+    this.getLogs = getLogs
+    /** @type {ServerLog | null} */
+    this.serverLog = null
+
+    this.element = el("div", "ide-rust-server-log")
+
+    const toolbar = el("div", "server-log-toolbar")
+    this.projectSelect = el("select", "input-select")
+    this.projectSelect.addEventListener("change", () => this.setProject(this.projectSelect.value))
+    this.filterEditor = atom.workspace.buildTextEditor({ mini: true, placeholderText: "Filter by method" })
+
+    const traceLabel = el("label", "input-label")
+    this.traceCheckbox = el("input", "input-toggle")
+    this.traceCheckbox.type = "checkbox"
+    this.traceCheckbox.addEventListener("change", () =>
+      atom.config.set("ide-rust.traceLanguageServer", this.traceCheckbox.checked)
+    )
+    traceLabel.append(this.traceCheckbox, " Trace")
+
+    const buttons = el("div", "btn-group")
+    const clearButton = el("button", "btn icon icon-trashcan", "Clear")
+    clearButton.addEventListener("click", () => this.serverLog && this.serverLog.clear())
+    const exportButton = el("button", "btn icon icon-desktop-download", "Export")
+    exportButton.addEventListener("click", () => this.export())
+    buttons.append(clearButton, exportButton)
+
+    toolbar.append(this.projectSelect, this.filterEditor.getElement(), traceLabel, buttons)
+    this.element.appendChild(toolbar)
+
+    this.entriesElement = el("div", "server-log-entries native-key-bindings")
+    this.entriesElement.tabIndex = -1
+    this.element.appendChild(this.entriesElement)
+
+    this.disposables = new CompositeDisposable(
+      this.filterEditor.onDidStopChanging(() => this.render()),
+      atom.config.observe("ide-rust.traceLanguageServer", (trace) => {
+        this.traceCheckbox.checked = trace
+      })
+    )
+  }
+
+  /* eslint-disable class-methods-use-this */
+  getTitle() {
+    return "Rust Server Log"
+  }
+  getIconName() {
+    return "terminal"
+  }
+  getURI() {
+    return SERVER_LOG_URI
+  }
+  getDefaultLocation() {
+    return "bottom"
+  }
+  /* eslint-enable class-methods-use-this */
+
+  /** @param {string} [projectPath] Shows the project's log, otherwise keeps the current project */
+  setProject(projectPath) {
+    const logs = this.getLogs()
+    const serverLog = logs.get(projectPath) || this.serverLog || logs.values().next().value || null
+
+    this.projectSelect.textContent = ""
+    for (const logPath of logs.keys()) {
+      const option = el("option", "", path.basename(logPath))
+      option.value = logPath
+      option.title = logPath
+      this.projectSelect.appendChild(option)
+    }
+    if (serverLog) {
+      this.projectSelect.value = serverLog.projectPath
+    }
+    if (serverLog === this.serverLog) {
+      return
+    }
+
+    if (this.logDisposables) {
+      this.logDisposables.dispose()
+    }
+    this.serverLog = serverLog
+    if (serverLog) {
+      this.logDisposables = new CompositeDisposable(
+        serverLog.onDidAddEntry((entry) => this._append(entry)),
+        serverLog.onDidClear(() => this.render())
+      )
+    }
+    this.render()
+  }
+
+  /**
+   * @param {LogEntry} entry
+   * @returns {boolean} Whether the entry matches the method filter
+   */
+  _matches(entry) {
+    const filter = this.filterEditor.getText().trim().toLowerCase()
+    return !filter || Boolean(entry.method && entry.method.toLowerCase().includes(filter))
+  }
+
+  /** Re-renders the matching entries of the current log */
+  render() {
+    this.entriesElement.textContent = ""
+    const entries = this.serverLog ? this.serverLog.entries.filter((e) => this._matches(e)) : []
+    entries.slice(-MAX_RENDERED).forEach((entry) => this._append(entry))
+  }
+
+  /** @param {LogEntry} entry Appends the entry if it matches, following new output when scrolled to the bottom */
+  _append(entry) {
+    if (!this._matches(entry)) {
+      return
+    }
+    const list = this.entriesElement
+    const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 1
+
+    const entryElement = el("div", `server-log-entry server-log-${entry.kind}`, formatEntry(entry))
+    if (entry.payload !== undefined) {
+      entryElement.classList.add("has-payload")
+      entryElement.addEventListener("click", () => {
+        if (entryElement.nextSibling && entryElement.nextSibling.classList.contains("server-log-payload")) {
+          entryElement.nextSibling.remove()
+        } else {
+          entryElement.after(el("pre", "server-log-payload", JSON.stringify(entry.payload, null, 2)))
+        }
+      })
+    }
+    list.appendChild(entryElement)
+    while (list.childElementCount > MAX_RENDERED) {
+      list.firstChild.remove()
+    }
+    if (atBottom) {
+      list.scrollTop = list.scrollHeight
+    }
+  }
+
+  /** Saves the current log, with trace payloads, to a chosen file */
+  export() {
+    const { serverLog } = this
+    if (!serverLog) {
+      return
+    }
+    const stamp = new Date().toISOString().replace(/[.:]/g, "-")
+    const defaultPath = path.join(serverLog.projectPath, `rust-analyzer-${stamp}.log`)
+    atom.applicationDelegate.showSaveDialog({ defaultPath }, (filePath) => {
+      if (!filePath) {
+        return
+      }
+      fs.promises.writeFile(filePath, serverLog.export()).then(
+        () => atom.notifications.addSuccess(`Exported rust-analyzer log to ${filePath}`, { _src: "ide-rust" }),
+        (e) =>
+          atom.notifications.addError("Failed to export rust-analyzer log", {
+            detail: `${e.message || e}`,
+            _src: "ide-rust",
+          })
+      )
+    })
+  }
+
+  destroy() {
+    this.disposables.dispose()
+    if (this.logDisposables) {
+      this.logDisposables.dispose()
+    }
+    this.filterEditor.destroy()
+    this.element.remove()
+  }
+}
+
+module.exports = { ServerLogView, SERVER_LOG_URI }
@@ -0,0 +1,203 @@
+const { Emitter } = require("atom")
+
+/** @type {number} Entries kept per project, older entries are dropped */
+const MAX_ENTRIES = 5000
+
+// vscode-jsonrpc `Trace.Off`, `Trace.Verbose` & `TraceFormat.JSON`
+const TRACE_OFF = 0
+const TRACE_VERBOSE = 2
+const TRACE_FORMAT_JSON = "json"
+
+const ARROWS = { send: "→", receive: "←" }
+
+/**
+ * @typedef {{
+ *   time: number
+ *   kind: "info" | "stderr" | "stdout" | "trace"
+ *   text: string
+ *   direction?: "send" | "receive"
+ *   type?: "request" | "response" | "notification"
+ *   method?: string
+ *   id?: number | string
+ *   durationMillis?: number
+ *   payload?: any
+ * }} LogEntry
+ *   Trace entries are json-rpc messages, `durationMillis` is how long a response took
+ */
+
+/**
+ * @param {number} time
+ * @returns {string} Local time, ie `14:03:27.051`
+ */
+function formatTime(time) {
+  const date = new Date(time)
+  const pad = (n, width = 2) => `${n}`.padStart(width, "0")
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`
+}
+
+/**
+ * @param {LogEntry} entry
+ * @param {boolean} [withPayload] Include trace message params/results as json
+ * @returns {string}
+ */
+function formatEntry(entry, withPayload = false) {
+  const line = `${formatTime(entry.time)} ${entry.kind.padEnd(6)} ${entry.text}`
+  if (withPayload && entry.payload !== undefined) {
+    return `${line}\n${JSON.stringify(entry.payload, null, 2)}`
+  }
+  return line
+}
+
+/**
+ * Output of a project's language server, kept across restarts: lifecycle events, stderr, unexpected stdout &, while
+ * tracing is enabled, every json-rpc message with response timings.
+ *
+ * @param {string} projectPath
+ */
+class ServerLog {
+  constructor(projectPath) {
+    this.projectPath = projectPath
+    this.emitter = new Emitter()
+    /** @type {LogEntry[]} */
+    this.entries = []
+    /** @type {ChildProcess | null} Current server process */
+    this.process = null
+    /** @type {MessageConnection | null} Json-rpc connection of the current server */
+    this.connection = null
+    this.tracing = false
+    /** @type {Map<string, { method: string; time: number }>} Direction & id -> pending request */
+    this._pending = new Map()
+  }
+
+  /** @param {function} callback Called with each new {LogEntry} */
+  onDidAddEntry(callback) {
+    return this.emitter.on("did-add-entry", callback)
+  }
+
+  /** @param {function} callback Called when entries are cleared */
+  onDidClear(callback) {
+    return this.emitter.on("did-clear", callback)
+  }
+
+  /** @param {LogEntry} entry */
+  add(entry) {
+    this.entries.push(entry)
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.splice(0, this.entries.length - MAX_ENTRIES)
+    }
+    this.emitter.emit("did-add-entry", entry)
+  }
+
+  /**
+   * @param {string} kind
+   * @param {string} text
+   */
+  log(kind, text) {
+    this.add({ time: Date.now(), kind, text })
+  }
+
+  clear() {
+    this.entries = []
+    this.emitter.emit("did-clear")
+  }
+
+  /** @param {ChildProcess} process Newly spawned server, its stderr & exit are logged */
+  attach(process) {
+    this.process = process
+    this.connection = null
+    this._pending.clear()
+    this.log("info", `Started rust-analyzer (pid ${process.pid})`)
+
+    let partial = ""
+    process.stderr.on("data", (chunk) => {
+      const lines = (partial + chunk).split(/\r?\n/)
+      partial = lines.pop()
+      lines.forEach((line) => this.log("stderr", line))
+    })
+    process.on("exit", (code, signal) => {
+      if (partial) {
+        this.log("stderr", partial)
+      }
+      this.log("info", `Exited (pid ${process.pid}) with ${signal ? `signal ${signal}` : `code ${code}`}`)
+    })
+  }
+
+  /**
+   * @param {MessageConnection} connection Json-rpc connection to the attached process, traced while tracing is
+   *   enabled
+   */
+  setConnection(connection) {
+    this.connection = connection
+    this._applyTracing()
+  }
+
+  /** @param {boolean} tracing Log every json-rpc message */
+  setTracing(tracing) {
+    if (tracing !== this.tracing) {
+      this.tracing = tracing
+      this.log("info", `Tracing ${tracing ? "enabled" : "disabled"}`)
+      this._applyTracing()
+    }
+  }
+
+  _applyTracing() {
+    if (this.connection) {
+      this._pending.clear()
+      this.connection.trace(
+        this.tracing ? TRACE_VERBOSE : TRACE_OFF,
+        { log: (message) => this._trace(message) },
+        { sendNotification: false, traceFormat: TRACE_FORMAT_JSON }
+      )
+    }
+  }
+
+  /**
+   * Converts a vscode-jsonrpc json trace into a log entry
+   *
+   * @param {{ isLSPMessage: boolean; type: string; message: object; timestamp: number } | string} traced
+   */
+  _trace(traced) {
+    if (!traced || !traced.isLSPMessage) {
+      this.log("trace", `${traced}`)
+      return
+    }
+    // ie `send-request`, `receive-notification`
+    const [direction, type] = traced.type.split("-")
+    const { message, timestamp } = traced
+    const entry = { time: timestamp, kind: "trace", direction, type, method: message.method, id: message.id }
+
+    if (type === "request") {
+      this._pending.set(`${direction}:${message.id}`, { method: message.method, time: timestamp })
+      entry.payload = message.params
+    } else if (type === "response") {
+      // a response completes a request sent in the other direction
+      const key = `${direction === "send" ? "receive" : "send"}:${message.id}`
+      const request = this._pending.get(key)
+      this._pending.delete(key)
+      if (request) {
+        entry.method = request.method
+        entry.durationMillis = timestamp - request.time
+      }
+      entry.payload = message.error ? { error: message.error } : message.result
+    } else {
+      entry.payload = message.params
+    }
+
+    const id = entry.id !== undefined ? ` #${entry.id}` : ""
+    const duration = entry.durationMillis !== undefined ? ` ${entry.durationMillis}ms` : ""
+    const error = message.error ? ` error: ${message.error.message}` : ""
+    entry.text = `${ARROWS[direction]} ${type}${id} ${entry.method || "?"}${duration}${error}`
+    this.add(entry)
+  }
+
+  /** @returns {string} All entries with trace payloads, for attaching to bug reports */
+  export() {
+    return `rust-analyzer log for ${this.projectPath}\n\n${this.entries.map((e) => formatEntry(e, true)).join("\n")}\n`
+  }
+
+  dispose() {
+    this.emitter.dispose()
+  }
+}
+
+module.exports = { ServerLog, formatEntry }
@@ -0,0 +1,170 @@
+const { Emitter } = require("atom")
+
+/** Restarts after consecutive crashes before giving up, below atom-languageclient's own limit of 5 in 3 minutes */
+const MAX_RESTARTS = 4
+
+const BACKOFF_BASE_MILLIS = 1000
+const BACKOFF_MAX_MILLIS = 30 * 1000
+
+/** @type {number} Millis a server must run for before its next crash no longer counts as part of a crash loop */
+const STABLE_MILLIS = 3 * 60 * 1000
+
+const STDERR_TAIL_LINES = 20
+
+/**
+ * @typedef {{
+ *   projectPath: string
+ *   code: number | null
+ *   signal: string | null
+ *   stderr: string[]
+ *   crashes: number
+ *   restartMillis: number | null
+ * }} ServerCrash
+ *   `crashes` in a row, `restartMillis` until the restart or null if the server won't be restarted
+ */
+
+/**
+ * @param {number | null} code
+ * @param {string | null} signal
+ * @returns {boolean} Whether the exit wasn't requested, servers are stopped with `SIGTERM` or exit 0 after `exit`
+ */
+function isAbnormalExit(code, signal) {
+  return signal ? signal !== "SIGTERM" : code !== 0 && code !== null
+}
+
+/**
+ * @param {number} crashes Consecutive crashes
+ * @returns {number} Millis to wait before restarting
+ */
+function backoffMillis(crashes) {
+  return Math.min(BACKOFF_BASE_MILLIS * 2 ** Math.max(crashes - 1, 0), BACKOFF_MAX_MILLIS)
+}
+
+/**
+ * Watches server processes for abnormal exits, keeping each project's recent stderr & delaying restarts after crashes
+ * with exponential backoff until a crash loop is detected.
+ *
+ * atom-languageclient restarts servers whose connection closes, the delay is applied when the restart spawns the
+ * process.
+ */
+class ServerSupervisor {
+  constructor() {
+    /**
+     * @type {Map<
+     *   string,
+     *   { crashes: number; startedAt: number; initialized: boolean; stderr: string[]; lastCrash: ServerCrash | null }
+     * >}
+     */
+    this.projects = new Map()
+    this.emitter = new Emitter()
+    this.disposed = false
+  }
+
+  /** @param {function} callback Called with a {ServerCrash} when a server exits abnormally */
+  onDidCrash(callback) {
+    return this.emitter.on("did-crash", callback)
+  }
+
+  _state(projectPath) {
+    if (!this.projects.has(projectPath)) {
+      this.projects.set(projectPath, { crashes: 0, startedAt: 0, initialized: false, stderr: [], lastCrash: null })
+    }
+    return this.projects.get(projectPath)
+  }
+
+  /**
+   * Waits out the backoff of a crashed server before it's started again
+   *
+   * @param {string} projectPath
+   * @returns {Promise<boolean>} False when the server crashed too often & should not be started
+   */
+  async beforeStart(projectPath) {
+    const { crashes } = this._state(projectPath)
+    if (crashes > MAX_RESTARTS) {
+      return false
+    }
+    if (crashes) {
+      await new Promise((resolve) => {
+        setTimeout(resolve, backoffMillis(crashes))
+      })
+    }
+    return !this.disposed
+  }
+
+  /**
+   * @param {string} projectPath
+   * @param {ChildProcess} process Newly spawned server
+   */
+  watch(projectPath, process) {
+    const state = this._state(projectPath)
+    Object.assign(state, { startedAt: Date.now(), initialized: false, stderr: [] })
+
+    let partial = ""
+    process.stderr.on("data", (chunk) => {
+      const lines = (partial + chunk).split(/\r?\n/)
+      partial = lines.pop()
+      state.stderr.push(...lines)
+      state.stderr.splice(0, state.stderr.length - STDERR_TAIL_LINES)
+    })
+
+    process.on("exit", (code, signal) => {
+      if (partial) {
+        state.stderr.push(partial)
+      }
+      if (this.disposed || !isAbnormalExit(code, signal)) {
+        return
+      }
+      if (Date.now() - state.startedAt > STABLE_MILLIS) {
+        state.crashes = 0
+      }
+      state.crashes += 1
+
+      // only servers that finished initializing are restarted by atom-languageclient
+      const restarting = state.initialized && state.crashes <= MAX_RESTARTS
+      state.lastCrash = {
+        projectPath,
+        code,
+        signal,
+        stderr: state.stderr.slice(),
+        crashes: state.crashes,
+        restartMillis: restarting ? backoffMillis(state.crashes) : null,
+      }
+      this.emitter.emit("did-crash", state.lastCrash)
+    })
+  }
+
+  /** @param {string} projectPath Server has initialized */
+  initialized(projectPath) {
+    this._state(projectPath).initialized = true
+  }
+
+  /**
+   * @param {string} projectPath
+   * @returns {string[]} Recent stderr lines of the project's server
+   */
+  stderr(projectPath) {
+    return this._state(projectPath).stderr.slice()
+  }
+
+  /**
+   * @param {string} projectPath
+   * @returns {ServerCrash | null}
+   */
+  lastCrash(projectPath) {
+    return this._state(projectPath).lastCrash
+  }
+
+  /** Forgets crashes, ie when servers are restarted manually */
+  reset() {
+    for (const state of this.projects.values()) {
+      state.crashes = 0
+    }
+  }
+
+  dispose() {
+    this.disposed = true
+    this.emitter.dispose()
+  }
+}
+
+module.exports = { ServerSupervisor, isAbnormalExit, backoffMillis, MAX_RESTARTS }
@@ -0,0 +1,240 @@
+const fs = require("fs")
+const { CompositeDisposable, TextBuffer } = require("atom")
+const { Convert } = require("atom-languageclient")
+const { applyWorkspaceEdit } = require("./workspace-edit")
+const { el } = require("./dom")
+
+const SSR_URI = "atom://ide-rust/structural-search-replace"
+
+/**
+ * @param {string} filePath
+ * @returns {TextBuffer} The open buffer for the path, or a new buffer with the file contents
+ */
+function bufferForPath(filePath) {
+  const open = atom.project.getBuffers().find((buffer) => buffer.getPath() === filePath)
+  return open || new TextBuffer({ text: fs.readFileSync(filePath, "utf8") })
+}
+
+/**
+ * @param {ls.WorkspaceEdit} edit
+ * @returns {{ uri: string; edits: ls.TextEdit[] }[]} Text edits grouped by file
+ */
+function editsByFile(edit) {
+  if (edit.documentChanges) {
+    return edit.documentChanges
+      .filter((change) => change.textDocument)
+      .map((change) => ({ uri: change.textDocument.uri, edits: change.edits }))
+  }
+  return Object.keys(edit.changes || {}).map((uri) => ({ uri, edits: edit.changes[uri] }))
+}
+
+/**
+ * Structural search replace with rust-analyzer's `experimental/ssr`. Queries like `foo($a) ==>> bar($a)` are previewed
+ * as a list of matches grouped by file, then all or only the selected matches are applied.
+ *
+ * @param {function} connectionForEditor `(editor) => ?LanguageClientConnection`
+ */
+class SsrView {
+  constructor(connectionForEditor) {
+    this.connectionForEditor = connectionForEditor
+    /** @type {{ uri: string; filePath: string; edit: ls.TextEdit; oldText: string; checkbox: HTMLInputElement }[]} */
+    this.matches = []
+
+    this.element = el("div", "ide-rust-ssr")
+
+    const form = el("div", "ssr-form")
+    this.queryEditor = atom.workspace.buildTextEditor({ mini: true, placeholderText: "foo($a, $b) ==>> $a.foo($b)" })
+    form.appendChild(this.queryEditor.getElement())
+
+    const buttons = el("div", "btn-group")
+    this.previewButton = el("button", "btn icon icon-search", "Preview")
+    this.previewButton.addEventListener("click", () => this.preview())
+    this.applySelectedButton = el("button", "btn", "Apply Selected")
+    this.applySelectedButton.addEventListener("click", () => this.apply(false))
+    this.applyAllButton = el("button", "btn btn-primary", "Apply All")
+    this.applyAllButton.addEventListener("click", () => this.apply(true))
+    buttons.append(this.previewButton, this.applySelectedButton, this.applyAllButton)
+    form.appendChild(buttons)
+    this.element.appendChild(form)
+
+    this.messageElement = el("div", "ssr-message text-subtle")
+    this.element.appendChild(this.messageElement)
+    this.resultsElement = el("div", "ssr-results")
+    this.element.appendChild(this.resultsElement)
+
+    /** @type {TextEditor | null} Rust editor the query is resolved against, paths are resolved from the cursor's scope */
+    this.editor = null
+
+    this.disposables = new CompositeDisposable(
+      atom.workspace.observeActiveTextEditor((editor) => {
+        if (editor && editor.getGrammar().scopeName === "source.rust") {
+          this.editor = editor
+        }
+      }),
+      atom.commands.add(this.queryEditor.getElement(), "core:confirm", () => this.preview()),
+      this.queryEditor.onDidStopChanging(() => this.validate())
+    )
+    this._updateButtons()
+  }
+
+  /* eslint-disable class-methods-use-this */
+  getTitle() {
+    return "Structural Search Replace"
+  }
+  getIconName() {
+    return "search"
+  }
+  getURI() {
+    return SSR_URI
+  }
+  getDefaultLocation() {
+    return "bottom"
+  }
+  /* eslint-enable class-methods-use-this */
+
+  focus() {
+    this.queryEditor.getElement().focus()
+  }
+
+  /**
+   * @param {boolean} parseOnly Only check the query is valid
+   * @returns {Promise<ls.WorkspaceEdit>}
+   */
+  _request(parseOnly) {
+    const { editor } = this
+    const connection = editor && !editor.isDestroyed() && this.connectionForEditor(editor)
+    if (!connection) {
+      return Promise.reject(new Error("Open a rust file with a running rust-analyzer to search from"))
+    }
+    return connection.sendCustomRequest("experimental/ssr", {
+      query: this.queryEditor.getText(),
+      parseOnly,
+      textDocument: Convert.editorToTextDocumentIdentifier(editor),
+      position: Convert.pointToPosition(editor.getCursorBufferPosition()),
+      selections: editor.getSelectedBufferRanges().map((range) => Convert.atomRangeToLSRange(range)),
+    })
+  }
+
+  /** Checks the query parses, showing any error */
+  async validate() {
+    if (!this.queryEditor.getText().trim()) {
+      this._setMessage("")
+      return
+    }
+    try {
+      await this._request(true)
+      this._setMessage("")
+    } catch (e) {
+      this._setMessage(`${e.message || e}`, true)
+    }
+  }
+
+  /** Runs the query & lists the matches */
+  async preview() {
+    this.matches = []
+    this.resultsElement.textContent = ""
+    this._updateButtons()
+
+    let edit
+    try {
+      edit = await this._request(false)
+    } catch (e) {
+      this._setMessage(`${e.message || e}`, true)
+      return
+    }
+
+    for (const { uri, edits } of editsByFile(edit || {})) {
+      if (!edits.length) {
+        continue
+      }
+      const filePath = Convert.uriToPath(uri)
+      const buffer = bufferForPath(filePath)
+      const [, relativePath] = atom.project.relativizePath(filePath)
+
+      const fileElement = el("div", "ssr-file")
+      const header = el("div", "ssr-file-header icon icon-file-text", `${relativePath} (${edits.length})`)
+      fileElement.appendChild(header)
+
+      const list = el("ul", "list-group")
+      for (const textEdit of edits) {
+        const range = Convert.lsRangeToAtomRange(textEdit.range)
+        const match = { uri, filePath, edit: textEdit, oldText: buffer.getTextInRange(range) }
+
+        const item = el("li", "list-item ssr-match")
+        match.checkbox = el("input", "input-checkbox")
+        match.checkbox.type = "checkbox"
+        match.checkbox.checked = true
+        item.appendChild(match.checkbox)
+        const location = el("span", "ssr-location text-subtle", `${range.start.row + 1}:${range.start.column + 1}`)
+        location.addEventListener("click", () =>
+          atom.workspace.open(filePath, { initialLine: range.start.row, initialColumn: range.start.column })
+        )
+        item.append(
+          location,
+          el("code", "ssr-old", match.oldText),
+          el("span", "ssr-arrow icon icon-arrow-right"),
+          el("code", "ssr-new", textEdit.newText)
+        )
+        list.appendChild(item)
+        this.matches.push(match)
+      }
+      fileElement.appendChild(list)
+      this.resultsElement.appendChild(fileElement)
+    }
+
+    const fileCount = new Set(this.matches.map((m) => m.uri)).size
+    this._setMessage(this.matches.length ? `${this.matches.length} matches in ${fileCount} files` : "No matches")
+    this._updateButtons()
+  }
+
+  /**
+   * Applies the previewed replacements, each file's changes can be undone separately
+   *
+   * @param {boolean} all Apply all matches, otherwise only checked matches
+   */
+  async apply(all) {
+    const matches = this.matches.filter((m) => all || m.checkbox.checked)
+    if (!matches.length) {
+      return
+    }
+
+    // don't apply stale ranges if files have changed since the preview
+    const stale = matches.find(
+      (m) => bufferForPath(m.filePath).getTextInRange(Convert.lsRangeToAtomRange(m.edit.range)) !== m.oldText
+    )
+    if (stale) {
+      this._setMessage(`${stale.filePath} has changed since the preview, preview again before applying`, true)
+      return
+    }
+
+    const changes = {}
+    for (const { uri, edit } of matches) {
+      changes[uri] = changes[uri] || []
+      changes[uri].push(edit)
+    }
+    if (await applyWorkspaceEdit({ changes })) {
+      this.matches = []
+      this.resultsElement.textContent = ""
+      this._setMessage(`Applied ${matches.length} replacements`)
+      this._updateButtons()
+    }
+  }
+
+  _setMessage(text, isError = false) {
+    this.messageElement.textContent = text
+    this.messageElement.classList.toggle("text-error", isError)
+  }
+
+  _updateButtons() {
+    this.applyAllButton.disabled = !this.matches.length
+    this.applySelectedButton.disabled = !this.matches.length
+  }
+
+  destroy() {
+    this.disposables.dispose()
+    this.queryEditor.destroy()
+    this.element.remove()
+  }
+}
+
+module.exports = { SsrView, SSR_URI }
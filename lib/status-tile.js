@@ -0,0 +1,99 @@
+const path = require("path")
+const _ = require("underscore-plus")
+const { CompositeDisposable } = require("atom")
+const { el } = require("./dom")
+
+const HEALTH_ICONS = { warning: "icon-alert text-warning", error: "icon-stop text-error" }
+
+/**
+ * @param {number} millis
+ * @returns {string} Ie `850ms` or `12.3s`
+ */
+function formatDuration(millis) {
+  return millis < 1000 ? `${millis}ms` : `${(millis / 1000).toFixed(1)}s`
+}
+
+/**
+ * Status bar tile showing a project's indexing & check state, the last check duration & diagnostic counts. Clicking
+ * runs a check, clicking the health icon shown while the server reports problems shows details.
+ *
+ * @param {RustProject} project
+ * @param {function} showDetails `(RustProject) => void`
+ */
+class StatusTile {
+  constructor(project, showDetails) {
+    this.project = project
+    this.name = path.basename(project.server.projectPath)
+
+    this.element = el("a", "ide-rust-status inline-block")
+    this.healthElement = el("span", "status-health icon")
+    this.healthElement.addEventListener("click", (event) => {
+      event.stopPropagation()
+      showDetails(project)
+    })
+    this.iconElement = el("span", "icon")
+    this.textElement = el("span", "status-text")
+    this.errorsElement = el("span", "status-errors text-error")
+    this.warningsElement = el("span", "status-warnings text-warning")
+    this.element.append(
+      this.healthElement,
+      this.iconElement,
+      this.textElement,
+      this.errorsElement,
+      this.warningsElement
+    )
+    this.element.addEventListener("click", () => project.runFlycheck())
+
+    this.disposables = new CompositeDisposable(
+      project.onDidChangeStatus((status) => this.update(status)),
+      atom.tooltips.add(this.element, { title: () => this._tooltip() })
+    )
+    this.update(project.getStatus())
+  }
+
+  /** @param {ProjectStatus} status */
+  update(status) {
+    this.status = status
+    let icon = "icon-check"
+    let text = `${this.name} ${status.checkCommand}`
+    if (status.indexing) {
+      icon = "icon-sync"
+      text = `${this.name} indexing`
+    } else if (status.checking) {
+      icon = "icon-sync"
+      text = `${this.name} ${status.checking}`
+    } else if (status.lastCheckMillis !== null) {
+      text += ` ${formatDuration(status.lastCheckMillis)}`
+    }
+    this.healthElement.className = `status-health icon ${HEALTH_ICONS[status.health] || ""}`
+    this.healthElement.style.display = HEALTH_ICONS[status.health] ? "" : "none"
+    this.iconElement.className = `icon ${icon}`
+    this.element.classList.toggle("busy", status.indexing || Boolean(status.checking))
+    this.textElement.textContent = text
+    this.errorsElement.textContent = status.errors ? ` ${status.errors}E` : ""
+    this.warningsElement.textContent = status.warnings ? ` ${status.warnings}W` : ""
+  }
+
+  _tooltip() {
+    const { status } = this
+    const lines = [
+      `rust-analyzer: ${_.escape(this.project.server.projectPath)}`,
+      `Check command: ${status.checkCommand}`,
+    ]
+    if (status.health !== "ok") {
+      lines.push(`Server ${status.health}: ${_.escape(status.healthMessage || "see details")}`)
+    }
+    if (status.lastCheckMillis !== null) {
+      lines.push(`Last check: ${formatDuration(status.lastCheckMillis)}`)
+    }
+    lines.push(`${status.errors} errors, ${status.warnings} warnings`, "Click to check")
+    return lines.join("<br>")
+  }
+
+  destroy() {
+    this.disposables.dispose()
+    this.element.remove()
+  }
+}
+
+module.exports = { StatusTile }
@@ -0,0 +1,230 @@
+const { CompositeDisposable, Disposable, Emitter, Range } = require("atom")
+const { Convert } = require("atom-languageclient")
+
+const SYNTAX_TREE_URI = "atom://ide-rust/syntax-tree"
+
+/** @type {number} Delay after cursor movement before updating, milliseconds */
+const CURSOR_DEBOUNCE_MILLIS = 150
+
+const MODES = {
+  "syntax-tree": {
+    title: "Rust Syntax Tree",
+    fetch: (connection, editor) =>
+      connection.sendCustomRequest("rust-analyzer/syntaxTree", {
+        textDocument: Convert.editorToTextDocumentIdentifier(editor),
+      }),
+  },
+  hir: {
+    title: "Rust HIR",
+    fetch: (connection, editor) =>
+      connection.sendCustomRequest("rust-analyzer/viewHir", Convert.editorToTextDocumentPositionParams(editor)),
+    // hir is for the function at the cursor
+    updateOnCursorMove: true,
+  },
+  "item-tree": {
+    title: "Rust Item Tree",
+    fetch: (connection, editor) =>
+      connection.sendCustomRequest("rust-analyzer/viewItemTree", {
+        textDocument: Convert.editorToTextDocumentIdentifier(editor),
+      }),
+  },
+}
+
+/**
+ * @param {TextBuffer} buffer
+ * @param {number} offset Utf-8 byte offset, as used in rust-analyzer's syntax tree
+ * @returns {Point}
+ */
+function offsetToPoint(buffer, offset) {
+  const prefix = Buffer.from(buffer.getText(), "utf8").slice(0, offset).toString("utf8")
+  return buffer.positionForCharacterIndex(prefix.length)
+}
+
+/**
+ * @param {TextBuffer} buffer
+ * @param {Point} point
+ * @returns {number} Utf-8 byte offset
+ */
+function pointToOffset(buffer, point) {
+  return Buffer.byteLength(buffer.getTextInRange([[0, 0], point]), "utf8")
+}
+
+/**
+ * Parses a syntax tree dump line, like `    FN_KW@0..2 "fn"`
+ *
+ * @param {string} line
+ * @returns {{ depth: number; start: number; end: number } | null}
+ */
+function parseSyntaxTreeLine(line) {
+  const match = line.match(/^(\s*)\S+@(\d+)\.\.(\d+)/)
+  if (!match) {
+    return null
+  }
+  return { depth: match[1].length, start: Number(match[2]), end: Number(match[3]) }
+}
+
+/**
+ * Live view of rust-analyzer's syntax tree, HIR or item tree of the active rust editor. In syntax tree mode the node
+ * under the cursor is highlighted & clicking a node selects its source.
+ *
+ * @param {function} connectionForEditor `(editor) => ?LanguageClientConnection`
+ */
+class SyntaxTreeView {
+  constructor(connectionForEditor) {
+    this.connectionForEditor = connectionForEditor
+    this.emitter = new Emitter()
+    this.mode = "syntax-tree"
+    /** @type {TextEditor | null} */
+    this.editor = null
+    /** @type {{ element: HTMLElement; depth: number; start: number; end: number }[]} */
+    this.nodes = []
+
+    this.element = document.createElement("div")
+    this.element.className = "ide-rust-syntax-tree native-key-bindings"
+    this.element.tabIndex = -1
+    this.treeElement = document.createElement("pre")
+    this.treeElement.className = "syntax-tree"
+    this.element.appendChild(this.treeElement)
+
+    this.disposables = new CompositeDisposable(
+      atom.workspace.observeActiveTextEditor((editor) => {
+        if (editor && editor.getGrammar().scopeName === "source.rust") {
+          this._setEditor(editor)
+        }
+      })
+    )
+  }
+
+  /* eslint-disable class-methods-use-this */
+  getURI() {
+    return SYNTAX_TREE_URI
+  }
+  getIconName() {
+    return "list-unordered"
+  }
+  getDefaultLocation() {
+    return "right"
+  }
+  /* eslint-enable class-methods-use-this */
+
+  getTitle() {
+    return MODES[this.mode].title
+  }
+
+  onDidChangeTitle(callback) {
+    return this.emitter.on("did-change-title", callback)
+  }
+
+  /** @param {"syntax-tree" | "hir" | "item-tree"} mode */
+  setMode(mode) {
+    this.mode = mode
+    this.emitter.emit("did-change-title", this.getTitle())
+    this.update()
+  }
+
+  _setEditor(editor) {
+    if (this.editorDisposables) {
+      this.editorDisposables.dispose()
+    }
+    this.editor = editor
+
+    let cursorTimeout
+    this.editorDisposables = new CompositeDisposable(
+      editor.onDidStopChanging(() => this.update()),
+      editor.onDidChangeCursorPosition(() => {
+        clearTimeout(cursorTimeout)
+        cursorTimeout = setTimeout(() => {
+          if (MODES[this.mode].updateOnCursorMove) {
+            this.update()
+          } else {
+            this._highlightCursorNode()
+          }
+        }, CURSOR_DEBOUNCE_MILLIS)
+      }),
+      new Disposable(() => clearTimeout(cursorTimeout))
+    )
+    this.update()
+  }
+
+  /** Re-request the tree for the current editor */
+  async update() {
+    const { editor, mode } = this
+    const connection = editor && !editor.isDestroyed() && this.connectionForEditor(editor)
+    if (!connection) {
+      this._render("")
+      return
+    }
+
+    try {
+      const text = await MODES[mode].fetch(connection, editor)
+      if (editor === this.editor && mode === this.mode) {
+        this._render(text || "")
+      }
+    } catch (e) {
+      this._render(`${e.message || e}`)
+    }
+  }
+
+  _render(text) {
+    this.treeElement.textContent = ""
+    this.nodes = []
+    for (const line of text.split("\n")) {
+      const lineElement = document.createElement("div")
+      lineElement.className = "syntax-tree-line"
+      lineElement.textContent = line
+      this.treeElement.appendChild(lineElement)
+
+      const node = this.mode === "syntax-tree" && parseSyntaxTreeLine(line)
+      if (node) {
+        node.element = lineElement
+        lineElement.classList.add("syntax-tree-node")
+        lineElement.addEventListener("click", () => this._selectNodeSource(node))
+        this.nodes.push(node)
+      }
+    }
+    this._highlightCursorNode()
+  }
+
+  _selectNodeSource({ start, end }) {
+    const { editor } = this
+    if (!editor || editor.isDestroyed()) {
+      return
+    }
+    const buffer = editor.getBuffer()
+    const range = new Range(offsetToPoint(buffer, start), offsetToPoint(buffer, end))
+    editor.setSelectedBufferRange(range)
+    editor.scrollToBufferPosition(range.start, { center: true })
+    atom.workspace.paneForItem(editor).activate()
+  }
+
+  _highlightCursorNode() {
+    const { editor } = this
+    if (!editor || editor.isDestroyed() || !this.nodes.length) {
+      return
+    }
+
+    const offset = pointToOffset(editor.getBuffer(), editor.getCursorBufferPosition())
+    let deepest = null
+    for (const node of this.nodes) {
+      node.element.classList.remove("selected")
+      if (node.start <= offset && offset < node.end && (!deepest || node.depth > deepest.depth)) {
+        deepest = node
+      }
+    }
+    if (deepest) {
+      deepest.element.classList.add("selected")
+      deepest.element.scrollIntoView({ block: "nearest" })
+    }
+  }
+
+  destroy() {
+    this.disposables.dispose()
+    this.emitter.dispose()
+    if (this.editorDisposables) {
+      this.editorDisposables.dispose()
+    }
+    this.element.remove()
+  }
+}
+
+module.exports = { SyntaxTreeView, SYNTAX_TREE_URI }
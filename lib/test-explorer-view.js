@@ -0,0 +1,496 @@
+const path = require("path")
+const { CompositeDisposable } = require("atom")
+const { Convert } = require("atom-languageclient")
+const {
+  TestTree,
+  TestOutputParser,
+  cargoPackage,
+  runnableTestPath,
+  testKey,
+  packageRunnable,
+  renderTestJson,
+  STATE_ICONS,
+} = require("./test-explorer")
+const { el } = require("./dom")
+
+const TEST_EXPLORER_URI = "atom://ide-rust/test-explorer"
+
+/**
+ * @typedef {{ projectPath: string; package: string; runnable: Runnable; tests: string[] }} TestJob
+ *   Runs tests of a package, `tests` are the libtest names expected to run
+ */
+
+/**
+ * @param {TestResult[]} results
+ * @returns {string | undefined} Combined state, running or failed if any are
+ */
+function combinedState(results) {
+  const states = new Set(results.map((result) => result.state))
+  return ["running", "failed", "ok", "ignored"].find((state) => states.has(state))
+}
+
+/** @param {TestItem} item Opens the item's source */
+async function openItem(item) {
+  if (!item.textDocument) {
+    return
+  }
+  const editor = await atom.workspace.open(Convert.uriToPath(item.textDocument.uri))
+  if (item.range) {
+    editor.setCursorBufferPosition(Convert.positionToPoint(item.range.start))
+    editor.scrollToCursorPosition({ center: true })
+  }
+}
+
+/**
+ * Dock item with a tree of each project's crates, modules & tests, their latest results & the history of runs this
+ * session. Tests run in the runnables dock item.
+ *
+ * @param {TestResults} results
+ * @param {function} projectPaths `() => string[]` Projects with a running server
+ * @param {function} discover `(projectPath, ?testId) => Promise<DiscoverTestResults & { fromRunnables?: boolean }>`
+ * @param {function} run `(projectPath, runnable, { renderLine, onLine }) => Promise<?number>` Runs a test runnable
+ *   with the project's toolchain, resolving with the exit code, null if stopped
+ * @param {function} debug `(projectPath, runnable) => void`
+ */
+class TestExplorerView {
+  constructor(results, projectPaths, discover, run, debug) {
+    this.results = results
+    this.projectPaths = projectPaths
+    this.discover = discover
+    this.runRunnable = run
+    this.debugRunnable = debug
+    /** @type {Map<string, TestTree>} By project path */
+    this.trees = new Map()
+    /** @type {Set<string>} Projects whose tree is built from runnables, reloaded on save */
+    this.fromRunnables = new Set()
+    /** @type {Set<string>} Expanded items, by project path & id */
+    this.expanded = new Set()
+    /** @type {TestRun | null} Run whose results are shown, rather than the latest */
+    this.viewedRun = null
+    this._runCount = 0
+
+    this.element = el("div", "ide-rust-test-explorer native-key-bindings")
+    this.element.tabIndex = -1
+
+    const toolbar = el("div", "test-explorer-toolbar btn-group")
+    const button = (icon, text, onClick) => {
+      const element = el("button", `btn btn-xs icon ${icon}`, text)
+      element.addEventListener("click", onClick)
+      toolbar.appendChild(element)
+      return element
+    }
+    button("icon-playback-play", "Run All", () => this.runAll())
+    this.rerunFailedButton = button("icon-sync", "Rerun Failed", () => this.rerunFailed())
+    button("icon-repo-sync", "Refresh", () => this.refresh())
+    this.element.appendChild(toolbar)
+
+    this.treeElement = el("ul", "list-tree has-collapsable-children test-explorer-tree")
+    this.element.appendChild(this.treeElement)
+
+    this.element.appendChild(el("div", "test-explorer-heading", "History"))
+    this.historyElement = el("ul", "list-group test-explorer-history")
+    this.element.appendChild(this.historyElement)
+
+    /** @type {Map<TextEditor, Disposable>} */
+    this.editorSubscriptions = new Map()
+    this.disposables = new CompositeDisposable(
+      this.results.onDidChange(() => this._render()),
+      atom.workspace.observeTextEditors((editor) => this._watchEditor(editor))
+    )
+    this.refresh()
+  }
+
+  /* eslint-disable class-methods-use-this */
+  getTitle() {
+    return "Rust Tests"
+  }
+  getIconName() {
+    return "beaker"
+  }
+  getURI() {
+    return TEST_EXPLORER_URI
+  }
+  getDefaultLocation() {
+    return "right"
+  }
+  getAllowedLocations() {
+    return ["left", "right", "bottom"]
+  }
+  /* eslint-enable class-methods-use-this */
+
+  _watchEditor(editor) {
+    const disposable = new CompositeDisposable(
+      // servers without test discovery are re-read from the runnables on save
+      editor.onDidSave(() => {
+        const projectPath = this._projectPathFor(editor.getPath())
+        if (projectPath && this.fromRunnables.has(projectPath)) {
+          this.refresh(projectPath)
+        }
+      }),
+      editor.onDidDestroy(() => {
+        disposable.dispose()
+        this.editorSubscriptions.delete(editor)
+      })
+    )
+    this.editorSubscriptions.set(editor, disposable)
+  }
+
+  /**
+   * @param {string} [filePath]
+   * @returns {string | undefined} The innermost project containing the file
+   */
+  _projectPathFor(filePath) {
+    return this.projectPaths()
+      .filter((p) => filePath && (filePath === p || filePath.startsWith(`${p}${path.sep}`)))
+      .sort((a, b) => b.length - a.length)[0]
+  }
+
+  /**
+   * Reloads the top level of each project's tree
+   *
+   * @param {string} [projectPath] Only reload this project
+   */
+  async refresh(projectPath) {
+    const projectPaths = this.projectPaths()
+    for (const removed of Array.from(this.trees.keys()).filter((p) => !projectPaths.includes(p))) {
+      this.trees.delete(removed)
+    }
+    await Promise.all(
+      projectPaths
+        .filter((p) => !projectPath || p === projectPath)
+        .map(async (p) => {
+          try {
+            const results = await this.discover(p)
+            const tree = new TestTree()
+            tree.apply(results)
+            this.trees.set(p, tree)
+            if (results.fromRunnables) {
+              this.fromRunnables.add(p)
+            } else {
+              this.fromRunnables.delete(p)
+            }
+          } catch (e) {
+            atom.notifications.addError(`Couldn't discover the tests of ${path.basename(p)}`, {
+              _src: "ide-rust",
+              description: `${e.message || e}`,
+            })
+          }
+        })
+    )
+    this._render()
+  }
+
+  /**
+   * Updates a project's tree with tests discovered by the server, ie after edits
+   *
+   * @param {string} projectPath
+   * @param {DiscoverTestResults} results
+   */
+  applyDiscovery(projectPath, results) {
+    const tree = this.trees.get(projectPath)
+    if (tree) {
+      tree.apply(results)
+      this._render()
+    }
+  }
+
+  /**
+   * @param {string} projectPath
+   * @param {TestItem} item Loads the item's children, if the server resolves them lazily
+   */
+  async _expand(projectPath, item) {
+    this.expanded.add(`${projectPath}\0${item.id}`)
+    const tree = this.trees.get(projectPath)
+    if (item.canResolveChildren && tree && !tree.children(item.id).length) {
+      tree.apply(await this.discover(projectPath, item.id).catch(() => ({ tests: [] })))
+    }
+    this._render()
+  }
+
+  /**
+   * Runs a crate, module or test of the tree
+   *
+   * @param {string} projectPath
+   * @param {TestItem} item
+   */
+  runItem(projectPath, item) {
+    const tree = this.trees.get(projectPath)
+    const packageName = tree.packageOf(item)
+    if (!packageName) {
+      atom.notifications.addWarning(`Couldn't find the crate of ${item.label}`, { _src: "ide-rust" })
+      return Promise.resolve()
+    }
+    const testPath = item.kind === "package" ? null : tree.testPath(item)
+    let runnable = item.runnable && item.runnable.kind === "cargo" ? item.runnable : null
+    if (!runnable && item.kind === "test") {
+      runnable = packageRunnable(packageName, projectPath, [testPath])
+    } else if (!runnable) {
+      runnable = packageRunnable(packageName, projectPath)
+      if (testPath) {
+        // libtest filters by substring, the module path & separator match the module's tests
+        runnable.args.executableArgs = [`${testPath}::`]
+        runnable.label = `test-mod ${testPath}`
+      }
+    }
+    const tests = item.kind === "test" ? [item] : tree.descendants(item.id).filter((i) => i.kind === "test")
+    return this._runJobs(runnable.label, [
+      { projectPath, package: packageName, runnable, tests: tests.map((test) => tree.testPath(test)) },
+    ])
+  }
+
+  /**
+   * @param {string} projectPath
+   * @param {TestItem} item A test, debugged on its own
+   */
+  debugItem(projectPath, item) {
+    const tree = this.trees.get(projectPath)
+    const packageName = tree.packageOf(item)
+    const runnable =
+      item.runnable && item.runnable.kind === "cargo"
+        ? item.runnable
+        : packageName && packageRunnable(packageName, projectPath, [tree.testPath(item)])
+    if (runnable) {
+      this.debugRunnable(projectPath, runnable)
+    }
+  }
+
+  /**
+   * Runs a runnable's tests, ie from the gutter
+   *
+   * @param {string} projectPath
+   * @param {Runnable} runnable
+   */
+  runRunnableTests(projectPath, runnable) {
+    const packageName = cargoPackage(runnable)
+    if (!packageName) {
+      atom.notifications.addWarning(`Couldn't find the crate of ${runnable.label}`, { _src: "ide-rust" })
+      return Promise.resolve()
+    }
+    const testPath = runnableTestPath(runnable)
+    const tests = runnable.label.startsWith("test ") && testPath ? [testPath] : []
+    return this._runJobs(runnable.label, [{ projectPath, package: packageName, runnable, tests }])
+  }
+
+  /** Runs the tests of every crate, one crate at a time */
+  async runAll() {
+    if (!this.trees.size) {
+      await this.refresh()
+    }
+    const jobs = []
+    for (const [projectPath, tree] of this.trees) {
+      for (const item of tree.roots().filter((root) => root.kind === "package")) {
+        const packageName = tree.packageOf(item)
+        const tests = tree.descendants(item.id).filter((i) => i.kind === "test")
+        jobs.push({
+          projectPath,
+          package: packageName,
+          runnable: packageRunnable(packageName, projectPath),
+          tests: tests.map((test) => tree.testPath(test)),
+        })
+      }
+    }
+    if (!jobs.length) {
+      atom.notifications.addInfo("No tests found", { _src: "ide-rust" })
+      return
+    }
+    await this._runJobs("All tests", jobs)
+  }
+
+  /** Reruns the tests that failed in their latest run */
+  async rerunFailed() {
+    const jobs = new Map()
+    for (const result of this.results.failed()) {
+      const key = `${result.projectPath}\0${result.package}`
+      if (!jobs.has(key)) {
+        jobs.set(key, { projectPath: result.projectPath, package: result.package, tests: [] })
+      }
+      jobs.get(key).tests.push(result.name)
+    }
+    if (!jobs.size) {
+      atom.notifications.addInfo("No failed tests to rerun", { _src: "ide-rust" })
+      return
+    }
+    await this._runJobs(
+      "Failed tests",
+      Array.from(jobs.values()).map((job) =>
+        Object.assign(job, { runnable: packageRunnable(job.package, job.projectPath, job.tests) })
+      )
+    )
+  }
+
+  /**
+   * Runs the jobs one after another, stopping when a job is stopped or another run starts
+   *
+   * @param {string} label
+   * @param {TestJob[]} jobs
+   */
+  async _runJobs(label, jobs) {
+    const runId = ++this._runCount
+    this.viewedRun = null
+    const expected = jobs.reduce(
+      (tests, job) =>
+        tests.concat(job.tests.map((name) => ({ projectPath: job.projectPath, package: job.package, name }))),
+      []
+    )
+    const run = this.results.startRun(label, expected)
+    let code = null
+    try {
+      for (const job of jobs) {
+        const parser = new TestOutputParser()
+        // eslint-disable-next-line no-await-in-loop
+        code = await this.runRunnable(job.projectPath, job.runnable, {
+          renderLine: renderTestJson,
+          onLine: (line) => parser.parseLine(line),
+        })
+        this.results.addResults(run, job.projectPath, job.package, parser)
+        if (code === null || runId !== this._runCount) {
+          break
+        }
+      }
+    } catch (e) {
+      code = null
+      atom.notifications.addError("Couldn't run tests", { _src: "ide-rust", detail: `${label}: ${e.message || e}` })
+    } finally {
+      // tests that didn't run go back to their previous result
+      this.results.finishRun(run, code)
+    }
+  }
+
+  /**
+   * @param {string} projectPath
+   * @param {TestItem} item
+   * @returns {string | undefined} State of the test, or the combined state of a crate or module's tests
+   */
+  _itemState(projectPath, item) {
+    const tree = this.trees.get(projectPath)
+    const packageName = tree.packageOf(item)
+    if (!packageName) {
+      return undefined
+    }
+    const results = this.viewedRun ? this.viewedRun.results : this.results.latest
+    if (item.kind === "test") {
+      const result = results.get(testKey(projectPath, packageName, tree.testPath(item)))
+      return result && result.state
+    }
+    const prefix = item.kind === "package" ? "" : `${tree.testPath(item)}::`
+    const packageKey = testKey(projectPath, packageName, "")
+    return combinedState(
+      Array.from(results)
+        .filter(([key]) => key.startsWith(packageKey) && key.startsWith(prefix, packageKey.length))
+        .map(([, result]) => result)
+    )
+  }
+
+  _render() {
+    this.treeElement.textContent = ""
+    const showProjects = this.trees.size > 1
+    for (const [projectPath, tree] of this.trees) {
+      const parent = showProjects ? this._projectElement(projectPath) : this.treeElement
+      tree.roots().forEach((item) => parent.appendChild(this._itemElement(projectPath, tree, item)))
+    }
+    this.rerunFailedButton.disabled = !this.results.failed().length
+    this._renderHistory()
+  }
+
+  _projectElement(projectPath) {
+    const element = el("li", "list-nested-item")
+    const header = el("div", "list-item")
+    header.appendChild(el("span", "icon icon-repo", path.basename(projectPath)))
+    header.title = projectPath
+    const children = el("ul", "list-tree")
+    element.append(header, children)
+    this.treeElement.appendChild(element)
+    return children
+  }
+
+  /**
+   * @param {string} projectPath
+   * @param {TestTree} tree
+   * @param {TestItem} item
+   * @returns {HTMLElement}
+   */
+  _itemElement(projectPath, tree, item) {
+    const state = this._itemState(projectPath, item)
+    const kindIcon = { package: "icon-package", module: "icon-file-code", test: "icon-beaker" }[item.kind]
+    const label = el("span", `icon ${STATE_ICONS[state] || kindIcon} test-${state || "none"}`, item.label)
+    const runButton = el("span", "icon icon-playback-play test-explorer-run")
+    runButton.title = `Run ${item.label}`
+    runButton.addEventListener("click", (event) => {
+      event.stopPropagation()
+      this.runItem(projectPath, item)
+    })
+
+    const result =
+      item.kind === "test" &&
+      (this.viewedRun ? this.viewedRun.results : this.results.latest).get(
+        testKey(projectPath, tree.packageOf(item) || "", tree.testPath(item))
+      )
+    const header = el(item.kind === "test" ? "li" : "div", "list-item test-explorer-item")
+    header.title = (result && result.message) || item.id
+    header.append(label, runButton)
+    if (item.kind === "test") {
+      const debugButton = el("span", "icon icon-bug test-explorer-run")
+      debugButton.title = `Debug ${item.label}`
+      debugButton.addEventListener("click", (event) => {
+        event.stopPropagation()
+        this.debugItem(projectPath, item)
+      })
+      header.appendChild(debugButton)
+    }
+    header.addEventListener("dblclick", () => openItem(item))
+    if (item.kind === "test") {
+      return header
+    }
+
+    const key = `${projectPath}\0${item.id}`
+    const element = el("li", `list-nested-item ${this.expanded.has(key) ? "expanded" : "collapsed"}`)
+    header.addEventListener("click", () => {
+      if (this.expanded.has(key)) {
+        this.expanded.delete(key)
+        this._render()
+      } else {
+        this._expand(projectPath, item)
+      }
+    })
+    element.appendChild(header)
+    if (this.expanded.has(key)) {
+      const children = el("ul", "list-tree")
+      tree.children(item.id).forEach((child) => children.appendChild(this._itemElement(projectPath, tree, child)))
+      element.appendChild(children)
+    }
+    return element
+  }
+
+  _renderHistory() {
+    this.historyElement.textContent = ""
+    for (const run of this.results.history) {
+      const state = run.code === undefined ? "running" : run.summary && run.summary.failed ? "failed" : "ok"
+      const counts = run.summary
+        ? `${run.summary.passed} passed, ${run.summary.failed} failed, ${run.summary.ignored} ignored`
+        : run.code === undefined
+        ? "Running…"
+        : "No results"
+      const item = el("li", `list-item test-explorer-run-item${run === this.viewedRun ? " selected" : ""}`)
+      item.append(
+        el("span", `icon ${STATE_ICONS[state]} test-${state}`, run.time.toLocaleTimeString()),
+        el("span", "test-explorer-run-label", run.label),
+        el("span", "text-subtle", counts)
+      )
+      item.title = "Show this run's results, click again for the latest"
+      item.addEventListener("click", () => {
+        this.viewedRun = run === this.viewedRun ? null : run
+        this._render()
+      })
+      this.historyElement.appendChild(item)
+    }
+  }
+
+  destroy() {
+    this.disposables.dispose()
+    this.editorSubscriptions.forEach((disposable) => disposable.dispose())
+    this.editorSubscriptions.clear()
+    this.element.remove()
+  }
+}
+
+module.exports = { TestExplorerView, TEST_EXPLORER_URI }
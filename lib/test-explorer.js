@@ -0,0 +1,459 @@
+const { Emitter } = require("atom")
+const { rustupRun } = require("./rustup")
+const { parseTestLine, parseTestSummary, addSummaries } = require("./runnables")
+
+/** @type {number} Runs kept in the session's result history */
+const HISTORY_LENGTH = 50
+
+/** Icon classes of test states */
+const STATE_ICONS = {
+  ok: "icon-check",
+  failed: "icon-x",
+  ignored: "icon-circle-slash",
+  running: "icon-sync",
+}
+
+/**
+ * A crate, module or test, as in rust-analyzer's `experimental/discoverTest` results
+ *
+ * @typedef {{
+ *   id: string
+ *   label: string
+ *   kind: "package" | "module" | "test"
+ *   canResolveChildren?: boolean
+ *   parent?: string
+ *   textDocument?: { uri: string }
+ *   range?: object
+ *   runnable?: Runnable
+ * }} TestItem
+ */
+
+/**
+ * @typedef {{ tests: TestItem[]; scope?: string[] | null; scopeFile?: { uri: string }[] | null }} DiscoverTestResults
+ *   Items replacing the children of the `scope` items & the items in the `scopeFile` documents
+ */
+
+/**
+ * @typedef {{
+ *   projectPath: string
+ *   package: string
+ *   name: string
+ *   state: "ok" | "failed" | "ignored" | "running"
+ *   message?: string
+ * }} TestResult
+ *   Result of a test, by its libtest name within the package, ie `tests::it_works`
+ */
+
+/**
+ * @typedef {{
+ *   label: string
+ *   time: Date
+ *   results: Map<string, TestResult>
+ *   summary: TestSummary | null
+ *   code: number | null | undefined
+ * }} TestRun
+ *   A run of tests, `code` is undefined while running
+ */
+
+/**
+ * @param {Runnable} runnable
+ * @returns {string | null} Package the cargo runnable is for, ie `foo` from `cargo test --package foo`
+ */
+function cargoPackage(runnable) {
+  const args = (runnable && runnable.kind === "cargo" && runnable.args.cargoArgs) || []
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--package" || args[i] === "-p") {
+      return args[i + 1] || null
+    }
+    if (args[i].startsWith("--package=")) {
+      return args[i].slice("--package=".length)
+    }
+  }
+  return null
+}
+
+/**
+ * @param {Runnable} runnable
+ * @returns {string | null} The libtest filter of a test or module runnable, ie `tests::it_works`
+ */
+function runnableTestPath(runnable) {
+  const [filter] = (runnable && runnable.kind === "cargo" && runnable.args.executableArgs) || []
+  return filter && !filter.startsWith("-") ? filter : null
+}
+
+/**
+ * @param {string} projectPath
+ * @param {string} packageName
+ * @param {string} name Libtest name
+ * @returns {string} Key of a test's results, package names match with `-` or `_`
+ */
+function testKey(projectPath, packageName, name) {
+  return `${projectPath}\0${packageName.replace(/-/g, "_")}\0${name}`
+}
+
+/**
+ * @param {string} packageName
+ * @param {string} workspaceRoot
+ * @param {string[]} [names] Libtest names to run exactly, all the package's tests if empty
+ * @returns {Runnable} Runs the package's tests, continuing after failing test binaries
+ */
+function packageRunnable(packageName, workspaceRoot, names = []) {
+  return {
+    label: names.length === 1 ? `test ${names[0]}` : `test ${packageName}`,
+    kind: "cargo",
+    args: {
+      workspaceRoot,
+      cargoArgs: ["test", "--package", packageName, "--no-fail-fast"],
+      cargoExtraArgs: [],
+      executableArgs: names.length ? [...names, "--exact"] : [],
+    },
+  }
+}
+
+/**
+ * @param {Runnable} runnable A cargo test runnable
+ * @returns {Runnable} The runnable with libtest printing json events, needs a nightly toolchain
+ */
+function withJsonOutput(runnable) {
+  const executableArgs = [...(runnable.args.executableArgs || []), "-Z", "unstable-options", "--format", "json"]
+  return Object.assign({}, runnable, { args: Object.assign({}, runnable.args, { executableArgs }) })
+}
+
+/**
+ * Builds test explorer items from runnables, for servers without `experimental/discoverTest`
+ *
+ * @param {Runnable[]} runnables
+ * @returns {TestItem[]} Packages, modules & tests, parents first
+ */
+function testItemsFromRunnables(runnables) {
+  const items = new Map()
+  for (const runnable of runnables) {
+    const match = runnable.label.match(/^(test|test-mod) (\S+)$/)
+    const packageName = cargoPackage(runnable)
+    if (!match || !packageName) {
+      continue
+    }
+    if (!items.has(packageName)) {
+      items.set(packageName, { id: packageName, label: packageName, kind: "package" })
+    }
+
+    let parent = packageName
+    const segments = match[2].split("::")
+    segments.forEach((segment, i) => {
+      const id = `${parent}::${segment}`
+      const isRunnable = i === segments.length - 1
+      if (!items.has(id) || isRunnable) {
+        const item = { id, label: segment, kind: isRunnable && match[1] === "test" ? "test" : "module", parent }
+        if (isRunnable) {
+          item.runnable = runnable
+          if (runnable.location) {
+            item.textDocument = { uri: runnable.location.targetUri }
+            item.range = runnable.location.targetRange
+          }
+        }
+        items.set(id, Object.assign({}, items.get(id), item))
+      }
+      parent = id
+    })
+  }
+  return Array.from(items.values())
+}
+
+/**
+ * Renders a libtest `--format json` event as the equivalent text output, so both formats parse the same. Failed tests
+ * are followed by their captured output.
+ *
+ * @param {string} line
+ * @returns {string | null} Text output, the line if it isn't an event, null to hide it
+ */
+function renderTestJson(line) {
+  if (!line.startsWith("{")) {
+    return line
+  }
+  let event
+  try {
+    event = JSON.parse(line)
+  } catch (e) {
+    return line
+  }
+
+  if (event.type === "suite" && event.event === "started") {
+    return `running ${event.test_count} tests`
+  }
+  if (event.type === "suite" && (event.event === "ok" || event.event === "failed")) {
+    const counts = [
+      `${event.passed} passed`,
+      `${event.failed} failed`,
+      `${event.ignored} ignored`,
+      `${event.measured} measured`,
+      `${event.filtered_out} filtered out`,
+    ]
+    return `test result: ${event.event === "ok" ? "ok" : "FAILED"}. ${counts.join("; ")}`
+  }
+  if (event.type === "test" && event.event === "ok") {
+    return `test ${event.name} ... ok`
+  }
+  if (event.type === "test" && event.event === "ignored") {
+    return `test ${event.name} ... ignored`
+  }
+  if (event.type === "test" && (event.event === "failed" || event.event === "timeout")) {
+    const output = event.stdout || event.message
+    return [
+      `test ${event.name} ... FAILED`,
+      ...(output ? [`---- ${event.name} stdout ----`, output.trimEnd()] : []),
+    ].join("\n")
+  }
+  return event.type === "test" || event.type === "suite" || event.type === "bench" ? null : line
+}
+
+/** Parses the text output of libtest runs into test results & the failure output of each failed test */
+class TestOutputParser {
+  constructor() {
+    /** @type {Map<string, { state: "ok" | "failed" | "ignored"; message?: string }>} */
+    this.results = new Map()
+    /** @type {TestSummary | null} Totalled over each test binary */
+    this.summary = null
+    /** @type {{ name: string; lines: string[] } | null} Failure output being read */
+    this._failure = null
+  }
+
+  /** @param {string} line */
+  parseLine(line) {
+    const trimmed = line.trimEnd()
+    const failureHeader = trimmed.match(/^-{4} (.+) stdout -{4}$/)
+    const test = parseTestLine(trimmed)
+    const summary = parseTestSummary(trimmed)
+    if (this._failure && (failureHeader || test || summary || trimmed === "failures:")) {
+      this._endFailure()
+    }
+
+    if (failureHeader) {
+      this._failure = { name: failureHeader[1], lines: [] }
+    } else if (this._failure) {
+      this._failure.lines.push(trimmed)
+    } else if (test) {
+      this.results.set(test.name, { state: test.result })
+    } else if (summary) {
+      this.summary = this.summary ? addSummaries(this.summary, summary) : summary
+    }
+  }
+
+  _endFailure() {
+    const { name, lines } = this._failure
+    this._failure = null
+    const result = this.results.get(name)
+    const message = lines.join("\n").trim()
+    if (result && message) {
+      result.message = message
+    }
+  }
+}
+
+/** Latest result of each test & the history of runs this session */
+class TestResults {
+  constructor() {
+    this.emitter = new Emitter()
+    /** @type {Map<string, TestResult>} By `testKey` */
+    this.latest = new Map()
+    /** @type {TestRun[]} Newest first */
+    this.history = []
+  }
+
+  /**
+   * Invoke the callback when results change
+   *
+   * @param {function} callback
+   * @returns {Disposable}
+   */
+  onDidChange(callback) {
+    return this.emitter.on("did-change", callback)
+  }
+
+  /**
+   * @param {string} projectPath
+   * @param {string} packageName
+   * @param {string} name
+   * @returns {TestResult | undefined}
+   */
+  get(projectPath, packageName, name) {
+    return this.latest.get(testKey(projectPath, packageName, name))
+  }
+
+  /**
+   * @param {string} label Describes what's run
+   * @param {{ projectPath: string; package: string; name: string }[]} tests Expected to run, shown as running
+   * @returns {TestRun}
+   */
+  startRun(label, tests) {
+    const run = { label, time: new Date(), results: new Map(), summary: null, code: undefined, _previous: new Map() }
+    for (const test of tests) {
+      const key = testKey(test.projectPath, test.package, test.name)
+      run._previous.set(key, this.latest.get(key))
+      this.latest.set(key, Object.assign({}, test, { state: "running" }))
+    }
+    this.history.unshift(run)
+    this.history.splice(HISTORY_LENGTH)
+    this.emitter.emit("did-change")
+    return run
+  }
+
+  /**
+   * @param {TestRun} run
+   * @param {string} projectPath
+   * @param {string} packageName
+   * @param {TestOutputParser} parser Results of the package's tests
+   */
+  addResults(run, projectPath, packageName, parser) {
+    for (const [name, result] of parser.results) {
+      const key = testKey(projectPath, packageName, name)
+      const testResult = Object.assign({ projectPath, package: packageName, name }, result)
+      run.results.set(key, testResult)
+      this.latest.set(key, testResult)
+    }
+    run.summary =
+      parser.summary && run.summary ? addSummaries(run.summary, parser.summary) : parser.summary || run.summary
+    this.emitter.emit("did-change")
+  }
+
+  /**
+   * Ends a run, tests that didn't run get their previous result back
+   *
+   * @param {TestRun} run
+   * @param {number | null} code Exit code, null if stopped or it failed to start
+   */
+  finishRun(run, code) {
+    run.code = code
+    for (const [key, previous] of run._previous) {
+      if (!run.results.has(key) && this.latest.get(key).state === "running") {
+        if (previous) {
+          this.latest.set(key, previous)
+        } else {
+          this.latest.delete(key)
+        }
+      }
+    }
+    delete run._previous
+    this.emitter.emit("did-change")
+  }
+
+  /** @returns {TestResult[]} Tests whose latest run failed */
+  failed() {
+    return Array.from(this.latest.values()).filter((result) => result.state === "failed")
+  }
+
+  dispose() {
+    this.emitter.dispose()
+  }
+}
+
+/** Items of one project's test explorer tree */
+class TestTree {
+  constructor() {
+    /** @type {Map<string, TestItem>} */
+    this.items = new Map()
+  }
+
+  /** @returns {TestItem[]} Packages */
+  roots() {
+    return Array.from(this.items.values()).filter((item) => !item.parent || !this.items.has(item.parent))
+  }
+
+  /**
+   * @param {string} id
+   * @returns {TestItem[]}
+   */
+  children(id) {
+    return Array.from(this.items.values()).filter((item) => item.parent === id)
+  }
+
+  /**
+   * @param {string} id
+   * @returns {TestItem[]} Loaded descendants of the item, depth first
+   */
+  descendants(id) {
+    return this.children(id).reduce((items, child) => items.concat(child, this.descendants(child.id)), [])
+  }
+
+  /**
+   * @param {TestItem} item
+   * @returns {string | null} Package the item belongs to
+   */
+  packageOf(item) {
+    const fromRunnable = cargoPackage(item.runnable)
+    if (fromRunnable) {
+      return fromRunnable
+    }
+    let current = item
+    while (current.parent && this.items.has(current.parent)) {
+      current = this.items.get(current.parent)
+    }
+    return current.kind === "package" ? current.label : null
+  }
+
+  /**
+   * @param {TestItem} item A test or module
+   * @returns {string | null} Libtest name or module filter, ie `tests::it_works`
+   */
+  testPath(item) {
+    const fromRunnable = runnableTestPath(item.runnable)
+    if (fromRunnable) {
+      return fromRunnable
+    }
+    const segments = []
+    for (let current = item; current && current.kind !== "package"; current = this.items.get(current.parent)) {
+      segments.unshift(current.label)
+    }
+    return segments.length ? segments.join("::") : null
+  }
+
+  /**
+   * Replaces the children of the results' scope & the items of its documents with the discovered items
+   *
+   * @param {DiscoverTestResults} results
+   */
+  apply({ tests, scope, scopeFile }) {
+    for (const id of scope || []) {
+      this.descendants(id).forEach((item) => this.items.delete(item.id))
+    }
+    const uris = new Set((scopeFile || []).map((document) => document.uri))
+    for (const item of Array.from(this.items.values())) {
+      if (item.textDocument && uris.has(item.textDocument.uri) && this.items.has(item.id)) {
+        this.descendants(item.id).forEach((descendant) => this.items.delete(descendant.id))
+        this.items.delete(item.id)
+      }
+    }
+    tests.forEach((item) => this.items.set(item.id, item))
+  }
+
+  clear() {
+    this.items.clear()
+  }
+}
+
+/**
+ * Not cached, the rustup default, overrides & toolchains can change between runs
+ *
+ * @param {string} [toolchain] Runs with the rustup default/override if empty
+ * @param {string} cwd
+ * @returns {Promise<boolean>} Whether the toolchain is nightly, allowing `--format json`
+ */
+function isNightly(toolchain, cwd) {
+  return rustupRun(toolchain, "rustc --version", { cwd })
+    .then(({ stdout }) => stdout.includes("-nightly"))
+    .catch(() => false)
+}
+
+module.exports = {
+  TestTree,
+  TestResults,
+  TestOutputParser,
+  cargoPackage,
+  runnableTestPath,
+  testKey,
+  packageRunnable,
+  withJsonOutput,
+  testItemsFromRunnables,
+  renderTestJson,
+  isNightly,
+  STATE_ICONS,
+}
@@ -0,0 +1,130 @@
+const { CompositeDisposable } = require("atom")
+const { Convert } = require("atom-languageclient")
+const { STATE_ICONS } = require("./test-explorer")
+
+const GUTTER_NAME = "ide-rust-tests"
+
+/**
+ * Shows the latest result of each test in the gutter of rust editors, clicking runs the test
+ *
+ * @param {function} fetchRunnables `(editor) => Promise<Runnable[]>`
+ * @param {function} resultFor `(editor, runnable) => ?TestResult`
+ * @param {function} run `(editor, runnable) => void`
+ */
+class TestGutter {
+  constructor(fetchRunnables, resultFor, run) {
+    this.fetchRunnables = fetchRunnables
+    this.resultFor = resultFor
+    this.run = run
+    /**
+     * @type {Map<
+     *   TextEditor,
+     *   { icons: { marker: DisplayMarker; runnable: Runnable; element: HTMLElement }[]; disposable: Disposable }
+     * >}
+     */
+    this.editors = new Map()
+    this.enabled = false
+
+    this.disposables = new CompositeDisposable(
+      atom.config.observe("ide-rust.testGutterIcons", (enabled) => {
+        this.enabled = enabled
+        this.refreshAll()
+      }),
+      atom.workspace.observeTextEditors((editor) => this._watchEditor(editor))
+    )
+  }
+
+  _watchEditor(editor) {
+    const disposable = new CompositeDisposable(
+      editor.onDidSave(() => this.refresh(editor)),
+      editor.onDidDestroy(() => {
+        disposable.dispose()
+        this.editors.delete(editor)
+      })
+    )
+    this.editors.set(editor, { icons: [], disposable })
+    this.refresh(editor)
+  }
+
+  /** Re-fetch the tests of all editors, ie when a server has started */
+  refreshAll() {
+    this.editors.forEach((_, editor) => this.refresh(editor))
+  }
+
+  /** @param {TextEditor} editor */
+  async refresh(editor) {
+    const state = this.editors.get(editor)
+    if (!state) {
+      return
+    }
+
+    let runnables = []
+    if (this.enabled && editor.getGrammar().scopeName === "source.rust") {
+      runnables = await this.fetchRunnables(editor).catch(() => [])
+    }
+
+    state.icons.forEach(({ marker }) => marker.destroy())
+    state.icons = []
+    if (editor.isDestroyed()) {
+      return
+    }
+
+    const uri = Convert.pathToUri(editor.getPath() || "")
+    const tests = runnables.filter(
+      (runnable) => runnable.label.startsWith("test ") && runnable.location && runnable.location.targetUri === uri
+    )
+    const gutter = editor.gutterWithName(GUTTER_NAME)
+    if (!tests.length) {
+      if (gutter) {
+        gutter.destroy()
+      }
+      return
+    }
+
+    const testsGutter = gutter || editor.addGutter({ name: GUTTER_NAME, priority: 50 })
+    for (const runnable of tests) {
+      // the line of the function name, rather than its attributes
+      const { start } = Convert.lsRangeToAtomRange(runnable.location.targetSelectionRange)
+      const marker = editor.markBufferPosition([start.row, 0], { invalidate: "never" })
+      const element = document.createElement("span")
+      element.addEventListener("click", () => this.run(editor, runnable))
+      testsGutter.decorateMarker(marker, { type: "gutter", class: "ide-rust-test-icon", item: element })
+      state.icons.push({ marker, runnable, element })
+    }
+    this.updateIcons(editor)
+  }
+
+  /**
+   * Shows the latest test results
+   *
+   * @param {TextEditor} [editor] Only update this editor
+   */
+  updateIcons(editor) {
+    this.editors.forEach(({ icons }, e) => {
+      if (editor && e !== editor) {
+        return
+      }
+      for (const { runnable, element } of icons) {
+        const result = this.resultFor(e, runnable)
+        const state = result && result.state
+        element.className = `icon ${STATE_ICONS[state] || "icon-playback-play"} test-${state || "none"}`
+        element.title = (result && result.message) || `Run ${runnable.label.slice("test ".length)}`
+      }
+    })
+  }
+
+  dispose() {
+    this.disposables.dispose()
+    this.editors.forEach(({ icons, disposable }, editor) => {
+      icons.forEach(({ marker }) => marker.destroy())
+      disposable.dispose()
+      const gutter = editor.gutterWithName(GUTTER_NAME)
+      if (gutter) {
+        gutter.destroy()
+      }
+    })
+    this.editors.clear()
+  }
+}
+
+module.exports = TestGutter
@@ -0,0 +1,300 @@
+const path = require("path")
+const { CompositeDisposable, Emitter } = require("atom")
+const { el } = require("./dom")
+const rustup = require("./rustup")
+
+const TOOLCHAINS_URI = "atom://ide-rust/toolchains"
+
+/**
+ * @param {string} dir
+ * @returns {string} Without trailing separators, for comparison
+ */
+function trimDir(dir) {
+  return dir.replace(/[/\\]+$/, "")
+}
+
+/**
+ * Dock item managing rustup toolchains: installed toolchains & their components, per-project overrides & toolchain
+ * files, with actions to install, update, remove, add components & set overrides.
+ *
+ * @param {function} reportBusyWhile `(title, () => Promise) => Promise`
+ */
+class ToolchainView {
+  constructor(reportBusyWhile) {
+    this.reportBusyWhile = reportBusyWhile
+    this.emitter = new Emitter()
+    this._busy = false
+    this._refreshCount = 0
+
+    this.element = el("div", "ide-rust-toolchains native-key-bindings")
+    this.element.tabIndex = -1
+
+    const header = el("div", "toolchains-header")
+    this.configElement = el("span", "toolchains-config")
+    const refreshButton = el("button", "btn btn-xs icon icon-sync", "Refresh")
+    refreshButton.addEventListener("click", () => this.refresh())
+    header.append(this.configElement, refreshButton)
+    this.element.appendChild(header)
+
+    const installForm = el("div", "toolchains-install")
+    this.installEditor = atom.workspace.buildTextEditor({
+      mini: true,
+      placeholderText: "Toolchain to install, ie stable, nightly, 1.70.0 or nightly-2023-06-01",
+    })
+    const installButton = el("button", "btn icon icon-cloud-download", "Install")
+    installButton.addEventListener("click", () => this._installFromEditor())
+    installForm.append(this.installEditor.getElement(), installButton)
+    this.element.appendChild(installForm)
+
+    this.toolchainsElement = el("div", "toolchains-list")
+    this.element.appendChild(this.toolchainsElement)
+    this.projectsElement = el("div", "toolchains-projects")
+    this.element.appendChild(this.projectsElement)
+
+    this.disposables = new CompositeDisposable(
+      atom.commands.add(this.installEditor.getElement(), "core:confirm", () => this._installFromEditor()),
+      atom.config.onDidChange("ide-rust.toolchain", () => this.refresh()),
+      atom.project.onDidChangePaths(() => this.refresh())
+    )
+    this.refresh()
+  }
+
+  /* eslint-disable class-methods-use-this */
+  getTitle() {
+    return "Rust Toolchains"
+  }
+  getIconName() {
+    return "tools"
+  }
+  getURI() {
+    return TOOLCHAINS_URI
+  }
+  getDefaultLocation() {
+    return "right"
+  }
+  /* eslint-enable class-methods-use-this */
+
+  /**
+   * Invoke the callback after toolchains, components or overrides are changed by the view
+   *
+   * @param {function} callback
+   * @returns {Disposable}
+   */
+  onDidChangeToolchains(callback) {
+    return this.emitter.on("did-change-toolchains", callback)
+  }
+
+  /** Re-reads toolchains, components & overrides */
+  async refresh() {
+    const configured = rustup.configToolchain()
+    this.configElement.textContent = `ide-rust toolchain: ${configured || "rustup default"}`
+
+    const refreshId = ++this._refreshCount
+
+    let listed
+    try {
+      listed = await Promise.all([rustup.installedToolchains(), rustup.rustupOverrides()])
+    } catch (e) {
+      if (refreshId === this._refreshCount) {
+        this.toolchainsElement.textContent = ""
+        this.toolchainsElement.appendChild(
+          el("div", "text-error", `Could not list rustup toolchains: ${e.message || e}`)
+        )
+        this.projectsElement.textContent = ""
+      }
+      return
+    }
+    const [toolchains, overrides] = listed
+    const components = await Promise.all(
+      toolchains.map(({ name }) => rustup.installedComponents(name).catch(() => new Set()))
+    )
+    // a newer refresh has started
+    if (refreshId !== this._refreshCount) {
+      return
+    }
+
+    this._renderToolchains(toolchains, components, configured)
+    this._renderProjects(toolchains, overrides)
+  }
+
+  _renderToolchains(toolchains, components, configured) {
+    this.toolchainsElement.textContent = ""
+    this.toolchainsElement.appendChild(el("h2", "toolchains-heading", "Installed toolchains"))
+    if (!toolchains.length) {
+      this.toolchainsElement.appendChild(el("div", "text-subtle", "No toolchains installed"))
+      return
+    }
+
+    const list = el("ul", "list-group")
+    toolchains.forEach((toolchain, index) => {
+      const { name } = toolchain
+      const item = el("li", "list-item toolchain-item")
+      const title = el("div", "toolchain-title")
+      title.appendChild(el("span", "toolchain-name icon icon-package", name))
+      const isConfigured = Boolean(configured) && (name === configured || name.startsWith(`${configured}-`))
+      if (toolchain.isDefault) {
+        title.appendChild(el("span", "badge badge-info", "default"))
+      }
+      if (toolchain.isActive) {
+        title.appendChild(el("span", "badge", "active"))
+      }
+      if (isConfigured) {
+        title.appendChild(el("span", "badge badge-success", "ide-rust"))
+      }
+
+      const buttons = el("div", "btn-group btn-group-xs")
+      buttons.append(
+        this._button("Use", "icon-check", !isConfigured, () => atom.config.set("ide-rust.toolchain", name)),
+        this._button("Update", "icon-sync", true, () =>
+          this._action(`Updating rust \`${name}\``, () => rustup.updateToolchain(name))
+        ),
+        this._button("Remove", "icon-trashcan", true, () => this._confirmRemove(name))
+      )
+      title.appendChild(buttons)
+      item.appendChild(title)
+
+      const componentsElement = el("div", "toolchain-components")
+      for (const component of rustup.COMPONENTS) {
+        if (components[index].has(component)) {
+          componentsElement.appendChild(el("span", "toolchain-component icon icon-check text-success", component))
+        } else {
+          componentsElement.appendChild(
+            this._button(component, "icon-plus", true, () =>
+              this._action(`Adding \`${component}\` to rust \`${name}\``, () => rustup.addComponent(name, component))
+            )
+          )
+        }
+      }
+      item.appendChild(componentsElement)
+      list.appendChild(item)
+    })
+    this.toolchainsElement.appendChild(list)
+  }
+
+  _renderProjects(toolchains, overrides) {
+    this.projectsElement.textContent = ""
+    const projectPaths = atom.project.getPaths()
+    if (!projectPaths.length) {
+      return
+    }
+    this.projectsElement.appendChild(el("h2", "toolchains-heading", "Projects"))
+
+    const list = el("ul", "list-group")
+    for (const projectPath of projectPaths) {
+      const item = el("li", "list-item toolchain-project")
+      item.appendChild(el("div", "toolchain-name icon icon-file-directory", path.basename(projectPath)))
+
+      const override = overrides.find((o) => trimDir(o.path) === trimDir(projectPath))
+      const toolchainFile = rustup.readToolchainFile(projectPath)
+      const details = el("div", "toolchain-project-details text-subtle")
+      if (override) {
+        details.appendChild(el("div", "", `Override: ${override.toolchain}`))
+      }
+      if (toolchainFile) {
+        const link = el("a", "", `${path.basename(toolchainFile.filePath)}: ${toolchainFile.channel || "no channel"}`)
+        link.addEventListener("click", () => atom.workspace.open(toolchainFile.filePath))
+        details.appendChild(link)
+      }
+      if (!override && !toolchainFile) {
+        details.textContent = "Uses the rustup default toolchain"
+      }
+      item.appendChild(details)
+
+      const form = el("div", "toolchain-project-override")
+      const select = el("select", "input-select")
+      for (const { name } of toolchains) {
+        const option = el("option", "", name)
+        option.value = name
+        option.selected = Boolean(override) && override.toolchain === name
+        select.appendChild(option)
+      }
+      form.append(
+        select,
+        this._button("Set Override", "icon-pin", toolchains.length > 0, () =>
+          this._action(`Setting \`${select.value}\` override`, () => rustup.setOverride(projectPath, select.value))
+        )
+      )
+      if (override) {
+        form.appendChild(
+          this._button("Unset", "icon-x", true, () =>
+            this._action("Removing toolchain override", () => rustup.unsetOverride(projectPath))
+          )
+        )
+      }
+      item.appendChild(form)
+      list.appendChild(item)
+    }
+    this.projectsElement.appendChild(list)
+  }
+
+  _button(text, icon, enabled, onClick) {
+    const button = el("button", `btn btn-xs icon ${icon}`, text)
+    button.disabled = !enabled || this._busy
+    button.addEventListener("click", onClick)
+    return button
+  }
+
+  _installFromEditor() {
+    const toolchain = this.installEditor.getText().trim()
+    if (toolchain) {
+      this._action(`Installing rust \`${toolchain}\``, () => rustup.installToolchain(toolchain)).then(() =>
+        this.installEditor.setText("")
+      )
+    }
+  }
+
+  _confirmRemove(toolchain) {
+    atom.confirm(
+      {
+        message: `Remove the rust \`${toolchain}\` toolchain?`,
+        detail: `rustup toolchain uninstall ${toolchain}`,
+        buttons: ["Remove", "Cancel"],
+      },
+      (response) => {
+        if (response === 0) {
+          this._action(`Removing rust \`${toolchain}\``, () => rustup.uninstallToolchain(toolchain))
+        }
+      }
+    )
+  }
+
+  /**
+   * Runs a rustup action with a busy signal, notifying of failures
+   *
+   * @param {string} title
+   * @param {function} action `() => Promise`
+   */
+  async _action(title, action) {
+    this._setBusy(true)
+    try {
+      await this.reportBusyWhile(title, action)
+      this.emitter.emit("did-change-toolchains")
+    } catch (e) {
+      atom.notifications.addError(`${title} failed`, {
+        detail: `${e.message || e}`,
+        dismissable: true,
+        _src: "ide-rust",
+      })
+    } finally {
+      this._setBusy(false)
+      await this.refresh()
+    }
+  }
+
+  _setBusy(busy) {
+    this._busy = busy
+    this.element.classList.toggle("busy", busy)
+    for (const button of this.element.querySelectorAll(".toolchain-item .btn, .toolchain-project .btn")) {
+      button.disabled = busy
+    }
+  }
+
+  destroy() {
+    this.disposables.dispose()
+    this.emitter.dispose()
+    this.installEditor.destroy()
+    this.element.remove()
+  }
+}
+
+module.exports = { ToolchainView, TOOLCHAINS_URI }
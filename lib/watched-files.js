@@ -0,0 +1,136 @@
+const path = require("path")
+const { Convert } = require("atom-languageclient")
+
+const DID_CHANGE_WATCHED_FILES = "workspace/didChangeWatchedFiles"
+
+/** @type {boolean} Whether paths differing only by case refer to the same file */
+const CASE_INSENSITIVE = process.platform === "win32"
+
+/**
+ * @param {string} filePath Path or glob
+ * @returns {string} With `/` separators on all platforms
+ */
+function normalizeSeparators(filePath) {
+  return process.platform === "win32" ? filePath.replace(/\\/g, "/") : filePath
+}
+
+/**
+ * Converts a LSP glob pattern into a regex matching `/` separated paths. Supports `*`, `**`, `?`, `{a,b}` groups &
+ * `[a-z]` / `[!a-z]` character ranges.
+ *
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let source = ""
+  let groupDepth = 0
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i]
+    if (c === "*" && glob[i + 1] === "*") {
+      i++
+      if (glob[i + 1] === "/") {
+        // `**/` matches any number of directories, including none
+        i++
+        source += "(?:.*/)?"
+      } else {
+        source += ".*"
+      }
+    } else if (c === "*") {
+      source += "[^/]*"
+    } else if (c === "?") {
+      source += "[^/]"
+    } else if (c === "{") {
+      groupDepth++
+      source += "(?:"
+    } else if (c === "}" && groupDepth) {
+      groupDepth--
+      source += ")"
+    } else if (c === "," && groupDepth) {
+      source += "|"
+    } else if (c === "[" && glob.indexOf("]", i + 2) > i) {
+      const end = glob.indexOf("]", i + 2)
+      const range = glob.slice(i + 1, end).replace(/\\/g, "\\\\")
+      source += range.startsWith("!") ? `[^${range.slice(1)}]` : `[${range}]`
+      i = end
+    } else {
+      source += c.replace(/[$()*+.?[\\\]^{|}]/, "\\$&")
+    }
+  }
+  return new RegExp(`^${source}$`, CASE_INSENSITIVE ? "i" : "")
+}
+
+/**
+ * @param {string} glob Normalized glob
+ * @returns {boolean} The glob matches absolute paths, ie `/foo/**` or `c:/foo/**`
+ */
+function isAbsoluteGlob(glob) {
+  return glob.startsWith("/") || /^[a-z]:\//i.test(glob)
+}
+
+/**
+ * @param {string | ls.RelativePattern} globPattern
+ * @returns {{ regex: RegExp; isAbsolute: boolean }}
+ */
+function watcherMatcher(globPattern) {
+  let glob = globPattern
+  if (typeof globPattern === "object") {
+    const { baseUri, pattern } = globPattern
+    const base = Convert.uriToPath(typeof baseUri === "string" ? baseUri : baseUri.uri)
+    glob = `${normalizeSeparators(base).replace(/\/$/, "")}/${pattern}`
+  }
+  glob = normalizeSeparators(glob)
+  return { regex: globToRegExp(glob), isAbsolute: isAbsoluteGlob(glob) }
+}
+
+/**
+ * File watchers rust-analyzer registers dynamically with `client/registerCapability`, used to only forward the file
+ * changes it is interested in.
+ *
+ * @param {string} projectPath Root that relative patterns are matched against
+ */
+class WatchedFiles {
+  constructor(projectPath) {
+    this.projectPath = projectPath
+    /** @type {Map<string, { regex: RegExp; isAbsolute: boolean }[]>} Registration id -> matchers */
+    this.registrations = new Map()
+  }
+
+  /** @param {ls.RegistrationParams} params */
+  register({ registrations }) {
+    for (const { id, method, registerOptions } of registrations) {
+      if (method === DID_CHANGE_WATCHED_FILES) {
+        const watchers = (registerOptions && registerOptions.watchers) || []
+        this.registrations.set(
+          id,
+          watchers.map((watcher) => watcherMatcher(watcher.globPattern))
+        )
+      }
+    }
+  }
+
+  /** @param {ls.UnregistrationParams} params */
+  unregister({ unregisterations }) {
+    for (const { id, method } of unregisterations || []) {
+      if (method === DID_CHANGE_WATCHED_FILES) {
+        this.registrations.delete(id)
+      }
+    }
+  }
+
+  /**
+   * @param {string} filePath
+   * @returns {boolean} The path matches a registered watcher
+   */
+  matches(filePath) {
+    const absolute = normalizeSeparators(filePath)
+    const relative = normalizeSeparators(path.relative(this.projectPath, filePath))
+    for (const matchers of this.registrations.values()) {
+      if (matchers.some(({ regex, isAbsolute }) => regex.test(isAbsolute ? absolute : relative))) {
+        return true
+      }
+    }
+    return false
+  }
+}
+
+module.exports = { WatchedFiles, globToRegExp }
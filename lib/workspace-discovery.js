@@ -0,0 +1,147 @@
+const fs = require("fs")
+const path = require("path")
+const { globToRegExp } = require("./watched-files")
+
+/** Project manifests rust-analyzer can load, in order of preference within a directory */
+const MANIFESTS = ["rust-project.json", "Cargo.toml"]
+
+/** Ignore files read in each directory, gitignore syntax */
+const IGNORE_FILES = [".gitignore", ".ignore"]
+
+/** Directories never searched, besides hidden directories */
+const SKIPPED_DIRS = new Set(["target", "node_modules"])
+
+const STORAGE_PREFIX = "ide-rust.excludedProjects:"
+
+/** @typedef {{ regex: RegExp; negated: boolean; dirOnly: boolean }} IgnoreRule */
+
+/**
+ * @param {string} text Contents of a `.gitignore`
+ * @returns {IgnoreRule[]} Rules matching paths relative to the ignore file's directory
+ */
+function parseIgnoreFile(text) {
+  const rules = []
+  for (const line of text.split(/\r?\n/)) {
+    let pattern = line.replace(/(?<!\\)\s+$/, "")
+    if (!pattern || pattern.startsWith("#")) {
+      continue
+    }
+    const negated = pattern.startsWith("!")
+    if (negated) {
+      pattern = pattern.slice(1)
+    }
+    const dirOnly = pattern.endsWith("/")
+    pattern = pattern.replace(/\/+$/, "")
+    // patterns without an inner slash match at any depth
+    const anchored = pattern.includes("/")
+    pattern = pattern.replace(/^\//, "").replace(/\\([ !#])/g, "$1")
+    if (pattern) {
+      rules.push({ regex: globToRegExp(anchored ? pattern : `**/${pattern}`), negated, dirOnly })
+    }
+  }
+  return rules
+}
+
+/**
+ * @param {{ dir: string; rules: IgnoreRule[] }[]} ignores Rules of each directory's ignore files, outermost first
+ * @param {string} filePath
+ * @param {boolean} isDir
+ * @returns {boolean} Whether the last matching rule ignores the path
+ */
+function isIgnored(ignores, filePath, isDir) {
+  let ignored = false
+  for (const { dir, rules } of ignores) {
+    const relativePath = path.relative(dir, filePath).split(path.sep).join("/")
+    for (const rule of rules) {
+      if ((!rule.dirOnly || isDir) && rule.regex.test(relativePath)) {
+        ignored = !rule.negated
+      }
+    }
+  }
+  return ignored
+}
+
+/**
+ * @param {string} dir
+ * @returns {Promise<IgnoreRule[]>}
+ */
+async function readIgnoreRules(dir) {
+  const texts = await Promise.all(
+    IGNORE_FILES.map((file) => fs.promises.readFile(path.join(dir, file), "utf8").catch(() => ""))
+  )
+  return texts.reduce((rules, text) => rules.concat(parseIgnoreFile(text)), [])
+}
+
+/**
+ * Finds the cargo & `rust-project.json` projects within a directory. Directories with a manifest aren't searched
+ * further, as nested crates are normally workspace members or path dependencies.
+ *
+ * @param {string} root
+ * @param {number} maxDepth Directory levels below the root to search
+ * @returns {Promise<string[]>} Sorted manifest paths
+ */
+async function discoverProjects(root, maxDepth) {
+  const manifests = []
+
+  const search = async (dir, depth, ignores) => {
+    let entries
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true })
+    } catch (e) {
+      return
+    }
+    const manifest = MANIFESTS.find((name) => entries.some((entry) => entry.isFile() && entry.name === name))
+    if (manifest) {
+      manifests.push(path.join(dir, manifest))
+      return
+    }
+    if (depth >= maxDepth) {
+      return
+    }
+
+    const rules = await readIgnoreRules(dir)
+    const dirIgnores = rules.length ? [...ignores, { dir, rules }] : ignores
+    const subdirs = entries
+      .filter((entry) => entry.isDirectory() && !entry.name.startsWith(".") && !SKIPPED_DIRS.has(entry.name))
+      .map((entry) => path.join(dir, entry.name))
+      .filter((entryPath) => !isIgnored(dirIgnores, entryPath, true))
+    // manifests are sorted once found, so the order directories finish in doesn't matter
+    await Promise.all(subdirs.map((subdir) => search(subdir, depth + 1, dirIgnores)))
+  }
+
+  await search(root, 0, [])
+  return manifests.sort()
+}
+
+/**
+ * @param {string} projectPath
+ * @returns {string[] | null} Manifest paths the user chose not to load, null if the user hasn't chosen
+ */
+function loadExcludedProjects(projectPath) {
+  try {
+    const excluded = JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${projectPath}`))
+    return Array.isArray(excluded) ? excluded.map((file) => path.join(projectPath, file)) : null
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Persists the projects not to load, so projects found later are still loaded
+ *
+ * @param {string} projectPath
+ * @param {string[]} excluded Manifest paths
+ */
+function saveExcludedProjects(projectPath, excluded) {
+  const relativePaths = excluded.map((file) => path.relative(projectPath, file))
+  localStorage.setItem(`${STORAGE_PREFIX}${projectPath}`, JSON.stringify(relativePaths))
+}
+
+module.exports = {
+  MANIFESTS,
+  parseIgnoreFile,
+  isIgnored,
+  discoverProjects,
+  loadExcludedProjects,
+  saveExcludedProjects,
+}
@@ -0,0 +1,168 @@
+const { Point } = require("atom")
+const { Convert } = require("atom-languageclient")
+const ApplyEditAdapter = require("atom-languageclient/build/lib/adapters/apply-edit-adapter").default
+
+/** `InsertTextFormat.Snippet` */
+const SNIPPET_FORMAT = 2
+
+/**
+ * Converts a snippet to plain text, as used by rust-analyzer's `SnippetTextEdit`. The final tab stop `$0`, or otherwise
+ * the first tab stop, gives the cursor position.
+ *
+ * @param {string} snippet Ie "fn foo() { $0 }" or "let ${0:x} = 1;"
+ * @returns {{ text: string; cursor: { offset: number; length: number } | null }}
+ */
+function parseSnippet(snippet) {
+  let text = ""
+  const tabStops = []
+  const re = /\\([$\\}])|\$(\d+)|\${(\d+)(?::((?:\\.|[^\\}])*))?}/g
+  let last = 0
+  let match
+  while ((match = re.exec(snippet))) {
+    text += snippet.slice(last, match.index)
+    last = re.lastIndex
+    const [, escaped, bareStop, stop, placeholder] = match
+    if (escaped) {
+      text += escaped
+    } else {
+      const value = (placeholder || "").replace(/\\([$\\}])/g, "$1")
+      tabStops.push({ index: Number(bareStop || stop), offset: text.length, length: value.length })
+      text += value
+    }
+  }
+  text += snippet.slice(last)
+
+  const cursor = tabStops.find((t) => t.index === 0) || tabStops.sort((a, b) => a.index - b.index)[0]
+  return { text, cursor: cursor ? { offset: cursor.offset, length: cursor.length } : null }
+}
+
+/**
+ * @param {Point} start
+ * @param {string} text
+ * @returns {Point} Position after inserting `text` at `start`
+ */
+function traverseText(start, text) {
+  const lines = text.split("\n")
+  const lastLine = lines[lines.length - 1]
+  return lines.length === 1
+    ? new Point(start.row, start.column + lastLine.length)
+    : new Point(start.row + lines.length - 1, lastLine.length)
+}
+
+/**
+ * @param {ls.WorkspaceEdit} edit
+ * @returns {(ls.TextDocumentEdit | ls.CreateFile | ls.RenameFile | ls.DeleteFile)[]}
+ */
+function documentChanges(edit) {
+  if (edit.documentChanges) {
+    return edit.documentChanges
+  }
+  return Object.keys(edit.changes || {}).map((uri) => ({
+    textDocument: { uri, version: null },
+    edits: edit.changes[uri],
+  }))
+}
+
+/**
+ * Applies text edits to a document, converting snippet edits & tracking where they want the cursor.
+ *
+ * @param {ls.TextDocumentEdit} documentEdit
+ * @returns {Promise<{ editor: TextEditor; checkpoint: number; selections: Range[] }>}
+ */
+async function applyDocumentEdit(documentEdit) {
+  const editor = await atom.workspace.open(Convert.uriToPath(documentEdit.textDocument.uri), {
+    searchAllPanes: true,
+    activatePane: false,
+    activateItem: false,
+  })
+  const buffer = editor.getBuffer()
+
+  const snippets = []
+  const edits = documentEdit.edits.map((lsEdit) => {
+    const edit = Convert.convertLsTextEdit(lsEdit)
+    if (lsEdit.insertTextFormat === SNIPPET_FORMAT) {
+      const { text, cursor } = parseSnippet(lsEdit.newText)
+      edit.newText = text
+      if (cursor) {
+        // the marker moves with edits before it so gives the final position of the edit
+        const marker = buffer.markPosition(edit.oldRange.start, { invalidate: "never" })
+        snippets.push({ marker, text, cursor })
+      }
+    }
+    return edit
+  })
+
+  try {
+    const checkpoint = ApplyEditAdapter.applyEdits(buffer, edits)
+    const selections = snippets.map(({ marker, text, cursor }) => {
+      const start = traverseText(marker.getStartPosition(), text.slice(0, cursor.offset))
+      return [start, traverseText(start, text.substr(cursor.offset, cursor.length))]
+    })
+    return { editor, checkpoint, selections }
+  } finally {
+    snippets.forEach(({ marker }) => marker.destroy())
+  }
+}
+
+/**
+ * Applies a workspace edit, supporting rust-analyzer snippet text edits & file operations. Changes are applied in order
+ * so files can be created then edited. If any change fails all text edits are reverted.
+ *
+ * @param {ls.WorkspaceEdit} edit
+ * @returns {Promise<boolean>} Applied successfully
+ */
+async function applyWorkspaceEdit(edit) {
+  const applied = []
+  try {
+    for (const change of documentChanges(edit)) {
+      if (change.kind) {
+        // create/rename/delete file
+        // eslint-disable-next-line no-await-in-loop
+        await ApplyEditAdapter.handleResourceOperation(change).catch((e) => {
+          throw new Error(`Error during ${change.kind} resource operation: ${e.message}`)
+        })
+      } else {
+        // eslint-disable-next-line no-await-in-loop
+        applied.push(await applyDocumentEdit(change))
+      }
+    }
+  } catch (e) {
+    applied.forEach(({ editor, checkpoint }) => editor.getBuffer().revertToCheckpoint(checkpoint))
+    atom.notifications.addError("Failed to apply rust-analyzer edit", {
+      detail: `${e.message || e}`,
+      dismissable: true,
+    })
+    return false
+  }
+
+  const withSelections = applied.find(({ selections }) => selections.length)
+  if (withSelections) {
+    const { editor, selections } = withSelections
+    await atom.workspace.open(editor, { searchAllPanes: true })
+    editor.setSelectedBufferRanges(selections)
+  }
+  return true
+}
+
+/**
+ * Applies a legacy `rust-analyzer.applySourceChange` command argument
+ *
+ * @param {{ label: string; workspaceEdit: ls.WorkspaceEdit; cursorPosition?: ls.TextDocumentPositionParams }} change
+ * @returns {Promise<boolean>} Applied successfully
+ */
+async function applySourceChange({ workspaceEdit, cursorPosition }) {
+  const applied = await applyWorkspaceEdit(workspaceEdit)
+  if (applied && cursorPosition) {
+    const editor = await atom.workspace.open(Convert.uriToPath(cursorPosition.textDocument.uri), {
+      searchAllPanes: true,
+    })
+    editor.setCursorBufferPosition(Convert.positionToPoint(cursorPosition.position))
+  }
+  return applied
+}
+
+module.exports = {
+  applyWorkspaceEdit,
+  applySourceChange,
+  parseSnippet,
+}
@@ -0,0 +1,76 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { CargoRegistry, compareVersions, latestEntry, entryFeatures, indexPath } = require("../lib/cargo-registry")
+
+/**
+ * @param {object[]} entries
+ * @returns {Buffer} Index cache file of the entries
+ */
+function cacheFile(entries) {
+  const header = Buffer.from([3, 2, 0, 0, 0])
+  const body = ["etag", ...entries.flatMap((entry) => [entry.vers, JSON.stringify(entry)])].map((s) => `${s}\0`)
+  return Buffer.concat([header, Buffer.from(body.join(""))])
+}
+
+describe("compareVersions", () => {
+  it("orders by semver", () => {
+    const sorted = ["1.10.0", "1.2.0", "1.2.0-beta.2", "0.9.1", "1.2.0-beta.10"].sort(compareVersions)
+    expect(sorted).toEqual(["0.9.1", "1.2.0-beta.2", "1.2.0-beta.10", "1.2.0", "1.10.0"])
+  })
+})
+
+describe("latestEntry", () => {
+  it("skips yanked versions & pre-releases", () => {
+    const entries = [
+      { vers: "2.0.0-rc.1", yanked: false },
+      { vers: "1.1.0", yanked: true },
+      { vers: "1.0.3", yanked: false },
+    ]
+    expect(latestEntry(entries).vers).toBe("1.0.3")
+    expect(latestEntry([entries[0]]).vers).toBe("2.0.0-rc.1")
+  })
+})
+
+describe("entryFeatures", () => {
+  it("includes optional dependencies not enabled with `dep:`", () => {
+    const entry = {
+      vers: "1.0.0",
+      features: { default: ["std"], std: [] },
+      features2: { serde: ["dep:serde"] },
+      deps: [
+        { name: "serde", optional: true },
+        { name: "rayon", optional: true },
+        { name: "libc", optional: false },
+      ],
+    }
+    expect(entryFeatures(entry)).toEqual(["default", "rayon", "serde", "std"])
+  })
+})
+
+describe("CargoRegistry", () => {
+  let cargoHome
+
+  beforeEach(() => {
+    cargoHome = fs.mkdtempSync(path.join(os.tmpdir(), "ide-rust-cargo-"))
+    const cache = path.join(cargoHome, "registry", "index", "index.crates.io-6f17d22bba15001f", ".cache")
+    for (const [name, versions] of [
+      ["serde", ["1.0.100", "1.0.190"]],
+      ["syn", ["2.0.0"]],
+      ["cc", ["1.0.0"]],
+    ]) {
+      const file = path.join(cache, indexPath(name))
+      fs.mkdirSync(path.dirname(file), { recursive: true })
+      fs.writeFileSync(file, cacheFile(versions.map((vers) => ({ name, vers, yanked: false, deps: [], features: {} }))))
+    }
+  })
+
+  afterEach(() => fs.rmdirSync(cargoHome, { recursive: true }))
+
+  it("reads crate names & versions from the index cache", async () => {
+    const registry = new CargoRegistry(cargoHome)
+    expect(await registry.crateNames()).toEqual(["cc", "serde", "syn"])
+    expect((await registry.crateVersions("serde")).map((entry) => entry.vers)).toEqual(["1.0.190", "1.0.100"])
+    expect(await registry.crateVersions("tokio")).toEqual([])
+  })
+})
@@ -0,0 +1,92 @@
+const path = require("path")
+const { parseCargoMessage, toLinterMessage } = require("../lib/cargo")
+
+const ROOT = path.join(__dirname, "fixtures")
+
+/** @returns {object} Rustc diagnostic span */
+function span(line, column, length, extra = {}) {
+  return Object.assign(
+    {
+      file_name: "src/main.rs",
+      line_start: line,
+      line_end: line,
+      column_start: column,
+      column_end: column + length,
+      is_primary: true,
+      label: null,
+      suggested_replacement: null,
+      expansion: null,
+    },
+    extra
+  )
+}
+
+describe("parseCargoMessage", () => {
+  it("parses json messages only", () => {
+    expect(parseCargoMessage('{"reason":"build-finished","success":true}')).toEqual({
+      reason: "build-finished",
+      success: true,
+    })
+    expect(parseCargoMessage("test tests::it_works ... ok")).toBe(null)
+    expect(parseCargoMessage("{ not json")).toBe(null)
+  })
+})
+
+describe("toLinterMessage", () => {
+  it("locates the primary span with references & solutions", () => {
+    const message = toLinterMessage(
+      {
+        message: "mismatched types",
+        level: "error",
+        code: { code: "E0308" },
+        spans: [
+          span(4, 18, 2, { label: "expected `u32`, found `&str`" }),
+          span(4, 12, 3, { is_primary: false, label: "expected due to this" }),
+        ],
+        children: [
+          {
+            message: "try using a conversion method",
+            level: "help",
+            spans: [span(4, 18, 2, { suggested_replacement: '"1".parse().unwrap()' })],
+          },
+        ],
+      },
+      ROOT,
+      "cargo check"
+    )
+
+    expect(message.severity).toBe("error")
+    expect(message.location.file).toBe(path.join(ROOT, "src", "main.rs"))
+    expect(message.location.position.serialize()).toEqual([
+      [3, 17],
+      [3, 19],
+    ])
+    expect(message.url).toBe("https://doc.rust-lang.org/error_codes/E0308.html")
+    expect(message.reference.position.serialize()).toEqual([3, 11])
+    expect(message.solutions[0].replaceWith).toBe('"1".parse().unwrap()')
+    expect(message.description).toBe(
+      "- `src/main.rs:4:12` expected due to this\n- **help**: try using a conversion method"
+    )
+  })
+
+  it("uses the call site of external macros", () => {
+    const external = span(10, 1, 5, {
+      file_name: "/rustlib/src/rust/library/core/src/macros/mod.rs",
+      expansion: { span: span(7, 5, 14, { is_primary: false }) },
+    })
+    const message = toLinterMessage(
+      { message: "unused result", level: "warning", code: null, spans: [external], children: [] },
+      ROOT,
+      "cargo clippy"
+    )
+    expect(message.severity).toBe("warning")
+    expect(message.location.position.serialize()).toEqual([
+      [6, 4],
+      [6, 18],
+    ])
+  })
+
+  it("skips diagnostics without spans", () => {
+    expect(toLinterMessage({ message: "aborting", level: "error", spans: [], children: [] }, ROOT, "")).toBe(null)
+  })
+})
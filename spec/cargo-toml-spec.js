@@ -0,0 +1,118 @@
+const { scanDependencies, completionContext, isOutdated, bumpRequirement } = require("../lib/cargo-toml")
+
+const MANIFEST = [
+  "[package]",
+  'name = "app"',
+  'version = "0.1.0"',
+  "",
+  "[dependencies]",
+  'serde = "1.0"',
+  'json = { package = "serde_json", version = "^1.0.100", features = ["std"] }',
+  'local = { path = "../local" }',
+  'rand.version = "0.7"',
+  "",
+  "[target.'cfg(unix)'.dev-dependencies.nix]",
+  'rust-version = "1.60"',
+  'version = "0.26"',
+].join("\n")
+
+describe("scanDependencies", () => {
+  it("finds dependencies, requirements & renames", () => {
+    const deps = scanDependencies(MANIFEST).map((dep) => ({
+      table: dep.table.join("."),
+      name: dep.name,
+      req: dep.req,
+      reqRange: dep.reqRange && dep.reqRange.serialize(),
+      package: dep.package,
+    }))
+    expect(deps).toEqual([
+      {
+        table: "dependencies",
+        name: "serde",
+        req: "1.0",
+        reqRange: [
+          [5, 9],
+          [5, 12],
+        ],
+        package: null,
+      },
+      {
+        table: "dependencies",
+        name: "json",
+        req: "^1.0.100",
+        reqRange: [
+          [6, 44],
+          [6, 52],
+        ],
+        package: "serde_json",
+      },
+      { table: "dependencies", name: "local", req: null, reqRange: null, package: null },
+      {
+        table: "dependencies",
+        name: "rand",
+        req: "0.7",
+        reqRange: [
+          [8, 16],
+          [8, 19],
+        ],
+        package: null,
+      },
+      {
+        table: "target.cfg(unix).dev-dependencies",
+        name: "nix",
+        req: "0.26",
+        reqRange: [
+          [12, 11],
+          [12, 15],
+        ],
+        package: null,
+      },
+    ])
+  })
+})
+
+describe("completionContext", () => {
+  const context = (line, table = "[dependencies]") => {
+    return completionContext([table, line], { row: 1, column: line.length })
+  }
+
+  it("completes crate names, versions & features", () => {
+    expect(context("ser")).toEqual({ kind: "crate", prefix: "ser" })
+    expect(context('serde = "1.')).toEqual({ kind: "version", name: "serde", prefix: "1." })
+    expect(context('serde = { version = "^1')).toEqual({ kind: "version", name: "serde", prefix: "^1" })
+    expect(context('serde = { version = "1", features = ["derive", "st')).toEqual({
+      kind: "feature",
+      name: "serde",
+      prefix: "st",
+      listed: ["derive"],
+    })
+    expect(context('features = ["', "[dependencies.tokio]")).toEqual({
+      kind: "feature",
+      name: "tokio",
+      prefix: "",
+      listed: [],
+    })
+    expect(context('name = "ap', "[package]")).toBe(null)
+  })
+})
+
+describe("isOutdated", () => {
+  it("checks whether requirements exclude the latest version", () => {
+    expect(isOutdated("1.0", "1.0.190")).toBe(false)
+    expect(isOutdated("1.0", "2.0.0")).toBe(true)
+    expect(isOutdated("0.7", "0.8.5")).toBe(true)
+    expect(isOutdated("0.0.3", "0.0.4")).toBe(true)
+    expect(isOutdated("~1.2", "1.3.0")).toBe(true)
+    expect(isOutdated("=1.2.3", "1.2.4")).toBe(true)
+    expect(isOutdated("2.0", "1.9.0")).toBe(false)
+    expect(isOutdated(">=1.0, <3", "3.0.0")).toBe(false)
+  })
+})
+
+describe("bumpRequirement", () => {
+  it("keeps the operator & precision", () => {
+    expect(bumpRequirement("0.7", "0.8.5")).toBe("0.8")
+    expect(bumpRequirement("^1.0.100", "2.1.0")).toBe("^2.1.0")
+    expect(bumpRequirement("=1", "3.0.2")).toBe("=3")
+  })
+})
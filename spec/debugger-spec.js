@@ -0,0 +1,73 @@
+const path = require("path")
+const { isDebuggable, buildRunnable, builtExecutable, processConfig } = require("../lib/debugger")
+
+/**
+ * @param {string[]} cargoArgs
+ * @returns {Runnable}
+ */
+const cargoRunnable = (cargoArgs) => ({
+  label: "test tests::it_works",
+  kind: "cargo",
+  args: { workspaceRoot: "/project", cargoArgs, cargoExtraArgs: [], executableArgs: ["tests::it_works", "--exact"] },
+})
+
+/**
+ * @param {string} executable
+ * @param {string[]} kind
+ * @param {boolean} test
+ * @returns {object} Cargo `compiler-artifact` message
+ */
+const artifact = (executable, kind, test) => ({
+  reason: "compiler-artifact",
+  target: { kind },
+  profile: { test },
+  executable,
+})
+
+describe("debugger", () => {
+  it("builds runnables without running them", () => {
+    expect(isDebuggable(cargoRunnable(["test", "--doc"]))).toBe(false)
+    expect(buildRunnable(cargoRunnable(["run", "--bin", "app"])).args.cargoArgs).toEqual([
+      "build",
+      "--bin",
+      "app",
+      "--message-format=json",
+    ])
+    const build = buildRunnable(cargoRunnable(["test", "--package", "app", "--lib"]))
+    expect(build.args.cargoArgs).toEqual(["test", "--no-run", "--package", "app", "--lib", "--message-format=json"])
+    expect(build.args.executableArgs).toEqual([])
+  })
+
+  it("finds the built executable", () => {
+    const messages = [
+      artifact(null, ["lib"], false),
+      artifact("/project/target/debug/build/app-1/build-script-build", ["custom-build"], false),
+      artifact("/project/target/debug/app", ["bin"], false),
+      artifact("/project/target/debug/deps/app-2", ["bin"], true),
+    ]
+    expect(builtExecutable(messages, cargoRunnable(["test", "--bin", "app"]))).toBe("/project/target/debug/deps/app-2")
+    expect(builtExecutable(messages, cargoRunnable(["run", "--bin", "app"]))).toBe("/project/target/debug/app")
+    expect(() => builtExecutable([], cargoRunnable(["run"]))).toThrowError("The build produced no executable to debug")
+  })
+
+  it("launches lldb with the rust pretty printers", () => {
+    const config = processConfig({
+      adapter: "lldb",
+      command: "/usr/bin/lldb-dap",
+      name: "run app",
+      program: "/project/target/debug/app",
+      args: ["--verbose"],
+      cwd: "/project",
+      env: { RUST_LOG: "debug" },
+      sysroot: path.join(__dirname, "fixtures", "no-sysroot"),
+    })
+    expect(config.adapterExecutable).toEqual({ command: "/usr/bin/lldb-dap", args: [] })
+    expect(config.config).toEqual({
+      program: "/project/target/debug/app",
+      args: ["--verbose"],
+      cwd: "/project",
+      env: ["RUST_LOG=debug"],
+      initCommands: [],
+    })
+  })
+})
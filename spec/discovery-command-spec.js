@@ -0,0 +1,35 @@
+const path = require("path")
+const { runDiscoveryCommand, isDiscoveryInput } = require("../lib/discovery-command")
+
+describe("runDiscoveryCommand", () => {
+  const node = (script) => [process.execPath, "-e", script]
+
+  it("parses the printed rust-project.json", async () => {
+    const project = { sysroot_src: "/sysroot", crates: [{ root_module: "src/lib.rs", edition: "2021", deps: [] }] }
+    expect(await runDiscoveryCommand(__dirname, node(`console.log('${JSON.stringify(project)}')`))).toEqual(project)
+  })
+
+  it("rejects with stderr when the command fails", async () => {
+    const error = await runDiscoveryCommand(__dirname, node("console.error('no BUILD file'); process.exit(2)")).catch(
+      (e) => e
+    )
+    expect(error.message).toBe("Exited with code 2")
+    expect(error.stderr).toEqual(["no BUILD file"])
+  })
+
+  it("rejects output that isn't a project", async () => {
+    const error = await runDiscoveryCommand(__dirname, node("console.log('{}')")).catch((e) => e)
+    expect(error.message).toBe("Output isn't a `rust-project.json`, it has no `crates`")
+  })
+})
+
+describe("isDiscoveryInput", () => {
+  it("matches changed paths against the watched globs", () => {
+    const root = path.join(__dirname, "fixtures")
+    const globs = ["**/BUCK", "tools/*.bzl"]
+    expect(isDiscoveryInput(root, globs, [path.join(root, "lib", "BUCK")])).toBe(true)
+    expect(isDiscoveryInput(root, globs, [path.join(root, "tools", "rust.bzl")])).toBe(true)
+    expect(isDiscoveryInput(root, globs, [path.join(root, "lib", "tools", "rust.bzl")])).toBe(false)
+    expect(isDiscoveryInput(root, globs, [path.join(__dirname, "BUCK")])).toBe(false)
+  })
+})
@@ -0,0 +1,96 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { parseManifest, diffPackages, describeUpdate, fetchLatestDist } = require("../lib/dist-fetch")
+
+const TARGET = "x86_64-unknown-linux-gnu"
+
+/** @returns {string} Minimal channel manifest toml */
+function manifest({ date, rustc, clippy, rustAnalyzer }) {
+  const pkg = (name, version) =>
+    `[pkg.${name}]\nversion = "${version}"\n\n[pkg.${name}.target.${TARGET}]\navailable = true\nurl = ""\n`
+  return [
+    'manifest-version = "2"',
+    `date = "${date}"`,
+    "",
+    pkg("rustc", rustc),
+    clippy ? pkg("clippy-preview", clippy) : "",
+    rustAnalyzer ? pkg("rust-analyzer", rustAnalyzer) : "",
+    '[pkg.rust-src]\nversion = "1.70.0 (90c541806 2023-05-31)"\n\n[pkg.rust-src.target."*"]\navailable = true',
+    "[renames.rls]",
+    'to = "rls-preview"',
+  ].join("\n")
+}
+
+const OLD = manifest({
+  date: "2023-06-01",
+  rustc: "1.70.0 (90c541806 2023-05-31)",
+  clippy: "0.1.70 (90c5418 2023-05-31)",
+})
+const NEW = manifest({
+  date: "2023-07-13",
+  rustc: "1.71.0 (8ede3aae2 2023-07-12)",
+  clippy: "0.1.71 (8ede3aa 2023-07-12)",
+  rustAnalyzer: "1.71.0 (8ede3aa 2023-07-12)",
+})
+
+describe("parseManifest", () => {
+  it("summarises the date, rustc & available packages", () => {
+    expect(parseManifest(NEW, TARGET)).toEqual({
+      date: "2023-07-13",
+      version: "1.71.0 (8ede3aae2 2023-07-12)",
+      packages: {
+        rustc: "1.71.0",
+        cargo: null,
+        "rust-src": "1.70.0",
+        rustfmt: null,
+        clippy: "0.1.71",
+        "rust-analyzer": "1.71.0",
+      },
+    })
+    expect(parseManifest(NEW, "aarch64-apple-darwin").packages.clippy).toBe(null)
+  })
+})
+
+describe("describeUpdate", () => {
+  it("lists component changes", () => {
+    const changes = diffPackages(parseManifest(OLD, TARGET).packages, parseManifest(NEW, TARGET).packages)
+    expect(describeUpdate({ version: "1.71.0 (8ede3aae2 2023-07-12)", date: "2023-07-13", changes })).toBe(
+      [
+        "rustc 1.71.0 (8ede3aae2 2023-07-12), released 2023-07-13",
+        "",
+        "- `rustc` 1.70.0 → 1.71.0",
+        "- `clippy` 0.1.70 → 0.1.71",
+        "- `rust-analyzer` 1.71.0 added",
+      ].join("\n")
+    )
+  })
+})
+
+describe("fetchLatestDist", () => {
+  let mirror
+
+  beforeEach(() => {
+    mirror = fs.mkdtempSync(path.join(os.tmpdir(), "ide-rust-dist-"))
+    fs.mkdirSync(path.join(mirror, "dist"))
+    fs.writeFileSync(path.join(mirror, "dist", "channel-rust-stable.toml"), NEW)
+    atom.config.set("ide-rust.toolchainMirror", mirror)
+  })
+
+  afterEach(() => {
+    atom.config.unset("ide-rust.toolchainMirror")
+    fs.rmdirSync(mirror, { recursive: true })
+  })
+
+  it("reads directory mirrors", async () => {
+    const update = await fetchLatestDist({ toolchain: "stable", currentVersion: "rustc 1.70.0 (90c541806 2023-05-31)" })
+    expect(update.version).toBe("1.71.0 (8ede3aae2 2023-07-12)")
+    expect(update.date).toBe("2023-07-13")
+
+    const current = await fetchLatestDist({
+      toolchain: "stable",
+      currentVersion: "rustc 1.71.0 (8ede3aae2 2023-07-12)",
+    })
+    expect(current).toBe(null)
+  })
+})
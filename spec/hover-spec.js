@@ -0,0 +1,106 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { pathToFileURL } = require("url")
+const { splitFencedCode, rewriteLinks, actionsMarkdown } = require("../lib/hover")
+const { docLinkItem, rustupDocsUrl } = require("../lib/docs")
+
+describe("splitFencedCode", () => {
+  it("splits out fenced code in any language", () => {
+    const marked = splitFencedCode(
+      [
+        "```rust",
+        "pub struct Vec<T>",
+        "```",
+        "",
+        "---",
+        "A growable array.",
+        "",
+        "```toml",
+        "[dependencies]",
+        "```",
+        "~~~no_run",
+        "let v = vec![1];",
+        "~~~",
+      ].join("\n")
+    )
+    expect(marked.map((m) => [m.type, m.value])).toEqual([
+      ["snippet", "pub struct Vec<T>"],
+      ["markdown", "---\nA growable array."],
+      ["snippet", "[dependencies]"],
+      ["snippet", "let v = vec![1];"],
+    ])
+    expect(marked[0].grammar).toBe(atom.grammars.grammarForScopeName("source.rust"))
+    expect(marked[3].grammar).toBe(atom.grammars.grammarForScopeName("source.rust"))
+  })
+})
+
+describe("rewriteLinks", () => {
+  it("rewrites link targets outside inline code", () => {
+    const markdown = [
+      'See [`Vec::push`](https://doc.rust-lang.org/alloc/vec/struct.Vec.html#method.push "push") & `[a](b)`.',
+      "",
+      "[docs]: https://docs.rs/foo",
+    ].join("\n")
+    expect(rewriteLinks(markdown, (target) => `#${target.length}`)).toBe(
+      ['See [`Vec::push`](#63 "push") & `[a](b)`.', "", "[docs]: #19"].join("\n")
+    )
+  })
+})
+
+describe("actionsMarkdown", () => {
+  it("links supported commands", () => {
+    const actions = [
+      {
+        commands: [
+          { title: "▶︎ Run", command: "rust-analyzer.runSingle" },
+          { title: "Debug", command: "rust-analyzer.debugSingle" },
+        ],
+      },
+      { commands: [{ title: "Go to Foo", command: "rust-analyzer.gotoLocation" }] },
+    ]
+    const href = ({ command }) => (command === "rust-analyzer.debugSingle" ? null : `#${command}`)
+    expect(actionsMarkdown(actions, href)).toBe(
+      "[▶︎ Run](#rust-analyzer.runSingle)\n\n[Go to Foo](#rust-analyzer.gotoLocation)"
+    )
+  })
+})
+
+describe("docLinkItem", () => {
+  it("finds the item of rustdoc urls & intra-doc paths", () => {
+    expect(docLinkItem("https://docs.rs/serde-json/1.0.0/serde_json/value/enum.Value.html")).toEqual({
+      crate: "serde_json",
+      name: "Value",
+    })
+    expect(docLinkItem("https://doc.rust-lang.org/nightly/alloc/vec/struct.Vec.html#method.push")).toEqual({
+      crate: "alloc",
+      name: "push",
+    })
+    expect(docLinkItem("https://docs.rs/foo/0.1.0/foo/bar/index.html")).toEqual({ crate: "foo", name: "bar" })
+    expect(docLinkItem("crate::bar::Baz")).toEqual({ crate: null, name: "Baz" })
+    expect(docLinkItem("fn@do_it()")).toEqual({ crate: null, name: "do_it" })
+    expect(docLinkItem("mailto:me@example.com")).toBe(null)
+  })
+})
+
+describe("rustupDocsUrl", () => {
+  let sysroot
+  beforeEach(() => {
+    sysroot = fs.mkdtempSync(path.join(os.tmpdir(), "ide-rust-sysroot-"))
+    const dir = path.join(sysroot, "share", "doc", "rust", "html", "core", "option")
+    fs.mkdirSync(dir, { recursive: true })
+    fs.writeFileSync(path.join(dir, "enum.Option.html"), "")
+  })
+  afterEach(() => fs.rmdirSync(sysroot, { recursive: true }))
+
+  it("maps standard library urls to installed rustup docs", () => {
+    const page = path.join(sysroot, "share", "doc", "rust", "html", "core", "option", "enum.Option.html")
+    const url = `${pathToFileURL(page).href}#method.map`
+    expect(rustupDocsUrl("https://doc.rust-lang.org/nightly/core/option/enum.Option.html#method.map", sysroot)).toBe(
+      url
+    )
+    expect(rustupDocsUrl("https://doc.rust-lang.org/core/option/enum.Option.html#method.map", sysroot)).toBe(url)
+    expect(rustupDocsUrl("https://doc.rust-lang.org/nightly/std/vec/struct.Vec.html", sysroot)).toBe(null)
+    expect(rustupDocsUrl("https://docs.rs/foo/0.1.0/core/option/enum.Option.html", sysroot)).toBe(null)
+  })
+})
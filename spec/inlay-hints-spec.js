@@ -0,0 +1,59 @@
+const { fetchInlayHints } = require("../lib/inlay-hints")
+
+/**
+ * @param {object} capabilities
+ * @param {object} responses Results by request method
+ * @returns {ActiveServer}
+ */
+const fakeServer = (capabilities, responses) => ({
+  capabilities,
+  connection: { sendCustomRequest: (method) => Promise.resolve(responses[method]) },
+})
+
+const editor = { getPath: () => "/project/src/main.rs" }
+const range = { start: { row: 0, column: 0 }, end: { row: 9, column: 0 } }
+
+describe("fetchInlayHints", () => {
+  it("keeps every kind of standard hint, the server filters them", async () => {
+    const server = fakeServer(
+      { inlayHintProvider: true },
+      {
+        "textDocument/inlayHint": [
+          // chaining hints are sent as type hints
+          { position: { line: 2, character: 14 }, label: ": Iter<u8>", kind: 1, paddingLeft: true },
+          { position: { line: 3, character: 8 }, label: [{ value: "x" }, { value: ":" }], kind: 2, paddingRight: true },
+        ],
+      }
+    )
+    const hints = await fetchInlayHints(server, editor, range, { typeHints: false, parameterHints: false })
+    expect(hints.map(({ position, label, kind }) => [position.row, position.column, label, kind])).toEqual([
+      [2, 14, ": Iter<u8>", "type"],
+      [3, 8, "x:", "parameter"],
+    ])
+    expect(hints[0].paddingLeft).toBe(true)
+    expect(hints[1].paddingRight).toBe(true)
+  })
+
+  it("filters experimental hints by kind", async () => {
+    const hintRange = { start: { line: 1, character: 4 }, end: { line: 1, character: 5 } }
+    const server = fakeServer(
+      {},
+      {
+        "experimental/inlayHints": [
+          { range: hintRange, label: "i32", kind: "TypeHint" },
+          { range: hintRange, label: "Vec<i32>", kind: "ChainingHint" },
+          { range: hintRange, label: "n", kind: "ParameterHint" },
+        ],
+      }
+    )
+    const hints = await fetchInlayHints(server, editor, range, {
+      typeHints: false,
+      parameterHints: true,
+      chainingHints: true,
+    })
+    expect(hints.map(({ position, label, kind }) => [position.column, label, kind])).toEqual([
+      [5, ": Vec<i32>", "chaining"],
+      [4, "n:", "parameter"],
+    ])
+  })
+})
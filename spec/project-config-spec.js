@@ -0,0 +1,44 @@
+const { parseSettings, deepMerge, settingsSection } = require("../lib/project-config")
+
+describe("parseSettings", () => {
+  it("accepts comments & trailing commas", () => {
+    const text = '{\n  // enable proc macros\n  "procMacro": { "enable": true, },\n  /* block */ "cargo": {},\n}'
+    expect(parseSettings(text)).toEqual({ settings: { procMacro: { enable: true }, cargo: {} }, problems: [] })
+  })
+
+  it("reports syntax errors with line & column", () => {
+    const { settings, problems } = parseSettings('{\n  "cargo": {\n    "features" ["a"]\n  }\n}')
+    expect(settings).toBe(null)
+    expect(problems).toEqual([{ message: "Expected `:`", severity: "error", line: 3, column: 16 }])
+  })
+
+  it("validates against the schema", () => {
+    const text = '{\n  "check": { "command": 1 },\n  "files": { "watcher": "x" },\n  "unknown": true\n}'
+    expect(parseSettings(text).problems).toEqual([
+      { message: "`check.command` must be string", severity: "error", line: 2, column: 14 },
+      { message: '`files.watcher` must be one of "client", "server"', severity: "error", line: 3, column: 14 },
+      { message: "Unknown setting `unknown`", severity: "warning", line: 4, column: 3 },
+    ])
+  })
+})
+
+describe("deepMerge", () => {
+  it("merges nested objects & replaces other values", () => {
+    const base = { cargo: { features: ["a"], buildScripts: { enable: true } }, checkOnSave: true }
+    const overrides = { cargo: { features: "all" }, checkOnSave: false }
+    expect(deepMerge(base, overrides)).toEqual({
+      cargo: { features: "all", buildScripts: { enable: true } },
+      checkOnSave: false,
+    })
+    expect(base.cargo.features).toEqual(["a"])
+  })
+})
+
+describe("settingsSection", () => {
+  it("finds nested sections", () => {
+    const settings = { cargo: { buildScripts: { enable: true } } }
+    expect(settingsSection(settings, "rust-analyzer")).toBe(settings)
+    expect(settingsSection(settings, "rust-analyzer.cargo.buildScripts")).toEqual({ enable: true })
+    expect(settingsSection(settings, "rust-analyzer.procMacro")).toBe(null)
+  })
+})
@@ -0,0 +1,43 @@
+const { parseTestLine, parseTestSummary, runnableInvocation, mostSpecificRunnable } = require("../lib/runnables")
+
+describe("runnables", () => {
+  it("parses libtest result lines", () => {
+    expect(parseTestLine("test tests::it_works ... ok")).toEqual({ name: "tests::it_works", result: "ok" })
+    expect(parseTestLine("test src/lib.rs - add (line 3) ... FAILED")).toEqual({
+      name: "src/lib.rs - add (line 3)",
+      result: "failed",
+    })
+    expect(parseTestLine("test slow ... ignored")).toEqual({ name: "slow", result: "ignored" })
+    expect(parseTestLine("running 3 tests")).toBeNull()
+  })
+
+  it("parses libtest summary lines", () => {
+    const summary = parseTestSummary("test result: FAILED. 1 passed; 2 failed; 3 ignored; 0 measured; 0 filtered out")
+    expect(summary).toEqual({ ok: false, passed: 1, failed: 2, ignored: 3 })
+  })
+
+  it("builds cargo invocations", () => {
+    const invocation = runnableInvocation({
+      label: "test tests::it_works",
+      kind: "cargo",
+      args: {
+        workspaceRoot: "/project",
+        cargoArgs: ["test", "--package", "foo", "--lib"],
+        cargoExtraArgs: [],
+        executableArgs: ["tests::it_works", "--exact", "--nocapture"],
+      },
+    })
+    expect(invocation).toEqual({
+      command: "cargo",
+      args: ["test", "--package", "foo", "--lib", "--", "tests::it_works", "--exact", "--nocapture"],
+      cwd: "/project",
+    })
+  })
+
+  it("picks the most specific runnable", () => {
+    const range = (start, end) => ({ start: { line: start, character: 0 }, end: { line: end, character: 0 } })
+    const runnable = (label, targetRange) => ({ label, location: targetRange && { targetRange } })
+    const test = runnable("test tests::it_works", range(4, 7))
+    expect(mostSpecificRunnable([runnable("cargo check"), runnable("test-mod tests", range(1, 10)), test])).toBe(test)
+  })
+})
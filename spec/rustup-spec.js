@@ -0,0 +1,37 @@
+const path = require("path")
+const { parseToolchainList, parseInstalledComponents, projectToolchain } = require("../lib/rustup")
+
+describe("parseToolchainList", () => {
+  it("parses names & flags", () => {
+    const stdout = "stable-x86_64-unknown-linux-gnu (active, default)\nnightly-2023-06-01-x86_64-unknown-linux-gnu\n"
+    expect(parseToolchainList(stdout)).toEqual([
+      { name: "stable-x86_64-unknown-linux-gnu", isDefault: true, isActive: true },
+      { name: "nightly-2023-06-01-x86_64-unknown-linux-gnu", isDefault: false, isActive: false },
+    ])
+    expect(parseToolchainList("no installed toolchains\n")).toEqual([])
+  })
+})
+
+describe("parseInstalledComponents", () => {
+  it("matches components with target suffixes", () => {
+    const stdout = [
+      "cargo-x86_64-unknown-linux-gnu",
+      "clippy-x86_64-apple-darwin",
+      "rust-analyzer-preview-x86_64-unknown-linux-gnu",
+      "rust-src",
+    ].join("\n")
+    expect(Array.from(parseInstalledComponents(stdout))).toEqual(["rust-src", "clippy"])
+  })
+})
+
+describe("projectToolchain", () => {
+  it("finds the nearest toolchain file", async () => {
+    const fixture = path.join(__dirname, "fixtures", "toolchain")
+    expect(await projectToolchain(path.join(fixture, "nested", "crate"))).toEqual({
+      toolchain: "nightly-2023-06-01",
+      source: "file",
+      components: ["rust-src", "rustfmt"],
+      filePath: path.join(fixture, "rust-toolchain.toml"),
+    })
+  })
+})
@@ -0,0 +1,36 @@
+const { decodeTokens, applyTokenEdits } = require("../lib/semantic-tokens")
+
+const legend = { tokenTypes: ["variable", "typeAlias"], tokenModifiers: ["declaration", "mutable"] }
+
+describe("decodeTokens", () => {
+  it("decodes relative positions & modifiers", () => {
+    expect(decodeTokens([1, 4, 3, 0, 3, 0, 6, 2, 1, 0, 2, 0, 1, 0, 2], legend)).toEqual([
+      {
+        row: 1,
+        column: 4,
+        length: 3,
+        className: "syntax--semantic syntax--variable syntax--declaration syntax--mutable",
+      },
+      { row: 1, column: 10, length: 2, className: "syntax--semantic syntax--type-alias" },
+      { row: 3, column: 0, length: 1, className: "syntax--semantic syntax--variable syntax--mutable" },
+    ])
+  })
+
+  it("skips unknown token types", () => {
+    expect(decodeTokens([0, 1, 1, 5, 0, 0, 2, 1, 0, 0], legend)).toEqual([
+      { row: 0, column: 3, length: 1, className: "syntax--semantic syntax--variable" },
+    ])
+  })
+})
+
+describe("applyTokenEdits", () => {
+  it("applies edits against the previous data", () => {
+    const data = [0, 1, 1, 0, 0, 1, 1, 1, 0, 0]
+    const edits = [
+      { start: 0, deleteCount: 1, data: [2] },
+      { start: 5, deleteCount: 5 },
+    ]
+    expect(applyTokenEdits(data, edits)).toEqual([2, 1, 1, 0, 0])
+    expect(data.length).toBe(10)
+  })
+})
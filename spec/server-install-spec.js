@@ -0,0 +1,94 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const zlib = require("zlib")
+const { pathToFileURL } = require("url")
+const {
+  releaseAsset,
+  compareVersions,
+  parseChecksum,
+  latestRelease,
+  installRelease,
+  installedReleases,
+} = require("../lib/server-install")
+
+describe("releaseAsset", () => {
+  it("names the platform's release", () => {
+    expect(releaseAsset("linux", "x64")).toBe("rust-analyzer-x86_64-unknown-linux-gnu.gz")
+    expect(releaseAsset("darwin", "arm64")).toBe("rust-analyzer-aarch64-apple-darwin.gz")
+    expect(releaseAsset("win32", "x64")).toBe("rust-analyzer-x86_64-pc-windows-msvc.zip")
+    expect(releaseAsset("sunos", "x64")).toBe(null)
+  })
+})
+
+describe("compareVersions", () => {
+  it("orders dated & numbered versions", () => {
+    expect(compareVersions("2023-06-19", "2023-06-12") > 0).toBe(true)
+    expect(compareVersions("2023-06-12", "2023-06-19") < 0).toBe(true)
+    expect(compareVersions("0.3.1566", "0.3.1566")).toBe(0)
+    expect(compareVersions("nightly", "2023-06-19") < 0).toBe(true)
+  })
+})
+
+describe("parseChecksum", () => {
+  it("reads sha256sum output", () => {
+    const hex = "A".repeat(64)
+    expect(parseChecksum(`${hex}  rust-analyzer-x86_64-unknown-linux-gnu.gz\n`)).toBe(hex.toLowerCase())
+    expect(parseChecksum("not a checksum")).toBe(null)
+  })
+})
+
+describe("directory mirror", () => {
+  const binary = Buffer.from("#!/bin/sh\necho rust-analyzer\n")
+  let mirror
+  let storage
+
+  /** Adds a release to the mirror with the given checksum file contents */
+  function addRelease(version, checksum) {
+    const asset = releaseAsset()
+    const data = zlib.gzipSync(binary)
+    fs.mkdirSync(path.join(mirror, version))
+    fs.writeFileSync(path.join(mirror, version, asset), data)
+    const sha256 = checksum || crypto.createHash("sha256").update(data).digest("hex")
+    fs.writeFileSync(path.join(mirror, version, `${asset}.sha256`), `${sha256}  ${asset}\n`)
+  }
+
+  beforeEach(() => {
+    mirror = fs.mkdtempSync(path.join(os.tmpdir(), "ide-rust-mirror-"))
+    storage = fs.mkdtempSync(path.join(os.tmpdir(), "ide-rust-storage-"))
+    spyOn(atom, "getConfigDirPath").and.returnValue(storage)
+  })
+
+  afterEach(() => {
+    fs.rmdirSync(mirror, { recursive: true })
+    fs.rmdirSync(storage, { recursive: true })
+  })
+
+  it("finds the latest release", async () => {
+    addRelease("2023-06-12")
+    addRelease("2023-06-19")
+    fs.mkdirSync(path.join(mirror, "2023-06-26"))
+    expect(await latestRelease(mirror)).toBe("2023-06-19")
+  })
+
+  it("installs verified releases, replacing older versions", async () => {
+    addRelease("2023-06-12")
+    addRelease("2023-06-19")
+    await installRelease("2023-06-12", { mirror })
+    const installed = await installRelease("2023-06-19", { mirror: pathToFileURL(mirror).href })
+
+    expect(installed.verified).toBe(true)
+    expect(fs.readFileSync(installed.binary)).toEqual(binary)
+    expect(installedReleases()).toEqual(["2023-06-19"])
+  })
+
+  it("rejects checksum mismatches", async () => {
+    addRelease("2023-06-19", "0".repeat(64))
+    let error
+    await installRelease("2023-06-19", { mirror }).catch((e) => (error = e))
+
+    expect(error.message).toContain("Checksum mismatch")
+    expect(installedReleases()).toEqual([])
+  })
+})
@@ -0,0 +1,64 @@
+const { EventEmitter } = require("events")
+const { ServerLog, formatEntry } = require("../lib/server-log")
+
+/** @returns {object} Fake json-rpc connection, recording the tracer */
+function fakeConnection() {
+  return {
+    trace(level, tracer, options) {
+      Object.assign(this, { level, tracer, options })
+    },
+  }
+}
+
+describe("ServerLog", () => {
+  let serverLog
+
+  beforeEach(() => {
+    serverLog = new ServerLog("/project")
+  })
+
+  afterEach(() => serverLog.dispose())
+
+  it("logs stderr lines & the exit", () => {
+    const process = new EventEmitter()
+    process.pid = 42
+    process.stderr = new EventEmitter()
+    serverLog.attach(process)
+    process.stderr.emit("data", "error: failed to load\npart")
+    process.stderr.emit("data", "ial\n")
+    process.emit("exit", 101, null)
+
+    expect(serverLog.entries.map((e) => `${e.kind} ${e.text}`)).toEqual([
+      "info Started rust-analyzer (pid 42)",
+      "stderr error: failed to load",
+      "stderr partial",
+      "info Exited (pid 42) with code 101",
+    ])
+  })
+
+  it("traces messages with response times", () => {
+    const connection = fakeConnection()
+    serverLog.setTracing(true)
+    serverLog.setConnection(connection)
+    expect(connection.level).toBe(2)
+    expect(connection.options.traceFormat).toBe("json")
+
+    const params = { textDocument: { uri: "file:///project/src/main.rs" } }
+    const trace = (type, message, timestamp) => connection.tracer.log({ isLSPMessage: true, type, message, timestamp })
+    trace("send-request", { id: 3, method: "textDocument/hover", params }, 1000)
+    trace("receive-notification", { method: "$/progress", params: {} }, 1010)
+    trace("receive-response", { id: 3, result: null }, 1025)
+
+    const traced = serverLog.entries.filter((e) => e.kind === "trace")
+    expect(traced.map((e) => e.text)).toEqual([
+      "→ request #3 textDocument/hover",
+      "← notification $/progress",
+      "← response #3 textDocument/hover 25ms",
+    ])
+    expect(traced[0].payload).toEqual(params)
+    expect(formatEntry(traced[2], true)).toMatch(/ trace {2}← response #3 textDocument\/hover 25ms\nnull$/)
+
+    serverLog.setTracing(false)
+    expect(connection.level).toBe(0)
+  })
+})
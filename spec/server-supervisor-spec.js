@@ -0,0 +1,73 @@
+const { EventEmitter } = require("events")
+const { ServerSupervisor, isAbnormalExit, backoffMillis, MAX_RESTARTS } = require("../lib/server-supervisor")
+
+/** @returns {EventEmitter} Fake server process */
+function fakeProcess() {
+  const process = new EventEmitter()
+  process.stderr = new EventEmitter()
+  return process
+}
+
+describe("isAbnormalExit", () => {
+  it("ignores requested stops", () => {
+    expect(isAbnormalExit(0, null)).toBe(false)
+    expect(isAbnormalExit(null, "SIGTERM")).toBe(false)
+    expect(isAbnormalExit(101, null)).toBe(true)
+    expect(isAbnormalExit(null, "SIGSEGV")).toBe(true)
+  })
+})
+
+describe("backoffMillis", () => {
+  it("doubles up to a cap", () => {
+    expect(backoffMillis(1)).toBe(1000)
+    expect(backoffMillis(3)).toBe(4000)
+    expect(backoffMillis(20)).toBe(30000)
+  })
+})
+
+describe("ServerSupervisor", () => {
+  let supervisor
+  let crashes
+
+  beforeEach(() => {
+    supervisor = new ServerSupervisor()
+    crashes = []
+    supervisor.onDidCrash((crash) => crashes.push(crash))
+  })
+
+  afterEach(() => supervisor.dispose())
+
+  it("reports crashes with the stderr tail", () => {
+    const process = fakeProcess()
+    supervisor.watch("/project", process)
+    supervisor.initialized("/project")
+    process.stderr.emit("data", "thread 'main' panicked\nat src/")
+    process.stderr.emit("data", "main.rs:1\n")
+    process.emit("exit", 101, null)
+
+    expect(crashes).toEqual([
+      {
+        projectPath: "/project",
+        code: 101,
+        signal: null,
+        stderr: ["thread 'main' panicked", "at src/main.rs:1"],
+        crashes: 1,
+        restartMillis: 1000,
+      },
+    ])
+  })
+
+  it("stops restarting crash loops until reset", async () => {
+    for (let i = 0; i <= MAX_RESTARTS; i++) {
+      const process = fakeProcess()
+      supervisor.watch("/project", process)
+      supervisor.initialized("/project")
+      process.emit("exit", null, "SIGABRT")
+    }
+    expect(crashes[crashes.length - 1].restartMillis).toBe(null)
+    expect(await supervisor.beforeStart("/project")).toBe(false)
+
+    supervisor.reset()
+    expect(await supervisor.beforeStart("/project")).toBe(true)
+  })
+})
@@ -0,0 +1,131 @@
+const {
+  TestTree,
+  TestResults,
+  TestOutputParser,
+  testItemsFromRunnables,
+  renderTestJson,
+} = require("../lib/test-explorer")
+
+/**
+ * @param {string} label
+ * @param {string} testPath
+ * @returns {Runnable}
+ */
+const testRunnable = (label, testPath) => ({
+  label,
+  kind: "cargo",
+  args: {
+    workspaceRoot: "/project",
+    cargoArgs: ["test", "--package", "my-crate", "--lib"],
+    executableArgs: [testPath, "--exact", "--nocapture"],
+  },
+})
+
+describe("testItemsFromRunnables", () => {
+  it("nests tests in their crate & modules", () => {
+    const items = testItemsFromRunnables([
+      testRunnable("test-mod tests", "tests"),
+      testRunnable("test tests::it_works", "tests::it_works"),
+      testRunnable("test tests::nested::deep", "tests::nested::deep"),
+      { label: "cargo check -p my-crate", kind: "cargo", args: { cargoArgs: ["check"] } },
+    ])
+    expect(items.map(({ id, kind, parent }) => ({ id, kind, parent }))).toEqual([
+      { id: "my-crate", kind: "package", parent: undefined },
+      { id: "my-crate::tests", kind: "module", parent: "my-crate" },
+      { id: "my-crate::tests::it_works", kind: "test", parent: "my-crate::tests" },
+      { id: "my-crate::tests::nested", kind: "module", parent: "my-crate::tests" },
+      { id: "my-crate::tests::nested::deep", kind: "test", parent: "my-crate::tests::nested" },
+    ])
+
+    const tree = new TestTree()
+    tree.apply({ tests: items })
+    const [deep] = tree.descendants("my-crate").filter((item) => item.label === "deep")
+    expect(tree.packageOf(deep)).toBe("my-crate")
+    expect(tree.testPath(tree.items.get("my-crate::tests::nested"))).toBe("tests::nested")
+  })
+})
+
+describe("TestTree", () => {
+  it("replaces the children of the discovery scope", () => {
+    const tree = new TestTree()
+    tree.apply({
+      tests: [
+        { id: "a", label: "a", kind: "package", canResolveChildren: true },
+        { id: "a::old", label: "old", kind: "test", parent: "a" },
+        { id: "b", label: "b", kind: "package", canResolveChildren: true },
+      ],
+    })
+    tree.apply({ tests: [{ id: "a::new", label: "new", kind: "test", parent: "a" }], scope: ["a"] })
+    expect(Array.from(tree.items.keys())).toEqual(["a", "b", "a::new"])
+  })
+})
+
+describe("TestOutputParser", () => {
+  it("reads results, failure output & summaries of text & json output", () => {
+    const parser = new TestOutputParser()
+    const text = [
+      "running 2 tests",
+      "test tests::adds ... ok",
+      "test tests::fails ... FAILED",
+      "",
+      "failures:",
+      "",
+      "---- tests::fails stdout ----",
+      "thread 'tests::fails' panicked at src/lib.rs:9:9:",
+      "assertion failed",
+      "",
+      "",
+      "failures:",
+      "    tests::fails",
+      "",
+      "test result: FAILED. 1 passed; 1 failed; 0 ignored; 0 measured; 0 filtered out",
+    ]
+    const json = [
+      '{ "type": "suite", "event": "started", "test_count": 2 }',
+      '{ "type": "test", "event": "started", "name": "it_slow" }',
+      '{ "type": "test", "name": "it_slow", "event": "ignored" }',
+      '{ "type": "test", "name": "it_panics", "event": "failed", "stdout": "thread panicked\\n" }',
+      '{ "type": "suite", "event": "failed", "passed": 0, "failed": 1, "ignored": 1, "measured": 0, "filtered_out": 0 }',
+    ]
+    const rendered = json.map(renderTestJson).filter((line) => line !== null)
+    expect(rendered[0]).toBe("running 2 tests")
+    for (const line of [...text, ...rendered.join("\n").split("\n")]) {
+      parser.parseLine(line)
+    }
+
+    expect(Array.from(parser.results)).toEqual([
+      ["tests::adds", { state: "ok" }],
+      [
+        "tests::fails",
+        { state: "failed", message: "thread 'tests::fails' panicked at src/lib.rs:9:9:\nassertion failed" },
+      ],
+      ["it_slow", { state: "ignored" }],
+      ["it_panics", { state: "failed", message: "thread panicked" }],
+    ])
+    expect(parser.summary).toEqual({ ok: false, passed: 1, failed: 2, ignored: 1 })
+  })
+})
+
+describe("TestResults", () => {
+  it("keeps the previous result of tests that didn't run", () => {
+    const results = new TestResults()
+    const tests = ["tests::adds", "tests::fails"].map((name) => ({
+      projectPath: "/project",
+      package: "my-crate",
+      name,
+    }))
+    const parser = new TestOutputParser()
+    parser.parseLine("test tests::fails ... FAILED")
+    const first = results.startRun("All tests", tests)
+    results.addResults(first, "/project", "my-crate", parser)
+    results.finishRun(first, 101)
+    expect(results.get("/project", "my_crate", "tests::adds")).toBeUndefined()
+    expect(results.failed().map(({ name }) => name)).toEqual(["tests::fails"])
+
+    const second = results.startRun("Failed tests", tests.slice(1))
+    expect(results.get("/project", "my-crate", "tests::fails").state).toBe("running")
+    results.finishRun(second, null)
+    expect(results.get("/project", "my-crate", "tests::fails").state).toBe("failed")
+    expect(results.history).toEqual([second, first])
+  })
+})
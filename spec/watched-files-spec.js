@@ -0,0 +1,47 @@
+const path = require("path")
+const { WatchedFiles, globToRegExp } = require("../lib/watched-files")
+
+describe("globToRegExp", () => {
+  it("matches single & multiple path segments", () => {
+    expect(globToRegExp("src/*.rs").test("src/main.rs")).toBe(true)
+    expect(globToRegExp("src/*.rs").test("src/bin/main.rs")).toBe(false)
+    expect(globToRegExp("**/*.rs").test("main.rs")).toBe(true)
+    expect(globToRegExp("**/*.rs").test("src/bin/main.rs")).toBe(true)
+  })
+
+  it("matches groups & ranges", () => {
+    const regex = globToRegExp("**/Cargo.{toml,lock}")
+    expect(regex.test("a/Cargo.toml")).toBe(true)
+    expect(regex.test("a/Cargo.lock")).toBe(true)
+    expect(regex.test("a/Cargo.json")).toBe(false)
+    expect(globToRegExp("v[0-9].rs").test("v1.rs")).toBe(true)
+    expect(globToRegExp("v[!0-9].rs").test("v1.rs")).toBe(false)
+  })
+})
+
+describe("WatchedFiles", () => {
+  const projectPath = path.join(__dirname, "fixtures") + path.sep
+
+  it("matches registered relative & absolute watchers until unregistered", () => {
+    const watched = new WatchedFiles(projectPath)
+    expect(watched.matches(path.join(projectPath, "src", "lib.rs"))).toBe(false)
+
+    watched.register({
+      registrations: [
+        {
+          id: "watch",
+          method: "workspace/didChangeWatchedFiles",
+          registerOptions: {
+            watchers: [{ globPattern: "**/*.rs" }, { globPattern: `${projectPath.replace(/\\/g, "/")}**/Cargo.toml` }],
+          },
+        },
+      ],
+    })
+    expect(watched.matches(path.join(projectPath, "src", "lib.rs"))).toBe(true)
+    expect(watched.matches(path.join(projectPath, "Cargo.toml"))).toBe(true)
+    expect(watched.matches(path.join(projectPath, "target", "debug", "build.log"))).toBe(false)
+
+    watched.unregister({ unregisterations: [{ id: "watch", method: "workspace/didChangeWatchedFiles" }] })
+    expect(watched.matches(path.join(projectPath, "src", "lib.rs"))).toBe(false)
+  })
+})
@@ -0,0 +1,53 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { parseIgnoreFile, isIgnored, discoverProjects } = require("../lib/workspace-discovery")
+
+describe("isIgnored", () => {
+  it("matches gitignore patterns relative to their directory", () => {
+    const root = path.join(os.tmpdir(), "project")
+    const ignores = [
+      { dir: root, rules: parseIgnoreFile("# build output\n/out\nscratch/\n*.bak\n") },
+      { dir: path.join(root, "crates"), rules: parseIgnoreFile("old-*\n!old-keep\n") },
+    ]
+    expect(isIgnored(ignores, path.join(root, "out"), true)).toBe(true)
+    expect(isIgnored(ignores, path.join(root, "crates", "out"), true)).toBe(false)
+    expect(isIgnored(ignores, path.join(root, "crates", "scratch"), true)).toBe(true)
+    expect(isIgnored(ignores, path.join(root, "scratch"), false)).toBe(false)
+    expect(isIgnored(ignores, path.join(root, "crates", "a.bak"), true)).toBe(true)
+    expect(isIgnored(ignores, path.join(root, "crates", "old-foo"), true)).toBe(true)
+    expect(isIgnored(ignores, path.join(root, "crates", "old-keep"), true)).toBe(false)
+  })
+})
+
+describe("discoverProjects", () => {
+  let root
+
+  /** @param {string} file Relative path of an empty file to create */
+  const touch = (file) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true })
+    fs.writeFileSync(path.join(root, file), "")
+  }
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "ide-rust-discovery-"))
+    fs.writeFileSync(path.join(root, ".gitignore"), "ignored/\n")
+    touch("app/Cargo.toml")
+    touch("app/nested/Cargo.toml")
+    touch("tools/gen/rust-project.json")
+    touch("tools/gen/Cargo.toml")
+    touch("ignored/Cargo.toml")
+    touch("target/debug/build/Cargo.toml")
+    touch("a/b/c/Cargo.toml")
+  })
+
+  afterEach(() => fs.rmdirSync(root, { recursive: true }))
+
+  it("finds manifests within the depth, skipping ignored directories", async () => {
+    expect(await discoverProjects(root, 2)).toEqual([
+      path.join(root, "app", "Cargo.toml"),
+      path.join(root, "tools", "gen", "rust-project.json"),
+    ])
+    expect(await discoverProjects(root, 3)).toContain(path.join(root, "a", "b", "c", "Cargo.toml"))
+  })
+})
@@ -0,0 +1,57 @@
+/* eslint-disable no-template-curly-in-string */
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { Convert } = require("atom-languageclient")
+const { parseSnippet, applyWorkspaceEdit } = require("../lib/workspace-edit")
+
+describe("parseSnippet", () => {
+  it("places the cursor at the final tab stop", () => {
+    expect(parseSnippet("fn foo() { $0 }")).toEqual({ text: "fn foo() {  }", cursor: { offset: 11, length: 0 } })
+  })
+
+  it("selects placeholders", () => {
+    expect(parseSnippet("let ${0:x} = 1;")).toEqual({ text: "let x = 1;", cursor: { offset: 4, length: 1 } })
+  })
+
+  it("unescapes literal dollars", () => {
+    expect(parseSnippet("a \\$1 ${1:b} c $2")).toEqual({ text: "a $1 b c ", cursor: { offset: 5, length: 1 } })
+    expect(parseSnippet("plain")).toEqual({ text: "plain", cursor: null })
+  })
+})
+
+describe("applyWorkspaceEdit", () => {
+  let dir
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ide-rust-edit-"))
+  })
+
+  afterEach(() => {
+    atom.workspace.getTextEditors().forEach((editor) => editor.destroy())
+    fs.rmdirSync(dir, { recursive: true })
+  })
+
+  it("reverts applied text edits when a later change fails", async () => {
+    const lib = path.join(dir, "lib.rs")
+    const taken = path.join(dir, "taken.rs")
+    fs.writeFileSync(lib, "fn old() {}\n")
+    fs.writeFileSync(path.join(dir, "mod.rs"), "")
+    fs.writeFileSync(taken, "")
+
+    const applied = await applyWorkspaceEdit({
+      documentChanges: [
+        {
+          textDocument: { uri: Convert.pathToUri(lib), version: null },
+          edits: [{ range: { start: { line: 0, character: 3 }, end: { line: 0, character: 6 } }, newText: "new" }],
+        },
+        // fails, the target exists
+        { kind: "rename", oldUri: Convert.pathToUri(path.join(dir, "mod.rs")), newUri: Convert.pathToUri(taken) },
+      ],
+    })
+
+    expect(applied).toBe(false)
+    const editor = atom.workspace.getTextEditors().find((e) => e.getPath() === lib)
+    expect(editor.getText()).toBe("fn old() {}\n")
+  })
+})